@@ -4,25 +4,43 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ChangePassword from './pages/ChangePassword';
 import AdminDashboard from './pages/admin/Dashboard';
 import AdminMembers from './pages/admin/Members';
 import AdminPayments from './pages/admin/Payments';
 import AdminReports from './pages/admin/Reports';
+import AdminCheckIn from './pages/admin/CheckIn';
+import AdminAuditLog from './pages/admin/AuditLog';
+import AdminBranches from './pages/admin/Branches';
+import AdminBranchReport from './pages/admin/BranchReport';
 import UserDashboard from './pages/user/Dashboard';
 import UserPayments from './pages/user/Payments';
 import UserProfile from './pages/user/Profile';
+import UserTraining from './pages/user/Training';
+import TrainerSessions from './pages/trainer/Sessions';
+import UserClasses from './pages/user/Classes';
+import AdminClasses from './pages/admin/Classes';
+import UserWorkouts from './pages/user/Workouts';
+import TrainerWorkouts from './pages/trainer/Workouts';
+import UserAssessments from './pages/user/Assessments';
+import TrainerAssessments from './pages/trainer/Assessments';
 import Navbar from './components/Navbar';
 import './App.css';
 
-// Protected route component
-const ProtectedRoute = ({ children, requireAdmin }) => {
-  const { currentUser, userData } = useAuth();
+// Protected route component; `permission` may be a list, any of which will do.
+// Users on a temporary password are kept on the change-password page.
+const ProtectedRoute = ({ children, permission, allowPasswordChange = false }) => {
+  const { currentUser, can, mustChangePassword } = useAuth();
   
   if (!currentUser) {
     return <Navigate to="/login" />;
   }
   
-  if (requireAdmin && userData?.role !== 'admin') {
+  if (mustChangePassword && !allowPasswordChange) {
+    return <Navigate to="/change-password" />;
+  }
+  
+  if (permission && ![].concat(permission).some(can)) {
     return <Navigate to="/user/dashboard" />;
   }
   
@@ -39,45 +57,112 @@ function App() {
             <Routes>
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/change-password" element={
+                <ProtectedRoute allowPasswordChange>
+                  <ChangePassword />
+                </ProtectedRoute>
+              } />
               
-              {/* Admin Routes */}
+              {/* Staff Routes */}
               <Route path="/admin/dashboard" element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permission="reports.read">
                   <AdminDashboard />
                 </ProtectedRoute>
               } />
               <Route path="/admin/members" element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permission={["members.read", "members.read_assigned"]}>
                   <AdminMembers />
                 </ProtectedRoute>
               } />
               <Route path="/admin/payments" element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permission="payments.read">
                   <AdminPayments />
                 </ProtectedRoute>
               } />
               <Route path="/admin/reports" element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permission="reports.read">
                   <AdminReports />
                 </ProtectedRoute>
               } />
+              <Route path="/admin/check-in" element={
+                <ProtectedRoute permission="attendance.check_in">
+                  <AdminCheckIn />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/audit" element={
+                <ProtectedRoute permission="audit.read">
+                  <AdminAuditLog />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/classes" element={
+                <ProtectedRoute permission="classes.teach">
+                  <AdminClasses />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/branches" element={
+                <ProtectedRoute permission="branches.manage">
+                  <AdminBranches />
+                </ProtectedRoute>
+              } />
+              <Route path="/admin/branch-report" element={
+                <ProtectedRoute permission="branches.all">
+                  <AdminBranchReport />
+                </ProtectedRoute>
+              } />
+              
+              {/* Trainer Routes */}
+              <Route path="/trainer/sessions" element={
+                <ProtectedRoute permission="training.sessions">
+                  <TrainerSessions />
+                </ProtectedRoute>
+              } />
+              <Route path="/trainer/workouts" element={
+                <ProtectedRoute permission="workouts.manage">
+                  <TrainerWorkouts />
+                </ProtectedRoute>
+              } />
+              <Route path="/trainer/assessments" element={
+                <ProtectedRoute permission="assessments.manage">
+                  <TrainerAssessments />
+                </ProtectedRoute>
+              } />
               
               {/* User Routes */}
               <Route path="/user/dashboard" element={
-                <ProtectedRoute requireAdmin={false}>
+                <ProtectedRoute>
                   <UserDashboard />
                 </ProtectedRoute>
               } />
               <Route path="/user/payments" element={
-                <ProtectedRoute requireAdmin={false}>
+                <ProtectedRoute>
                   <UserPayments />
                 </ProtectedRoute>
               } />
               <Route path="/user/profile" element={
-                <ProtectedRoute requireAdmin={false}>
+                <ProtectedRoute>
                   <UserProfile />
                 </ProtectedRoute>
               } />
+              <Route path="/user/training" element={
+                <ProtectedRoute>
+                  <UserTraining />
+                </ProtectedRoute>
+              } />
+              <Route path="/user/classes" element={
+                <ProtectedRoute>
+                  <UserClasses />
+                </ProtectedRoute>
+              } />
+              <Route path="/user/workouts" element={
+                <ProtectedRoute>
+                  <UserWorkouts />
+                </ProtectedRoute>
+              } />
+              <Route path="/user/assessments" element={
+                <ProtectedRoute>
+                  <UserAssessments />
+                </ProtectedRoute>
+              } />
               
               {/* Default redirect */}
               <Route path="*" element={<Navigate to="/login" />} />
@@ -91,16 +176,92 @@ function App() {
 
 export default App;
 
+// File: src/pages/ChangePassword.js
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Users on a temporary password are sent here and can't use the app until they pick their own
+function ChangePassword() {
+  const { changePassword, mustChangePassword } = useAuth();
+  const navigate = useNavigate();
+  const [values, setValues] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  function handleChange(e) {
+    setValues({ ...values, [e.target.name]: e.target.value });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError('');
+    
+    if (values.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    
+    if (values.newPassword !== values.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    
+    setSaving(true);
+    try {
+      // Swaps in fresh tokens without the forced-change flag and reloads the user
+      await changePassword(values.currentPassword, values.newPassword);
+      navigate('/user/dashboard');
+    } catch (error) {
+      console.error("Error changing password: ", error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="change-password-page">
+      <h1>Change Password</h1>
+      {mustChangePassword && (
+        <p className="notice">You signed in with a temporary password. Choose your own to continue.</p>
+      )}
+      {error && <p className="form-error">{error}</p>}
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label>{mustChangePassword ? 'Temporary Password' : 'Current Password'}</label>
+          <input type="password" name="currentPassword" value={values.currentPassword} onChange={handleChange} required />
+        </div>
+        <div className="form-group">
+          <label>New Password</label>
+          <input type="password" name="newPassword" value={values.newPassword} onChange={handleChange} required />
+        </div>
+        <div className="form-group">
+          <label>Confirm New Password</label>
+          <input type="password" name="confirmPassword" value={values.confirmPassword} onChange={handleChange} required />
+        </div>
+        <button type="submit" disabled={saving} className="submit-button">
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ChangePassword;
+
 // File: src/contexts/AuthContext.js
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { auth, db } from '../firebase';
-import { doc, getDoc } from 'firebase/firestore';
-import { 
-  createUserWithEmailAndPassword, 
-  signInWithEmailAndPassword, 
-  signOut, 
-  onAuthStateChanged 
-} from 'firebase/auth';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import api, {
+  getToken,
+  getRefreshToken,
+  setTokens,
+  clearTokens,
+  onUnauthorized,
+  onPasswordChangeRequired
+} from '../api/client';
 
 const AuthContext = createContext();
 
@@ -113,42 +274,72 @@ export function AuthProvider({ children }) {
   const [userData, setUserData] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  async function register(email, password, name) {
-    return createUserWithEmailAndPassword(auth, email, password);
+  const loadUser = useCallback(async () => {
+    try {
+      const user = await api.get('/auth/me');
+      setCurrentUser(user);
+      setUserData(user);
+      return user;
+    } catch (error) {
+      console.error("Error fetching user data:", error);
+      setCurrentUser(null);
+      setUserData(null);
+      return null;
+    }
+  }, []);
+
+  async function register(email, password, name, phone, branch) {
+    const tokens = await api.post('/auth/register', { email, password, name, phone, branch }, { auth: false });
+    setTokens(tokens);
+    return loadUser();
+  }
+
+  async function login(email, password) {
+    const tokens = await api.post('/auth/login', { email, password }, { auth: false });
+    setTokens(tokens);
+    return loadUser();
   }
 
-  function login(email, password) {
-    return signInWithEmailAndPassword(auth, email, password);
+  async function logout() {
+    try {
+      await api.post('/auth/logout', { refreshToken: getRefreshToken() }, { auth: false });
+    } finally {
+      clearTokens();
+      setCurrentUser(null);
+      setUserData(null);
+    }
   }
 
-  function logout() {
-    return signOut(auth);
+  // Whether the logged in user's role grants a permission
+  const can = useCallback(
+    permission => Boolean(userData?.permissions?.includes(permission)),
+    [userData]
+  );
+
+  async function changePassword(currentPassword, newPassword) {
+    const tokens = await api.post('/auth/change-password', { currentPassword, newPassword });
+    setTokens(tokens);
+    return loadUser();
   }
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, async (user) => {
-      setCurrentUser(user);
-      
-      if (user) {
-        try {
-          const userDocRef = doc(db, 'users', user.uid);
-          const userDoc = await getDoc(userDocRef);
-          
-          if (userDoc.exists()) {
-            setUserData(userDoc.data());
-          }
-        } catch (error) {
-          console.error("Error fetching user data:", error);
-        }
-      } else {
-        setUserData(null);
-      }
-      
-      setLoading(false);
+    onUnauthorized(() => {
+      setCurrentUser(null);
+      setUserData(null);
     });
-
-    return unsubscribe;
-  }, []);
+    
+    // The server refuses everything else until a temporary password is replaced
+    onPasswordChangeRequired(() => {
+      setCurrentUser(user => user && { ...user, mustChangePassword: true });
+      setUserData(user => user && { ...user, mustChangePassword: true });
+    });
+    
+    if (getToken()) {
+      loadUser().finally(() => setLoading(false));
+    } else {
+      setLoading(false);
+    }
+  }, [loadUser]);
 
   const value = {
     currentUser,
@@ -156,6 +347,10 @@ export function AuthProvider({ children }) {
     register,
     login,
     logout,
+    changePassword,
+    can,
+    mustChangePassword: Boolean(userData?.mustChangePassword),
+    refreshUser: loadUser,
     loading
   };
 
@@ -167,86 +362,184 @@ export function AuthProvider({ children }) {
 }
 
 // File: src/pages/admin/Members.js
-import React, { useState, useEffect } from 'react';
-import { db } from '../../firebase';
-import { collection, getDocs, doc, setDoc, deleteDoc, query, where } from 'firebase/firestore';
+import React, { useState, useEffect, useCallback } from 'react';
+import api, { downloadFile } from '../../api/client';
+import { useAuth } from '../../contexts/AuthContext';
+import ImportMembersModal from '../../components/ImportMembersModal';
+import MemberFormModal from '../../components/MemberFormModal';
 import './Members.css';
 
+const emptyFilters = {
+  branch: '',
+  status: '',
+  plan: '',
+  expiresFrom: '',
+  expiresTo: ''
+};
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const sortableColumns = [
+  { field: 'name', label: 'Name' },
+  { field: 'email', label: 'Email' },
+  { field: null, label: 'Phone' },
+  { field: null, label: 'Branch' },
+  { field: null, label: 'Membership' },
+  { field: 'startDate', label: 'Start Date' },
+  { field: 'endDate', label: 'End Date' }
+];
+
 function Members() {
+  const { can } = useAuth();
   const [members, setMembers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(emptyFilters);
+  const [sort, setSort] = useState('name');
+  const [plans, setPlans] = useState([]);
+  const [branches, setBranches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
-  const [newMember, setNewMember] = useState({
-    name: '',
-    email: '',
-    phone: '',
-    membershipType: 'monthly',
-    startDate: '',
-    endDate: ''
-  });
+  const [editingMember, setEditingMember] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
 
   useEffect(() => {
-    fetchMembers();
-  }, []);
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // The current search, filters and sort as query parameters
+  const listParams = useCallback(() => {
+    const params = new URLSearchParams({ sort });
+    if (query) params.append('q', query);
+    if (showArchived) params.append('archived', 'true');
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return params;
+  }, [sort, query, showArchived, filters]);
 
-  async function fetchMembers() {
+  const fetchMembers = useCallback(async () => {
     setLoading(true);
+    
+    const params = listParams();
+    params.append('page', page);
+    
     try {
-      const q = query(collection(db, 'users'), where('role', '==', 'member'));
-      const querySnapshot = await getDocs(q);
-      
-      const membersList = [];
-      querySnapshot.forEach((doc) => {
-        membersList.push({ id: doc.id, ...doc.data() });
-      });
-      
-      setMembers(membersList);
+      const result = await api.get(`/members?${params}`);
+      setMembers(result.members);
+      setTotal(result.total);
+      setPages(result.pages);
     } catch (error) {
       console.error("Error fetching members: ", error);
     } finally {
       setLoading(false);
     }
+  }, [listParams, page]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  useEffect(() => {
+    async function fetchPlans() {
+      try {
+        setPlans(await api.get('/plans'));
+      } catch (error) {
+        console.error("Error fetching plans: ", error);
+      }
+    }
+    
+    async function fetchBranches() {
+      try {
+        setBranches(await api.get('/branches'));
+      } catch (error) {
+        console.error("Error fetching branches: ", error);
+      }
+    }
+    
+    fetchPlans();
+    fetchBranches();
+  }, []);
+
+  function handleMemberAdded(result) {
+    setShowAddModal(false);
+    setNotice(`Member added. Temporary password: ${result.temporaryPassword}`);
+    fetchMembers();
   }
 
-  async function handleAddMember(e) {
-    e.preventDefault();
+  function handleMemberUpdated(member) {
+    setEditingMember(null);
+    setNotice(`${member.name} updated.`);
+    fetchMembers();
+  }
+
+  async function handleExport(format) {
+    const params = listParams();
+    params.append('format', format);
     
     try {
-      // Generate a unique ID
-      const memberId = doc(collection(db, 'users')).id;
-      
-      // Set member data
-      await setDoc(doc(db, 'users', memberId), {
-        ...newMember,
-        role: 'member',
-        createdAt: new Date().toISOString()
-      });
-      
-      // Reset form and close modal
-      setNewMember({
-        name: '',
-        email: '',
-        phone: '',
-        membershipType: 'monthly',
-        startDate: '',
-        endDate: ''
-      });
-      setShowAddModal(false);
-      
-      // Refresh members list
+      await downloadFile(`/members/export?${params}`, `members.${format}`);
+    } catch (error) {
+      console.error("Error exporting members: ", error);
+      window.alert(error.message);
+    }
+  }
+
+  function handleFilterChange(e) {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+  }
+
+  // Click a column once for ascending, again for descending
+  function handleSort(field) {
+    setSort(sort === field ? `-${field}` : field);
+    setPage(1);
+  }
+
+  function sortIndicator(field) {
+    if (sort === field) return ' ▲';
+    if (sort === `-${field}`) return ' ▼';
+    return '';
+  }
+
+  async function handleArchiveMember(id) {
+    if (window.confirm("Archive this member? They will no longer be able to log in.")) {
+      try {
+        await api.delete(`/members/${id}`);
+        fetchMembers();
+      } catch (error) {
+        console.error("Error archiving member: ", error);
+      }
+    }
+  }
+
+  async function handleRestoreMember(id) {
+    try {
+      await api.post(`/members/${id}/restore`);
       fetchMembers();
     } catch (error) {
-      console.error("Error adding member: ", error);
+      console.error("Error restoring member: ", error);
     }
   }
 
-  async function handleDeleteMember(id) {
-    if (window.confirm("Are you sure you want to delete this member?")) {
+  async function handleEraseMember(member) {
+    if (window.confirm(`Permanently erase ${member.name}'s personal data? Payments and invoices are kept. This cannot be undone.`)) {
       try {
-        await deleteDoc(doc(db, 'users', id));
+        await api.post(`/members/${member._id}/erase`);
         fetchMembers();
       } catch (error) {
-        console.error("Error deleting member: ", error);
+        console.error("Error erasing member: ", error);
       }
     }
   }
@@ -255,9 +548,65 @@ function Members() {
     <div className="members-page">
       <div className="members-header">
         <h1>Gym Members</h1>
-        <button onClick={() => setShowAddModal(true)} className="add-button">Add New Member</button>
+        <div className="members-actions">
+          <button onClick={() => handleExport('csv')} className="edit-button">Export CSV</button>
+          <button onClick={() => handleExport('xlsx')} className="edit-button">Export Excel</button>
+          {can('members.create') && (
+            <>
+              <button onClick={() => setShowImportModal(true)} className="edit-button">Import</button>
+              <button onClick={() => setShowAddModal(true)} className="add-button">Add New Member</button>
+            </>
+          )}
+        </div>
+      </div>
+      
+      <div className="members-filters">
+        <input
+          type="search"
+          placeholder="Search name, email or phone"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {branches.length > 1 && (
+          <select name="branch" value={filters.branch} onChange={handleFilterChange}>
+            <option value="">All my branches</option>
+            {branches.map(branch => (
+              <option key={branch._id} value={branch._id}>{branch.name}</option>
+            ))}
+          </select>
+        )}
+        <select name="status" value={filters.status} onChange={handleFilterChange}>
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+          <option value="pending">Pending</option>
+          <option value="frozen">Frozen</option>
+        </select>
+        <select name="plan" value={filters.plan} onChange={handleFilterChange}>
+          <option value="">Any plan</option>
+          {plans.map(plan => (
+            <option key={plan._id} value={plan._id}>{plan.name}{plan.branch ? ` (${plan.branch.name})` : ''}</option>
+          ))}
+        </select>
+        <label>
+          Expires from
+          <input type="date" name="expiresFrom" value={filters.expiresFrom} onChange={handleFilterChange} />
+        </label>
+        <label>
+          to
+          <input type="date" name="expiresTo" value={filters.expiresTo} onChange={handleFilterChange} />
+        </label>
       </div>
       
+      {can('members.delete') && (
+        <label className="archived-toggle">
+          <input type="checkbox" checked={showArchived} onChange={e => { setShowArchived(e.target.checked); setPage(1); }} />
+          Show archived members
+        </label>
+      )}
+      
+      {notice && <p className="notice">{notice}</p>}
+      
       {loading ? (
         <p>Loading members...</p>
       ) : (
@@ -265,101 +614,78 @@ function Members() {
           <table className="members-table">
             <thead>
               <tr>
-                <th>Name</th>
-                <th>Email</th>
-                <th>Phone</th>
-                <th>Membership</th>
-                <th>Start Date</th>
-                <th>End Date</th>
+                {sortableColumns.map(column => column.field ? (
+                  <th key={column.label} className="sortable" onClick={() => handleSort(column.field)}>
+                    {column.label}{sortIndicator(column.field)}
+                  </th>
+                ) : (
+                  <th key={column.label}>{column.label}</th>
+                ))}
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
               {members.map(member => (
-                <tr key={member.id}>
+                <tr key={member._id}>
                   <td>{member.name}</td>
                   <td>{member.email}</td>
                   <td>{member.phone}</td>
-                  <td>{member.membershipType}</td>
+                  <td>{member.branch?.name || 'N/A'}</td>
+                  <td>{member.membershipType?.name || 'N/A'}</td>
                   <td>{new Date(member.startDate).toLocaleDateString()}</td>
                   <td>{new Date(member.endDate).toLocaleDateString()}</td>
                   <td>
-                    <button className="edit-button">Edit</button>
-                    <button onClick={() => handleDeleteMember(member.id)} className="delete-button">Delete</button>
+                    {member.archivedAt ? (
+                      <>
+                        {can('members.delete') && !member.erasedAt && (
+                          <button onClick={() => handleRestoreMember(member._id)} className="edit-button">Restore</button>
+                        )}
+                        {can('members.erase') && !member.erasedAt && (
+                          <button onClick={() => handleEraseMember(member)} className="delete-button">Erase</button>
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        {can('members.update') && (
+                          <button onClick={() => setEditingMember(member)} className="edit-button">Edit</button>
+                        )}
+                        {can('members.delete') && (
+                          <button onClick={() => handleArchiveMember(member._id)} className="delete-button">Archive</button>
+                        )}
+                      </>
+                    )}
                   </td>
                 </tr>
               ))}
             </tbody>
           </table>
+          
+          {members.length === 0 && <p>No members match these filters.</p>}
+          
+          <div className="pagination">
+            <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {pages || 1} ({total} members)</span>
+            <button disabled={page >= pages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
         </div>
       )}
       
+      {showImportModal && (
+        <ImportMembersModal branches={branches} onClose={() => setShowImportModal(false)} onImported={fetchMembers} />
+      )}
+      
       {showAddModal && (
-        <div className="modal">
-          <div className="modal-content">
-            <span className="close" onClick={() => setShowAddModal(false)}>&times;</span>
-            <h2>Add New Member</h2>
-            <form onSubmit={handleAddMember}>
-              <div className="form-group">
-                <label>Name</label>
-                <input 
-                  type="text" 
-                  required 
-                  value={newMember.name}
-                  onChange={(e) => setNewMember({...newMember, name: e.target.value})}
-                />
-              </div>
-              <div className="form-group">
-                <label>Email</label>
-                <input 
-                  type="email" 
-                  required 
-                  value={newMember.email}
-                  onChange={(e) => setNewMember({...newMember, email: e.target.value})}
-                />
-              </div>
-              <div className="form-group">
-                <label>Phone</label>
-                <input 
-                  type="tel" 
-                  required 
-                  value={newMember.phone}
-                  onChange={(e) => setNewMember({...newMember, phone: e.target.value})}
-                />
-              </div>
-              <div className="form-group">
-                <label>Membership Type</label>
-                <select 
-                  value={newMember.membershipType}
-                  onChange={(e) => setNewMember({...newMember, membershipType: e.target.value})}
-                >
-                  <option value="monthly">Monthly</option>
-                  <option value="quarterly">Quarterly</option>
-                  <option value="yearly">Yearly</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Start Date</label>
-                <input 
-                  type="date" 
-                  required 
-                  value={newMember.startDate}
-                  onChange={(e) => setNewMember({...newMember, startDate: e.target.value})}
-                />
-              </div>
-              <div className="form-group">
-                <label>End Date</label>
-                <input 
-                  type="date" 
-                  required 
-                  value={newMember.endDate}
-                  onChange={(e) => setNewMember({...newMember, endDate: e.target.value})}
-                />
-              </div>
-              <button type="submit" className="submit-button">Add Member</button>
-            </form>
-          </div>
-        </div>
+        <MemberFormModal plans={plans} branches={branches} onClose={() => setShowAddModal(false)} onSaved={handleMemberAdded} />
+      )}
+      
+      {editingMember && (
+        <MemberFormModal
+          member={editingMember}
+          plans={plans}
+          branches={branches}
+          onClose={() => setEditingMember(null)}
+          onSaved={handleMemberUpdated}
+        />
       )}
     </div>
   );
@@ -369,27 +695,37 @@ export default Members;
 
 // File: src/pages/user/Dashboard.js
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
 import { useAuth } from '../../contexts/AuthContext';
-import { db } from '../../firebase';
-import { doc, getDoc } from 'firebase/firestore';
+import api from '../../api/client';
+import CheckoutModal from '../../components/CheckoutModal';
+import ProgressChart from '../../components/ProgressChart';
+import AssessmentTrendChart from '../../components/AssessmentTrendChart';
 import './Dashboard.css';
 
+const shortDate = date => new Date(date).toLocaleDateString([], { day: 'numeric', month: 'short' });
+
+// Try again this soon if a check-in code couldn't be fetched
+const QR_RETRY_SECONDS = 15;
+
 function UserDashboard() {
-  const { currentUser } = useAuth();
+  const { currentUser, refreshUser } = useAuth();
+  const navigate = useNavigate();
   const [membershipData, setMembershipData] = useState(null);
+  const [qrToken, setQrToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [showCheckout, setShowCheckout] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [chartExercise, setChartExercise] = useState(null);
+  const [measurements, setMeasurements] = useState(null);
 
   useEffect(() => {
     async function fetchMembershipData() {
       if (!currentUser) return;
       
       try {
-        const userDocRef = doc(db, 'users', currentUser.uid);
-        const userDoc = await getDoc(userDocRef);
-        
-        if (userDoc.exists()) {
-          setMembershipData(userDoc.data());
-        }
+        setMembershipData(await api.get('/auth/me'));
       } catch (error) {
         console.error("Error fetching membership data:", error);
       } finally {
@@ -400,6 +736,64 @@ function UserDashboard() {
     fetchMembershipData();
   }, [currentUser]);
 
+  useEffect(() => {
+    if (!currentUser) return;
+    
+    async function fetchProgress() {
+      try {
+        setProgress(await api.get(`/workouts/progress/member/${currentUser._id}`));
+      } catch (error) {
+        console.error("Error fetching workout progress:", error);
+      }
+    }
+    
+    async function fetchMeasurements() {
+      try {
+        setMeasurements(await api.get(`/assessments/member/${currentUser._id}`));
+      } catch (error) {
+        console.error("Error fetching assessments:", error);
+      }
+    }
+    
+    fetchProgress();
+    fetchMeasurements();
+  }, [currentUser]);
+
+  // Reloading the user re-runs the fetch above with the new end date
+  async function handlePaid() {
+    await refreshUser();
+  }
+
+  useEffect(() => {
+    if (!currentUser) return;
+    
+    let timer;
+    let cancelled = false;
+    
+    // Check-in codes are short-lived, so fetch a fresh one before each expires
+    async function fetchQrToken() {
+      let delaySeconds = QR_RETRY_SECONDS;
+      try {
+        const { token, expiresIn } = await api.get('/attendance/qr-token');
+        if (cancelled) return;
+        setQrToken(token);
+        delaySeconds = expiresIn - 30;
+      } catch (error) {
+        console.error("Error fetching check-in code:", error);
+      }
+      
+      if (!cancelled) {
+        timer = setTimeout(fetchQrToken, delaySeconds * 1000);
+      }
+    }
+    
+    fetchQrToken();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [currentUser]);
+
   function getDaysRemaining() {
     if (!membershipData?.endDate) return 0;
     
@@ -423,19 +817,37 @@ function UserDashboard() {
         <div className="card membership-card">
           <h2>Membership Status</h2>
           <div className="card-content">
-            <p>Type: <strong>{membershipData?.membershipType || 'N/A'}</strong></p>
+            <p>Type: <strong>{membershipData?.membershipType?.name || 'N/A'}</strong></p>
             <p>Start Date: <strong>{membershipData?.startDate ? new Date(membershipData.startDate).toLocaleDateString() : 'N/A'}</strong></p>
             <p>End Date: <strong>{membershipData?.endDate ? new Date(membershipData.endDate).toLocaleDateString() : 'N/A'}</strong></p>
             <p>Days Remaining: <strong>{getDaysRemaining()}</strong></p>
           </div>
         </div>
         
+        <div className="card checkin-card">
+          <h2>Check-in Code</h2>
+          <div className="card-content">
+            {qrToken ? (
+              <>
+                <QRCodeSVG value={qrToken} size={180} />
+                <p>Show this at the front desk.</p>
+              </>
+            ) : (
+              <p>Check-in code unavailable.</p>
+            )}
+          </div>
+        </div>
+        
         <div className="card quick-actions-card">
           <h2>Quick Actions</h2>
           <div className="card-content">
-            <button className="action-button">Renew Membership</button>
-            <button className="action-button">View Payment History</button>
-            <button className="action-button">Update Profile</button>
+            <button className="action-button" onClick={() => setShowCheckout(true)}>Renew Membership</button>
+            <button className="action-button" onClick={() => navigate('/user/payments')}>View Payment History</button>
+            <button className="action-button" onClick={() => navigate('/user/profile')}>Update Profile</button>
+            <button className="action-button" onClick={() => navigate('/user/training')}>Book Personal Training</button>
+            <button className="action-button" onClick={() => navigate('/user/classes')}>Book a Class</button>
+            <button className="action-button" onClick={() => navigate('/user/workouts')}>My Workouts</button>
+            <button className="action-button" onClick={() => navigate('/user/assessments')}>My Assessments</button>
           </div>
         </div>
       </div>
@@ -445,14 +857,3909 @@ function UserDashboard() {
         {getDaysRemaining() <= 30 ? (
           <div className="payment-alert">
             <p>Your membership expires in {getDaysRemaining()} days.</p>
-            <button className="pay-now-button">Pay Now</button>
+            <button className="pay-now-button" onClick={() => setShowCheckout(true)}>Pay Now</button>
           </div>
         ) : (
           <p>No upcoming payments due soon.</p>
         )}
       </div>
+      
+      {measurements?.assessments.length > 0 && (
+        <div className="workout-progress">
+          <h2>Body Measurements</h2>
+          <p>Next assessment due <strong>{new Date(measurements.nextDueAt).toLocaleDateString()}</strong></p>
+          <AssessmentTrendChart assessments={measurements.assessments} />
+        </div>
+      )}
+      
+      {progress?.totalWorkouts > 0 && (
+        <div className="workout-progress">
+          <h2>Your Progress</h2>
+          <h3>Weekly volume (kg lifted)</h3>
+          <ProgressChart
+            points={progress.weeklyVolume.map(week => ({ label: shortDate(week.weekStart), value: week.volume }))}
+            unit="kg"
+          />
+          
+          <h3>Personal records</h3>
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Exercise</th>
+                <th>Best</th>
+                <th>Set on</th>
+              </tr>
+            </thead>
+            <tbody>
+              {progress.exercises.map(item => (
+                <tr
+                  key={item.exercise._id}
+                  onClick={() => setChartExercise(item)}
+                  className={chartExercise?.exercise._id === item.exercise._id ? 'selected-row' : 'clickable-row'}
+                >
+                  <td>{item.exercise.name}</td>
+                  <td>{item.best.weight > 0 ? `${item.best.weight} kg x ${item.best.reps}` : `${item.best.reps} reps`}</td>
+                  <td>{new Date(item.best.date).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          
+          {chartExercise && (
+            <>
+              <h3>{chartExercise.exercise.name}: heaviest set per workout</h3>
+              <ProgressChart
+                points={chartExercise.history.map(entry => ({ label: shortDate(entry.date), value: entry.weight }))}
+                unit="kg"
+              />
+            </>
+          )}
+        </div>
+      )}
+      
+      {showCheckout && (
+        <CheckoutModal
+          member={membershipData}
+          onClose={() => setShowCheckout(false)}
+          onPaid={handlePaid}
+        />
+      )}
     </div>
   );
 }
 
 export default UserDashboard;
+
+// File: src/pages/admin/CheckIn.js
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Html5QrcodeScanner } from 'html5-qrcode';
+import api from '../../api/client';
+
+function CheckIn() {
+  const [mode, setMode] = useState('check-in');
+  const [result, setResult] = useState(null);
+  const [today, setToday] = useState(null);
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState('');
+  const busy = useRef(false);
+
+  useEffect(() => {
+    async function fetchBranches() {
+      try {
+        const result = await api.get('/branches');
+        setBranches(result);
+        setBranchId(result[0]?._id || '');
+      } catch (error) {
+        console.error("Error fetching branches: ", error);
+      }
+    }
+    
+    fetchBranches();
+  }, []);
+
+  // Occupancy is for the branch this desk is at
+  const fetchToday = useCallback(async () => {
+    if (!branchId) return;
+    
+    try {
+      setToday(await api.get(`/attendance/today?branch=${branchId}`));
+    } catch (error) {
+      console.error("Error fetching occupancy: ", error);
+    }
+  }, [branchId]);
+
+  const handleScan = useCallback(async (qrToken) => {
+    // The scanner fires repeatedly while a code is in view
+    if (busy.current) return;
+    busy.current = true;
+    
+    try {
+      const response = await api.post(`/attendance/${mode}`, { qrToken, branchId });
+      setResult({ success: true, message: `${response.message}: ${response.member.name}` });
+      fetchToday();
+    } catch (error) {
+      const name = error.data?.member?.name;
+      setResult({ success: false, message: name ? `${name}: ${error.message}` : error.message });
+    } finally {
+      setTimeout(() => { busy.current = false; }, 2000);
+    }
+  }, [mode, branchId, fetchToday]);
+
+  useEffect(() => {
+    fetchToday();
+  }, [fetchToday]);
+
+  useEffect(() => {
+    const scanner = new Html5QrcodeScanner('qr-reader', { fps: 10, qrbox: 250 }, false);
+    scanner.render(handleScan, () => {});
+    
+    return () => {
+      scanner.clear().catch(() => {});
+    };
+  }, [handleScan]);
+
+  return (
+    <div className="checkin-page">
+      <h1>Front Desk</h1>
+      
+      {branches.length > 1 && (
+        <div className="form-group">
+          <label>Branch</label>
+          <select value={branchId} onChange={(e) => setBranchId(e.target.value)}>
+            {branches.map(branch => (
+              <option key={branch._id} value={branch._id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      
+      <div className="checkin-modes">
+        <button
+          className={mode === 'check-in' ? 'mode-button active' : 'mode-button'}
+          onClick={() => setMode('check-in')}
+        >
+          Check In
+        </button>
+        <button
+          className={mode === 'check-out' ? 'mode-button active' : 'mode-button'}
+          onClick={() => setMode('check-out')}
+        >
+          Check Out
+        </button>
+      </div>
+      
+      <div className="checkin-layout">
+        <div className="card">
+          <div id="qr-reader"></div>
+          {result && (
+            <p className={result.success ? 'notice' : 'form-error'}>{result.message}</p>
+          )}
+        </div>
+        
+        {today && (
+          <div className="card">
+            <h2>Today</h2>
+            <p>In the gym now: <strong>{today.occupancy}</strong></p>
+            <p>Check-ins today: <strong>{today.totalCheckIns}</strong></p>
+            <ul className="inside-list">
+              {today.inside.map(visit => (
+                <li key={visit._id}>
+                  {visit.userId?.name} since {new Date(visit.checkInAt).toLocaleTimeString()}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CheckIn;
+
+// File: src/components/DownloadReceiptButton.js
+import React, { useState } from 'react';
+import { downloadFile } from '../api/client';
+
+// Payments in these states have an invoice to download
+const INVOICED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+function DownloadReceiptButton({ payment }) {
+  const [downloading, setDownloading] = useState(false);
+
+  if (!INVOICED_STATUSES.includes(payment.status)) {
+    return null;
+  }
+
+  async function handleDownload() {
+    setDownloading(true);
+    try {
+      const fileName = `${(payment.invoiceNumber || `receipt-${payment._id}`).replace(/\//g, '-')}.pdf`;
+      await downloadFile(`/payments/${payment._id}/invoice`, fileName);
+    } catch (error) {
+      console.error("Error downloading receipt: ", error);
+      window.alert(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  }
+
+  return (
+    <button onClick={handleDownload} disabled={downloading} className="receipt-button">
+      {downloading ? 'Downloading...' : 'Download receipt'}
+    </button>
+  );
+}
+
+export default DownloadReceiptButton;
+
+// File: src/components/ImportMembersModal.js
+import React, { useState } from 'react';
+import api from '../api/client';
+import { useAuth } from '../contexts/AuthContext';
+
+// Upload a spreadsheet, preview it as a dry run, then import the valid rows into a branch
+function ImportMembersModal({ branches = [], onClose, onImported }) {
+  const { can } = useAuth();
+  const [file, setFile] = useState(null);
+  const [branch, setBranch] = useState(branches.length === 1 ? branches[0]._id : '');
+  const [createPayments, setCreatePayments] = useState(false);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  async function runImport(dryRun) {
+    setWorking(true);
+    setError('');
+    
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    formData.append('createPayments', String(createPayments));
+    if (branch) formData.append('branch', branch);
+    
+    try {
+      const importResult = await api.post('/members/import', formData);
+      setResult(importResult);
+      if (!dryRun) onImported();
+    } catch (error) {
+      console.error("Error importing members: ", error);
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  function handleFileChange(e) {
+    setFile(e.target.files[0] || null);
+    setResult(null);
+  }
+
+  const invalidRows = result ? result.rows.filter(row => row.status === 'invalid') : [];
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>Import Members</h2>
+        <p className="import-help">
+          Upload a .csv or .xlsx file with the columns Name, Email, Phone, Plan, Start Date and
+          optionally End Date, Status, Amount Paid, Payment Date, Payment Method and Reference.
+          Dates should be YYYY-MM-DD.
+        </p>
+        
+        {error && <p className="form-error">{error}</p>}
+        
+        <div className="form-group">
+          <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} />
+        </div>
+        
+        {branches.length > 1 && (
+          <div className="form-group">
+            <label>Import into</label>
+            <select value={branch} onChange={(e) => { setBranch(e.target.value); setResult(null); }}>
+              <option value="">Choose a branch</option>
+              {branches.map(b => (
+                <option key={b._id} value={b._id}>{b.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        
+        {can('payments.collect') && (
+          <label className="archived-toggle">
+            <input type="checkbox" checked={createPayments} onChange={(e) => { setCreatePayments(e.target.checked); setResult(null); }} />
+            Record Amount Paid as past payments
+          </label>
+        )}
+        
+        <div className="import-actions">
+          <button onClick={() => runImport(true)} disabled={!file || working} className="edit-button">
+            Preview
+          </button>
+          <button
+            onClick={() => runImport(false)}
+            disabled={!file || working || !result || !result.dryRun || result.valid === 0}
+            className="submit-button"
+          >
+            {result && result.dryRun ? `Import ${result.valid} valid rows` : 'Import'}
+          </button>
+        </div>
+        
+        {working && <p>Working...</p>}
+        
+        {result && (
+          <div className="import-result">
+            <p className={result.dryRun ? '' : 'notice'}>
+              {result.dryRun
+                ? `${result.valid} of ${result.total} rows are valid; ${result.invalid} have errors.`
+                : `Imported ${result.created} members; ${result.invalid} rows were skipped.`}
+            </p>
+            
+            {invalidRows.length > 0 && (
+              <table className="import-errors">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Email</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invalidRows.map(row => (
+                    <tr key={row.row}>
+                      <td>{row.row}</td>
+                      <td>{row.email || '-'}</td>
+                      <td>{row.errors.join('; ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportMembersModal;
+
+// File: src/components/MemberFormModal.js
+import React, { useState, useEffect } from 'react';
+import api from '../api/client';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  MEMBER_STATUSES,
+  toDateInput,
+  calculateEndDate,
+  validateMember,
+  hasErrors
+} from '../shared/validation';
+
+function planEndDate(plan, startDate) {
+  return plan && startDate ? toDateInput(calculateEndDate(plan, startDate)) : '';
+}
+
+// Plans sold at a branch: its own and those sold everywhere
+function plansAt(plans, branchId) {
+  return plans.filter(p => !p.branch || (p.branch._id || p.branch) === branchId);
+}
+
+function initialValues(member, plans, branches) {
+  if (member) {
+    return {
+      name: member.name,
+      email: member.email,
+      phone: member.phone,
+      branch: member.branch?._id || member.branch || '',
+      membershipType: member.membershipType?._id || member.membershipType || '',
+      startDate: toDateInput(member.startDate),
+      endDate: toDateInput(member.endDate),
+      status: member.status,
+      assignedTrainer: member.assignedTrainer?._id || member.assignedTrainer || ''
+    };
+  }
+  
+  const branch = branches.length === 1 ? branches[0]._id : '';
+  const firstPlan = plansAt(plans, branch)[0];
+  const startDate = toDateInput(new Date());
+  return {
+    name: '',
+    email: '',
+    phone: '',
+    branch,
+    membershipType: firstPlan?._id || '',
+    startDate,
+    endDate: planEndDate(firstPlan, startDate)
+  };
+}
+
+// Add a member, or edit one when `member` is passed. Dates follow the chosen plan
+// unless the user is allowed to set them by hand. Only plans sold at the member's
+// branch are offered.
+function MemberFormModal({ member, plans, branches = [], onClose, onSaved }) {
+  const { can } = useAuth();
+  const [values, setValues] = useState(() => initialValues(member, plans, branches));
+  const [manualDates, setManualDates] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [trainers, setTrainers] = useState([]);
+
+  const isEdit = Boolean(member);
+  const branchPlans = plansAt(plans, values.branch);
+  const plan = branchPlans.find(p => p._id === values.membershipType);
+
+  useEffect(() => {
+    if (!isEdit) return;
+    
+    async function fetchTrainers() {
+      try {
+        setTrainers(await api.get('/trainers'));
+      } catch (error) {
+        console.error("Error fetching trainers: ", error);
+      }
+    }
+    
+    fetchTrainers();
+  }, [isEdit]);
+
+  function handleChange(e) {
+    const next = { ...values, [e.target.name]: e.target.value };
+    
+    // The plan has to be chosen again if the new branch doesn't sell it
+    if (e.target.name === 'branch' && !plansAt(plans, next.branch).some(p => p._id === next.membershipType)) {
+      next.membershipType = '';
+    }
+    
+    if (!manualDates && ['branch', 'membershipType', 'startDate'].includes(e.target.name)) {
+      const nextPlan = plansAt(plans, next.branch).find(p => p._id === next.membershipType);
+      next.endDate = planEndDate(nextPlan, next.startDate);
+    }
+    
+    setValues(next);
+    setErrors({ ...errors, [e.target.name]: undefined });
+  }
+
+  function handleManualDates(e) {
+    setManualDates(e.target.checked);
+    
+    // Going back to plan dates recalculates the end date
+    if (!e.target.checked) {
+      setValues({ ...values, endDate: planEndDate(plan, values.startDate) });
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setFormError('');
+    
+    // When editing, untouched dates aren't checked against the plan (freezes extend them)
+    const datesUntouched = isEdit &&
+      values.membershipType === initialValues(member, plans, branches).membershipType &&
+      values.startDate === toDateInput(member.startDate) &&
+      values.endDate === toDateInput(member.endDate);
+    
+    const clientErrors = validateMember(values, {
+      plan,
+      allowDateOverride: manualDates || datesUntouched,
+      requireMembership: values.status !== 'pending'
+    });
+    
+    if (hasErrors(clientErrors)) {
+      setErrors(clientErrors);
+      return;
+    }
+    
+    setSaving(true);
+    try {
+      const result = isEdit
+        ? await api.put(`/members/${member._id}`, values)
+        : await api.post('/members', values);
+      onSaved(result);
+    } catch (error) {
+      console.error("Error saving member: ", error);
+      setErrors(error.data?.errors || {});
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function field(name, label, input) {
+    return (
+      <div className={`form-group${errors[name] ? ' has-error' : ''}`}>
+        <label>{label}</label>
+        {input}
+        {errors[name] && <span className="field-error">{errors[name]}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>{isEdit ? `Edit ${member.name}` : 'Add New Member'}</h2>
+        {formError && <p className="form-error">{formError}</p>}
+        <form onSubmit={handleSubmit} noValidate>
+          {field('name', 'Name',
+            <input type="text" name="name" value={values.name} onChange={handleChange} />
+          )}
+          {field('email', 'Email',
+            <input type="email" name="email" value={values.email} onChange={handleChange} />
+          )}
+          {field('phone', 'Phone',
+            <input type="tel" name="phone" placeholder="98765 43210" value={values.phone} onChange={handleChange} />
+          )}
+          {branches.length > 1 && field('branch', 'Home Branch',
+            <select name="branch" value={values.branch} onChange={handleChange}>
+              <option value="">Choose a branch</option>
+              {branches.map(branch => (
+                <option key={branch._id} value={branch._id}>{branch.name}</option>
+              ))}
+            </select>
+          )}
+          {field('membershipType', 'Membership Type',
+            <select name="membershipType" value={values.membershipType} onChange={handleChange}>
+              <option value="">Choose a plan</option>
+              {branchPlans.map(p => (
+                <option key={p._id} value={p._id}>{p.name}</option>
+              ))}
+            </select>
+          )}
+          {field('startDate', 'Start Date',
+            <input type="date" name="startDate" value={values.startDate} onChange={handleChange} />
+          )}
+          {field('endDate', 'End Date',
+            <input type="date" name="endDate" value={values.endDate} onChange={handleChange} disabled={!manualDates} />
+          )}
+          {can('members.override_dates') && (
+            <label className="archived-toggle">
+              <input type="checkbox" checked={manualDates} onChange={handleManualDates} />
+              Set the end date by hand
+            </label>
+          )}
+          {isEdit && field('assignedTrainer', 'Trainer',
+            <select name="assignedTrainer" value={values.assignedTrainer} onChange={handleChange}>
+              <option value="">No trainer</option>
+              {trainers.map(trainer => (
+                <option key={trainer._id} value={trainer.user._id}>{trainer.user.name}</option>
+              ))}
+            </select>
+          )}
+          {isEdit && field('status', 'Status',
+            <select name="status" value={values.status} onChange={handleChange}>
+              {MEMBER_STATUSES.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          )}
+          <button type="submit" className="submit-button" disabled={saving}>
+            {isEdit ? 'Save Changes' : 'Add Member'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default MemberFormModal;
+
+// File: src/components/CheckoutModal.js
+import React, { useState, useEffect } from 'react';
+import api from '../api/client';
+import { payForOrder, CheckoutCancelled } from '../api/checkout';
+import { calculateEndDate } from '../shared/validation';
+
+// When a plan bought today would run, following on from any time still left
+function previewTerm(plan, member) {
+  const currentEnd = member?.endDate ? new Date(member.endDate) : null;
+  const startDate = currentEnd && currentEnd > new Date() ? currentEnd : new Date();
+  return { startDate, endDate: calculateEndDate(plan, startDate) };
+}
+
+// Let a member pick a plan and pay for it online
+function CheckoutModal({ member, onClose, onPaid }) {
+  const [plans, setPlans] = useState([]);
+  const [planId, setPlanId] = useState('');
+  // choose, processing, success, pending, failed or cancelled
+  const [status, setStatus] = useState('choose');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    async function fetchPlans() {
+      try {
+        const activePlans = await api.get('/plans');
+        setPlans(activePlans);
+        
+        // Default to renewing the member's current plan if it's still offered
+        const currentPlan = activePlans.find(plan => plan._id === member?.membershipType?._id);
+        setPlanId((currentPlan || activePlans[0])?._id || '');
+      } catch (error) {
+        console.error("Error fetching plans: ", error);
+        setStatus('failed');
+        setMessage(error.message);
+      }
+    }
+    
+    fetchPlans();
+  }, [member]);
+
+  const selectedPlan = plans.find(plan => plan._id === planId);
+
+  function getTotalPrice(plan) {
+    return Math.round(plan.price * (100 + (plan.gstRate || 0))) / 100;
+  }
+
+  async function handlePay() {
+    setStatus('processing');
+    setMessage('');
+    
+    try {
+      const verification = await payForOrder({ planId }, { description: selectedPlan.name, member });
+      
+      if (verification.status === 'pending') {
+        setStatus('pending');
+        setMessage(verification.message);
+      } else {
+        setStatus('success');
+        setMessage(verification.message);
+      }
+      onPaid();
+    } catch (error) {
+      if (error instanceof CheckoutCancelled) {
+        setStatus('cancelled');
+        return;
+      }
+      console.error("Error completing payment: ", error);
+      setStatus('failed');
+      setMessage(error.message);
+    }
+  }
+
+  function renderStatus() {
+    switch (status) {
+      case 'processing':
+        return <p>Processing payment...</p>;
+      case 'success':
+        return <p className="notice">{message}</p>;
+      case 'pending':
+        return <p className="notice">{message}. Your membership will update once your bank confirms it.</p>;
+      case 'failed':
+        return <p className="form-error">{message || 'Payment failed'}</p>;
+      case 'cancelled':
+        return <p className="form-error">Payment cancelled. You have not been charged.</p>;
+      default:
+        return null;
+    }
+  }
+
+  const term = selectedPlan ? previewTerm(selectedPlan, member) : null;
+  const finished = status === 'success' || status === 'pending';
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>Renew Membership</h2>
+        
+        {renderStatus()}
+        
+        {!finished && (
+          <>
+            <div className="checkout-plans">
+              {plans.map(plan => (
+                <label key={plan._id} className={`checkout-plan ${plan._id === planId ? 'selected' : ''}`}>
+                  <input
+                    type="radio"
+                    name="plan"
+                    value={plan._id}
+                    checked={plan._id === planId}
+                    onChange={() => setPlanId(plan._id)}
+                    disabled={status === 'processing'}
+                  />
+                  <span className="checkout-plan-name">{plan.name}</span>
+                  <span className="checkout-plan-price">₹{getTotalPrice(plan)}</span>
+                  {plan.gstRate > 0 && <small>incl. {plan.gstRate}% GST</small>}
+                </label>
+              ))}
+            </div>
+            
+            {term && (
+              <p className="checkout-term">
+                Your membership will run from <strong>{term.startDate.toLocaleDateString()}</strong> to <strong>{term.endDate.toLocaleDateString()}</strong>.
+              </p>
+            )}
+            
+            <button onClick={handlePay} disabled={!selectedPlan || status === 'processing'} className="submit-button">
+              {status === 'failed' || status === 'cancelled' ? 'Try again' : `Pay ₹${selectedPlan ? getTotalPrice(selectedPlan) : 0}`}
+            </button>
+          </>
+        )}
+        
+        {finished && (
+          <button onClick={onClose} className="submit-button">Done</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CheckoutModal;
+
+// File: src/components/ProgressChart.js
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 56 };
+
+const formatValue = value => (Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1));
+
+// Line chart drawn as plain SVG. Points are { label, value }, oldest first.
+function ProgressChart({ points, unit = '', height = 180 }) {
+  const values = points.map(point => point.value);
+
+  if (points.length === 0 || values.every(value => value === 0)) {
+    return <p className="chart-empty">Nothing logged yet.</p>;
+  }
+
+  const max = Math.max(...values);
+  const min = Math.min(0, ...values);
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = height - PADDING.top - PADDING.bottom;
+
+  const x = index => PADDING.left + (points.length === 1 ? innerWidth / 2 : (index / (points.length - 1)) * innerWidth);
+  const y = value => PADDING.top + innerHeight - ((value - min) / (max - min || 1)) * innerHeight;
+
+  const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(point.value)}`).join(' ');
+  const gridValues = [min, (min + max) / 2, max];
+  // First, middle and last labels are enough to read the time axis
+  const labelled = new Set([0, Math.floor((points.length - 1) / 2), points.length - 1]);
+
+  return (
+    <svg className="progress-chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+      {gridValues.map(value => (
+        <g key={value}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} className="chart-grid" />
+          <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end" className="chart-label">
+            {formatValue(value)}{unit}
+          </text>
+        </g>
+      ))}
+      <path d={path} className="chart-line" />
+      {points.map((point, index) => (
+        <g key={index}>
+          <circle cx={x(index)} cy={y(point.value)} r="4" className="chart-point">
+            <title>{`${point.label}: ${formatValue(point.value)}${unit}`}</title>
+          </circle>
+          {labelled.has(index) && (
+            <text x={x(index)} y={height - 8} textAnchor="middle" className="chart-label">{point.label}</text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+export default ProgressChart;
+
+// File: src/components/AssessmentTrendChart.js
+import React, { useState } from 'react';
+import ProgressChart from './ProgressChart';
+import { ASSESSMENT_MEASURES, measureValue } from '../shared/assessments';
+
+// One measure over time, with a picker for which one. Assessments oldest first.
+function AssessmentTrendChart({ assessments }) {
+  const [measureKey, setMeasureKey] = useState('weightKg');
+  const measure = ASSESSMENT_MEASURES.find(item => item.key === measureKey);
+
+  const points = assessments
+    .filter(assessment => measureValue(assessment, measureKey) != null)
+    .map(assessment => ({
+      label: new Date(assessment.recordedAt).toLocaleDateString([], { day: 'numeric', month: 'short', year: '2-digit' }),
+      value: measureValue(assessment, measureKey)
+    }));
+
+  return (
+    <div className="assessment-trend">
+      <select value={measureKey} onChange={e => setMeasureKey(e.target.value)}>
+        {ASSESSMENT_MEASURES.map(item => (
+          <option key={item.key} value={item.key}>{item.label}</option>
+        ))}
+      </select>
+      <ProgressChart points={points} unit={measure.unit} />
+    </div>
+  );
+}
+
+export default AssessmentTrendChart;
+
+// File: src/components/AssessmentFormModal.js
+import React, { useState } from 'react';
+import api from '../api/client';
+import { toDateParam } from '../utils/dates';
+import { GIRTH_SITES, calculateBmi, bmiCategory } from '../shared/assessments';
+
+const NUMBER_FIELDS = ['weightKg', 'heightCm', 'bodyFatPercent', 'restingHeartRate'];
+
+const toInput = value => (value == null ? '' : String(value));
+
+const toNumber = value => (value === '' ? null : Number(value));
+
+function assessmentValues(assessment) {
+  const values = {
+    recordedAt: toDateParam(assessment ? new Date(assessment.recordedAt) : new Date()),
+    notes: assessment?.notes || '',
+    girths: {}
+  };
+  NUMBER_FIELDS.forEach(field => { values[field] = toInput(assessment?.[field]); });
+  GIRTH_SITES.forEach(site => { values.girths[site] = toInput(assessment?.girths?.[site]); });
+  return values;
+}
+
+// Record or correct an assessment. Blank fields weren't measured.
+function AssessmentFormModal({ member, assessment, onBehalf, onClose, onSaved }) {
+  const [values, setValues] = useState(() => assessmentValues(assessment));
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const bmi = calculateBmi(toNumber(values.weightKg), toNumber(values.heightCm));
+
+  function handleChange(e) {
+    setValues({ ...values, [e.target.name]: e.target.value });
+  }
+
+  function handleGirthChange(e) {
+    setValues({ ...values, girths: { ...values.girths, [e.target.name]: e.target.value } });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setFormError('');
+    setSaving(true);
+    
+    const body = {
+      // Today's date means now; earlier dates are recorded at midday
+      recordedAt: values.recordedAt === toDateParam(new Date()) ? new Date() : new Date(`${values.recordedAt}T12:00`),
+      notes: values.notes,
+      girths: {}
+    };
+    NUMBER_FIELDS.forEach(field => { body[field] = toNumber(values[field]); });
+    GIRTH_SITES.forEach(site => { body.girths[site] = toNumber(values.girths[site]); });
+    // Left blank on a new assessment, the server uses the last recorded height
+    if (!assessment && body.heightCm == null) delete body.heightCm;
+    
+    try {
+      const saved = assessment
+        ? await api.put(`/assessments/${assessment._id}`, body)
+        : await api.post('/assessments', { ...body, userId: onBehalf ? member._id : undefined });
+      onSaved(saved);
+    } catch (error) {
+      console.error("Error saving assessment: ", error);
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>{assessment ? 'Edit Assessment' : `New Assessment for ${member.name}`}</h2>
+        {formError && <p className="form-error">{formError}</p>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Date</label>
+            <input type="date" name="recordedAt" value={values.recordedAt} max={toDateParam(new Date())} onChange={handleChange} required />
+          </div>
+          <div className="assessment-grid">
+            <div className="form-group">
+              <label>Weight (kg)</label>
+              <input type="number" name="weightKg" min="20" max="400" step="0.1" value={values.weightKg} onChange={handleChange} />
+            </div>
+            <div className="form-group">
+              <label>Height (cm)</label>
+              <input type="number" name="heightCm" min="100" max="250" step="0.1" value={values.heightCm} onChange={handleChange} placeholder={assessment ? '' : 'Same as last time'} />
+            </div>
+            <div className="form-group">
+              <label>Body Fat (%)</label>
+              <input type="number" name="bodyFatPercent" min="2" max="70" step="0.1" value={values.bodyFatPercent} onChange={handleChange} />
+            </div>
+            <div className="form-group">
+              <label>Resting Heart Rate (bpm)</label>
+              <input type="number" name="restingHeartRate" min="25" max="220" value={values.restingHeartRate} onChange={handleChange} />
+            </div>
+            {GIRTH_SITES.map(site => (
+              <div key={site} className="form-group">
+                <label>{site[0].toUpperCase()}{site.slice(1)} (cm)</label>
+                <input type="number" name={site} min="10" max="300" step="0.1" value={values.girths[site]} onChange={handleGirthChange} />
+              </div>
+            ))}
+          </div>
+          {bmi != null && <p className="import-help">BMI {bmi} ({bmiCategory(bmi)})</p>}
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea name="notes" value={values.notes} onChange={handleChange} rows="2" />
+          </div>
+          <button type="submit" disabled={saving} className="submit-button">
+            {saving ? 'Saving...' : 'Save Assessment'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default AssessmentFormModal;
+
+// File: src/components/AssessmentTracker.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import api, { downloadFile } from '../api/client';
+import AssessmentFormModal from './AssessmentFormModal';
+import AssessmentTrendChart from './AssessmentTrendChart';
+import { measureValue, compareAssessments } from '../shared/assessments';
+
+const formatDate = date => new Date(date).toLocaleDateString();
+
+const show = value => (value == null ? '-' : value);
+
+// A member's assessments: history, trends, side-by-side comparison and the printable report.
+// Used by members for themselves and by trainers for the member they pick.
+function AssessmentTracker({ member }) {
+  const { currentUser, can } = useAuth();
+  const [assessments, setAssessments] = useState([]);
+  const [nextDueAt, setNextDueAt] = useState(null);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchAssessments = useCallback(async () => {
+    try {
+      const result = await api.get(`/assessments/member/${member._id}`);
+      setAssessments(result.assessments);
+      setNextDueAt(result.nextDueAt);
+      
+      // Compare the first and latest until the user picks others
+      const ids = result.assessments.map(assessment => assessment._id);
+      setCompare(previous => ({
+        from: ids.includes(previous.from) ? previous.from : ids[0] || '',
+        to: ids.includes(previous.to) ? previous.to : ids[ids.length - 1] || ''
+      }));
+    } catch (error) {
+      console.error("Error fetching assessments: ", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [member._id]);
+
+  useEffect(() => {
+    fetchAssessments();
+  }, [fetchAssessments]);
+
+  const onBehalf = member._id !== currentUser._id;
+  const canEdit = assessment =>
+    (assessment.recordedBy?._id || assessment.recordedBy) === currentUser._id || can('assessments.manage');
+
+  async function handleSaved() {
+    setEditing(null);
+    await fetchAssessments();
+  }
+
+  async function handleDelete(assessment) {
+    if (!window.confirm(`Delete the assessment from ${formatDate(assessment.recordedAt)}?`)) return;
+    
+    setError('');
+    try {
+      await api.delete(`/assessments/${assessment._id}`);
+      await fetchAssessments();
+    } catch (error) {
+      console.error("Error deleting assessment: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleReport() {
+    setDownloading(true);
+    setError('');
+    try {
+      await downloadFile(`/assessments/member/${member._id}/report?from=${compare.from}&to=${compare.to}`, 'progress-report.pdf');
+    } catch (error) {
+      console.error("Error downloading report: ", error);
+      setError(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  }
+
+  if (loading) {
+    return <div className="loading">Loading assessments...</div>;
+  }
+
+  const earlier = assessments.find(assessment => assessment._id === compare.from);
+  const later = assessments.find(assessment => assessment._id === compare.to);
+
+  return (
+    <div className="assessment-tracker">
+      {error && <p className="form-error">{error}</p>}
+      
+      <div className="classes-header">
+        <p>
+          {nextDueAt
+            ? <>Next assessment due <strong>{formatDate(nextDueAt)}</strong></>
+            : 'No assessments yet. The first one is done at joining.'}
+        </p>
+        {(!onBehalf || can('assessments.manage')) && (
+          <button onClick={() => setEditing({})} className="add-button">Record Assessment</button>
+        )}
+      </div>
+      
+      {assessments.length > 0 && (
+        <>
+          <section className="training-section">
+            <h2>Trends</h2>
+            <AssessmentTrendChart assessments={assessments} />
+          </section>
+          
+          <section className="training-section">
+            <h2>Compare</h2>
+            <div className="training-toolbar">
+              {['from', 'to'].map(field => (
+                <select key={field} value={compare[field]} onChange={e => setCompare({ ...compare, [field]: e.target.value })}>
+                  {assessments.map(assessment => (
+                    <option key={assessment._id} value={assessment._id}>{formatDate(assessment.recordedAt)}</option>
+                  ))}
+                </select>
+              ))}
+              <button onClick={handleReport} disabled={downloading} className="receipt-button">
+                {downloading ? 'Downloading...' : 'Download progress report'}
+              </button>
+            </div>
+            {earlier && later && (
+              <table className="payments-table assessment-compare">
+                <thead>
+                  <tr>
+                    <th>Measure</th>
+                    <th>{formatDate(earlier.recordedAt)}</th>
+                    <th>{formatDate(later.recordedAt)}</th>
+                    <th>Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {compareAssessments(earlier, later).map(row => (
+                    <tr key={row.key}>
+                      <td>{row.label}{row.unit && ` (${row.unit})`}</td>
+                      <td>{show(row.before)}</td>
+                      <td>{show(row.after)}</td>
+                      <td>
+                        {row.change == null ? '-' : `${row.change > 0 ? '+' : ''}${row.change}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+          
+          <section className="training-section">
+            <h2>History</h2>
+            <table className="payments-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Weight</th>
+                  <th>Body Fat</th>
+                  <th>BMI</th>
+                  <th>Waist</th>
+                  <th>RHR</th>
+                  <th>Recorded by</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...assessments].reverse().map(assessment => (
+                  <tr key={assessment._id}>
+                    <td>{formatDate(assessment.recordedAt)}</td>
+                    <td>{show(assessment.weightKg)}</td>
+                    <td>{show(assessment.bodyFatPercent)}</td>
+                    <td>{show(assessment.bmi)}</td>
+                    <td>{show(measureValue(assessment, 'girths.waist'))}</td>
+                    <td>{show(assessment.restingHeartRate)}</td>
+                    <td>{assessment.recordedBy?.name}</td>
+                    <td>
+                      {canEdit(assessment) && (
+                        <>
+                          <button onClick={() => setEditing(assessment)} className="edit-button">Edit</button>
+                          <button onClick={() => handleDelete(assessment)} className="delete-button">Delete</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </>
+      )}
+      
+      {editing && (
+        <AssessmentFormModal
+          member={member}
+          assessment={editing._id ? editing : null}
+          onBehalf={onBehalf}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+}
+
+export default AssessmentTracker;
+
+// File: src/components/MemberPicker.js
+import React, { useState, useEffect } from 'react';
+import { searchMembers } from '../api/members';
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+// Search the members the user can see and choose one. Only the best matches are
+// fetched, since staff can see thousands of members.
+function MemberPicker({ member, onChange, required = false }) {
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    let stale = false;
+    
+    const timer = setTimeout(async () => {
+      try {
+        const result = await searchMembers(search.trim());
+        if (!stale) setMatches(result);
+      } catch (error) {
+        console.error("Error searching members: ", error);
+      }
+    }, SEARCH_DELAY_MS);
+    
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [search]);
+
+  // The chosen member stays listed while the search moves on
+  const options = member && !matches.some(item => item._id === member._id) ? [member, ...matches] : matches;
+
+  return (
+    <div className="member-picker">
+      <input
+        type="search"
+        placeholder="Search name, email or phone"
+        value={search}
+        onChange={e => setSearch(e.target.value)}
+      />
+      <select
+        value={member?._id || ''}
+        onChange={e => onChange(options.find(item => item._id === e.target.value) || null)}
+        required={required}
+      >
+        <option value="">Choose a member</option>
+        {options.map(item => (
+          <option key={item._id} value={item._id}>{item.name} ({item.phone})</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default MemberPicker;
+
+// File: src/pages/user/Payments.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../api/client';
+import DownloadReceiptButton from '../../components/DownloadReceiptButton';
+
+function UserPayments() {
+  const { currentUser } = useAuth();
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchPayments() {
+      if (!currentUser) return;
+      
+      try {
+        setPayments(await api.get(`/payments/user/${currentUser._id}`));
+      } catch (error) {
+        console.error("Error fetching payments:", error);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchPayments();
+  }, [currentUser]);
+
+  if (loading) {
+    return <div className="loading">Loading payments...</div>;
+  }
+
+  return (
+    <div className="payments-page">
+      <h1>Payment History</h1>
+      
+      {payments.length === 0 ? (
+        <p>No payments yet.</p>
+      ) : (
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Plan</th>
+              <th>Amount</th>
+              <th>Status</th>
+              <th>Invoice</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {payments.map(payment => (
+              <tr key={payment._id}>
+                <td>{new Date(payment.createdAt).toLocaleDateString()}</td>
+                <td>{payment.membership?.name || payment.paymentType}</td>
+                <td>₹{payment.amount}</td>
+                <td>{payment.status}</td>
+                <td>{payment.invoiceNumber || '-'}</td>
+                <td><DownloadReceiptButton payment={payment} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default UserPayments;
+
+// File: src/pages/admin/Payments.js
+import React, { useState, useEffect } from 'react';
+import api, { downloadFile } from '../../api/client';
+import DownloadReceiptButton from '../../components/DownloadReceiptButton';
+
+function Payments() {
+  const [payments, setPayments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('');
+  const [branch, setBranch] = useState('');
+  const [branches, setBranches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchBranches() {
+      try {
+        setBranches(await api.get('/branches'));
+      } catch (error) {
+        console.error("Error fetching branches: ", error);
+      }
+    }
+    
+    fetchBranches();
+  }, []);
+
+  useEffect(() => {
+    async function fetchPayments() {
+      setLoading(true);
+      
+      const params = new URLSearchParams({ page });
+      if (status) params.append('status', status);
+      if (branch) params.append('branch', branch);
+      
+      try {
+        const result = await api.get(`/payments?${params}`);
+        setPayments(result.payments);
+        setTotal(result.total);
+        setPages(result.pages);
+      } catch (error) {
+        console.error("Error fetching payments: ", error);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchPayments();
+  }, [page, status, branch]);
+
+  async function handleExport(format) {
+    const params = new URLSearchParams({ format });
+    if (status) params.append('status', status);
+    if (branch) params.append('branch', branch);
+    
+    try {
+      await downloadFile(`/payments/export?${params}`, `payments.${format}`);
+    } catch (error) {
+      console.error("Error exporting payments: ", error);
+      window.alert(error.message);
+    }
+  }
+
+  return (
+    <div className="payments-page">
+      <h1>Payments</h1>
+      
+      <div className="payments-toolbar">
+        <button onClick={() => handleExport('csv')} className="receipt-button">Export CSV</button>
+        <button onClick={() => handleExport('xlsx')} className="receipt-button">Export Excel</button>
+      </div>
+      
+      <select value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }}>
+        <option value="">All statuses</option>
+        <option value="completed">Completed</option>
+        <option value="pending">Pending</option>
+        <option value="failed">Failed</option>
+        <option value="expired">Expired</option>
+        <option value="partially_refunded">Partially refunded</option>
+        <option value="refunded">Refunded</option>
+      </select>
+      
+      {branches.length > 1 && (
+        <select value={branch} onChange={(e) => { setBranch(e.target.value); setPage(1); }}>
+          <option value="">All my branches</option>
+          {branches.map(b => (
+            <option key={b._id} value={b._id}>{b.name}</option>
+          ))}
+        </select>
+      )}
+      
+      {loading ? (
+        <p>Loading payments...</p>
+      ) : (
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Member</th>
+              <th>Branch</th>
+              <th>Plan</th>
+              <th>Amount</th>
+              <th>Method</th>
+              <th>Status</th>
+              <th>Invoice</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {payments.map(payment => (
+              <tr key={payment._id}>
+                <td>{new Date(payment.createdAt).toLocaleDateString()}</td>
+                <td>{payment.userId?.name || 'Unknown'}</td>
+                <td>{payment.branch?.name || '-'}</td>
+                <td>{payment.membership?.name || payment.paymentType}</td>
+                <td>₹{payment.amount}</td>
+                <td>{payment.paymentMethod || '-'}</td>
+                <td>{payment.status}</td>
+                <td>{payment.invoiceNumber || '-'}</td>
+                <td><DownloadReceiptButton payment={payment} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      
+      <div className="pagination">
+        <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+        <span>Page {page} of {pages || 1} ({total} payments)</span>
+        <button disabled={page >= pages} onClick={() => setPage(page + 1)}>Next</button>
+      </div>
+    </div>
+  );
+}
+
+export default Payments;
+
+// File: src/pages/admin/AuditLog.js
+import React, { useState, useEffect } from 'react';
+import api from '../../api/client';
+
+const emptyFilters = {
+  targetType: '',
+  action: '',
+  targetId: '',
+  from: '',
+  to: ''
+};
+
+// Show values the way they were saved; objects and lists as JSON
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function AuditLog() {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [applied, setApplied] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ entries: [], total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function fetchEntries() {
+      setLoading(true);
+      setError('');
+      
+      const params = new URLSearchParams({ page });
+      Object.entries(applied).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      
+      try {
+        setResult(await api.get(`/audit?${params}`));
+      } catch (error) {
+        console.error("Error fetching audit log: ", error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchEntries();
+  }, [applied, page]);
+
+  function handleChange(e) {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  }
+
+  function handleSearch(e) {
+    e.preventDefault();
+    setPage(1);
+    setApplied(filters);
+  }
+
+  return (
+    <div className="audit-page">
+      <h1>Audit Log</h1>
+      
+      <form className="audit-filters" onSubmit={handleSearch}>
+        <select name="targetType" value={filters.targetType} onChange={handleChange}>
+          <option value="">All records</option>
+          <option value="member">Members</option>
+          <option value="payment">Payments</option>
+          <option value="plan">Plans</option>
+          <option value="trainer">Trainers</option>
+          <option value="pt_package">PT packages</option>
+          <option value="class">Classes</option>
+          <option value="workout_program">Workout programs</option>
+          <option value="freeze">Freezes</option>
+          <option value="branch">Branches</option>
+          <option value="settings">Settings</option>
+        </select>
+        <input name="action" placeholder="Action, e.g. member.update" value={filters.action} onChange={handleChange} />
+        <input name="targetId" placeholder="Record ID" value={filters.targetId} onChange={handleChange} />
+        <input type="date" name="from" value={filters.from} onChange={handleChange} />
+        <input type="date" name="to" value={filters.to} onChange={handleChange} />
+        <button type="submit" className="submit-button">Search</button>
+      </form>
+      
+      {error && <p className="form-error">{error}</p>}
+      
+      {loading ? (
+        <p>Loading audit log...</p>
+      ) : (
+        <>
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Who</th>
+                <th>Action</th>
+                <th>Record</th>
+                <th>Changes</th>
+                <th>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.entries.map(entry => (
+                <tr key={entry._id}>
+                  <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td>{entry.actor?.name || 'Unknown'} <span className="audit-role">{entry.actorRole}</span></td>
+                  <td>{entry.action}</td>
+                  <td>{entry.targetType} <code>{entry.targetId}</code></td>
+                  <td>
+                    <ul className="audit-changes">
+                      {entry.changes.map(change => (
+                        <li key={change.field}>
+                          <strong>{change.field}</strong>: {formatValue(change.before)} → {formatValue(change.after)}
+                        </li>
+                      ))}
+                    </ul>
+                    {entry.note && <em>{entry.note}</em>}
+                  </td>
+                  <td>{entry.ip || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          
+          {result.entries.length === 0 && <p>No entries match these filters.</p>}
+          
+          <div className="pagination">
+            <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {result.page || page} of {result.pages || 1} ({result.total} entries)</span>
+            <button disabled={page >= result.pages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
+
+// File: src/pages/user/Training.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../api/client';
+import { payForOrder, CheckoutCancelled } from '../../api/checkout';
+import { startOfDay, addDays, toDateParam, formatTime } from '../../utils/dates';
+
+const DAYS_SHOWN = 7;
+
+function formatSessionStatus(status) {
+  return status.replace('_', ' ');
+}
+
+// Buy PT packages, book sessions in a trainer's free slots and manage bookings
+function UserTraining() {
+  const { currentUser, userData } = useAuth();
+  const [purchases, setPurchases] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [packages, setPackages] = useState([]);
+  const [trainers, setTrainers] = useState([]);
+  const [trainerId, setTrainerId] = useState('');
+  const [weekStart, setWeekStart] = useState(() => startOfDay(new Date()));
+  const [slots, setSlots] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchBookings = useCallback(async () => {
+    if (!currentUser) return;
+    
+    try {
+      const [memberPurchases, memberSessions] = await Promise.all([
+        api.get(`/training/purchases/member/${currentUser._id}`),
+        api.get(`/training/sessions/member/${currentUser._id}`)
+      ]);
+      setPurchases(memberPurchases);
+      setSessions(memberSessions);
+    } catch (error) {
+      console.error("Error fetching training: ", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  const fetchSlots = useCallback(async () => {
+    if (!trainerId) return;
+    
+    try {
+      setSlots(await api.get(`/trainers/${trainerId}/slots?from=${toDateParam(weekStart)}&days=${DAYS_SHOWN}`));
+    } catch (error) {
+      console.error("Error fetching slots: ", error);
+      setSlots([]);
+    }
+  }, [trainerId, weekStart]);
+
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]);
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  useEffect(() => {
+    async function fetchCatalogue() {
+      try {
+        const [activePackages, activeTrainers] = await Promise.all([
+          api.get('/training/packages'),
+          api.get('/trainers')
+        ]);
+        setPackages(activePackages);
+        setTrainers(activeTrainers);
+        
+        // Start with the member's own trainer when they have one
+        const assigned = activeTrainers.find(trainer => trainer.user._id === userData?.assignedTrainer);
+        setTrainerId((assigned || activeTrainers[0])?.user._id || '');
+      } catch (error) {
+        console.error("Error fetching trainers: ", error);
+      }
+    }
+    
+    fetchCatalogue();
+  }, [userData]);
+
+  const now = new Date();
+  const usablePurchases = purchases.filter(purchase => new Date(purchase.expiresAt) > now && purchase.sessionsLeft > 0);
+  const sessionsLeft = usablePurchases.reduce((total, purchase) => total + purchase.sessionsLeft, 0);
+  const days = Array.from({ length: DAYS_SHOWN }, (_, i) => addDays(weekStart, i));
+
+  async function runAction(action, errorLabel) {
+    setBusy(true);
+    setMessage('');
+    setError('');
+    
+    try {
+      setMessage(await action());
+      await Promise.all([fetchBookings(), fetchSlots()]);
+    } catch (error) {
+      if (!(error instanceof CheckoutCancelled)) {
+        console.error(`Error ${errorLabel}: `, error);
+        setError(error.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleBuy(ptPackage) {
+    runAction(async () => {
+      const result = await payForOrder({ ptPackageId: ptPackage._id }, { description: ptPackage.name, member: userData });
+      return result.status === 'pending'
+        ? `${result.message}. Your sessions will appear once your bank confirms it.`
+        : result.message;
+    }, 'buying package');
+  }
+
+  function handleBook(slot) {
+    if (!window.confirm(`Book a session on ${new Date(slot.startTime).toLocaleDateString()} at ${formatTime(slot.startTime)}?`)) return;
+    
+    runAction(async () => {
+      await api.post('/training/sessions', { trainerId, startTime: slot.startTime });
+      return 'Session booked';
+    }, 'booking session');
+  }
+
+  function handleCancel(session) {
+    if (!window.confirm('Cancel this session? Cancelling at short notice uses up the session.')) return;
+    
+    runAction(async () => {
+      const result = await api.put(`/training/sessions/${session._id}/cancel`, {});
+      return result.message;
+    }, 'cancelling session');
+  }
+
+  if (loading) {
+    return <div className="loading">Loading training...</div>;
+  }
+
+  return (
+    <div className="training-page">
+      <h1>Personal Training</h1>
+      
+      {message && <p className="notice">{message}</p>}
+      {error && <p className="form-error">{error}</p>}
+      
+      <section className="training-section">
+        <h2>Your Sessions</h2>
+        <p>You have <strong>{sessionsLeft}</strong> PT sessions left.</p>
+        {usablePurchases.map(purchase => (
+          <p key={purchase._id} className="training-purchase">
+            {purchase.package?.name}: {purchase.sessionsLeft} of {purchase.sessionsTotal} left
+            {purchase.trainer && ` with ${purchase.trainer.name}`}, use by {new Date(purchase.expiresAt).toLocaleDateString()}
+          </p>
+        ))}
+      </section>
+      
+      <section className="training-section">
+        <h2>Buy a Package</h2>
+        {packages.length === 0 ? (
+          <p>No packages on sale right now. Ask at the front desk.</p>
+        ) : (
+          <div className="training-packages">
+            {packages.map(ptPackage => (
+              <div key={ptPackage._id} className="card training-package">
+                <h3>{ptPackage.name}</h3>
+                <p>{ptPackage.sessions} sessions, valid for {ptPackage.validityDays} days</p>
+                {ptPackage.trainer && <p>With {ptPackage.trainer.name}</p>}
+                {ptPackage.description && <p>{ptPackage.description}</p>}
+                <button onClick={() => handleBuy(ptPackage)} disabled={busy} className="submit-button">
+                  Buy for ₹{Math.round(ptPackage.price * (100 + ptPackage.gstRate)) / 100}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+      
+      <section className="training-section">
+        <h2>Book a Session</h2>
+        <div className="training-toolbar">
+          <select value={trainerId} onChange={(e) => setTrainerId(e.target.value)}>
+            {trainers.map(trainer => (
+              <option key={trainer._id} value={trainer.user._id}>{trainer.user.name}</option>
+            ))}
+          </select>
+          <button onClick={() => setWeekStart(addDays(weekStart, -DAYS_SHOWN))} disabled={weekStart <= startOfDay(now)}>
+            Previous week
+          </button>
+          <button onClick={() => setWeekStart(addDays(weekStart, DAYS_SHOWN))}>Next week</button>
+        </div>
+        
+        {sessionsLeft === 0 && <p>Buy a package to book sessions.</p>}
+        
+        <div className="slot-calendar">
+          {days.map(day => {
+            const daySlots = slots.filter(slot => startOfDay(slot.startTime).getTime() === day.getTime());
+            return (
+              <div key={day.getTime()} className="slot-day">
+                <h3>{day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}</h3>
+                {daySlots.length === 0 ? (
+                  <p className="slot-empty">No free slots</p>
+                ) : (
+                  daySlots.map(slot => (
+                    <button
+                      key={slot.startTime}
+                      onClick={() => handleBook(slot)}
+                      disabled={busy || sessionsLeft === 0}
+                      className="slot-button"
+                    >
+                      {formatTime(slot.startTime)}
+                    </button>
+                  ))
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </section>
+      
+      <section className="training-section">
+        <h2>Your Bookings</h2>
+        {sessions.length === 0 ? (
+          <p>No sessions booked yet.</p>
+        ) : (
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Time</th>
+                <th>Trainer</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session._id}>
+                  <td>{new Date(session.startTime).toLocaleDateString()}</td>
+                  <td>{formatTime(session.startTime)} - {formatTime(session.endTime)}</td>
+                  <td>{session.trainer?.name}</td>
+                  <td>{formatSessionStatus(session.status)}</td>
+                  <td>
+                    {session.status === 'booked' && new Date(session.startTime) > now && (
+                      <button onClick={() => handleCancel(session)} disabled={busy} className="delete-button">
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default UserTraining;
+
+// File: src/pages/trainer/Sessions.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../api/client';
+import { addDays, toDateParam, formatTime } from '../../utils/dates';
+
+// Sessions from a week back are listed so missed outcomes can still be marked
+const DAYS_BACK = 7;
+
+// A trainer's booked PT sessions, grouped by day
+function TrainerSessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setSessions(await api.get(`/trainers/me/sessions?from=${toDateParam(addDays(new Date(), -DAYS_BACK))}`));
+    } catch (error) {
+      console.error("Error fetching sessions: ", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  async function handleOutcome(session, status) {
+    setError('');
+    try {
+      await api.put(`/training/sessions/${session._id}/outcome`, { status });
+      await fetchSessions();
+    } catch (error) {
+      console.error("Error updating session: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleCancel(session) {
+    const reason = window.prompt('Reason for cancelling (the member gets the session back):');
+    if (reason === null) return;
+    
+    setError('');
+    try {
+      await api.put(`/training/sessions/${session._id}/cancel`, { reason });
+      await fetchSessions();
+    } catch (error) {
+      console.error("Error cancelling session: ", error);
+      setError(error.message);
+    }
+  }
+
+  if (loading) {
+    return <div className="loading">Loading sessions...</div>;
+  }
+
+  const now = new Date();
+  const days = sessions.reduce((groups, session) => {
+    const day = new Date(session.startTime).toDateString();
+    (groups[day] = groups[day] || []).push(session);
+    return groups;
+  }, {});
+
+  return (
+    <div className="trainer-sessions-page">
+      <h1>My Sessions</h1>
+      
+      {error && <p className="form-error">{error}</p>}
+      
+      {sessions.length === 0 ? (
+        <p>No upcoming sessions.</p>
+      ) : (
+        Object.entries(days).map(([day, daySessions]) => (
+          <section key={day} className="training-section">
+            <h2>{new Date(day).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' })}</h2>
+            <table className="payments-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Member</th>
+                  <th>Phone</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {daySessions.map(session => (
+                  <tr key={session._id}>
+                    <td>{formatTime(session.startTime)} - {formatTime(session.endTime)}</td>
+                    <td>{session.userId?.name}</td>
+                    <td>{session.userId?.phone}</td>
+                    <td>
+                      {new Date(session.startTime) <= now ? (
+                        <>
+                          <button onClick={() => handleOutcome(session, 'completed')} className="edit-button">Completed</button>
+                          <button onClick={() => handleOutcome(session, 'no_show')} className="delete-button">No-show</button>
+                        </>
+                      ) : (
+                        <button onClick={() => handleCancel(session)} className="delete-button">Cancel</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default TrainerSessions;
+
+// File: src/pages/user/Classes.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../api/client';
+import { payForOrder, CheckoutCancelled } from '../../api/checkout';
+import { startOfDay, addDays, toDateParam, formatTime } from '../../utils/dates';
+
+const DAYS_SHOWN = 7;
+
+// Book group classes from the weekly timetable, join waitlists and cancel
+function UserClasses() {
+  const { userData } = useAuth();
+  const [weekStart, setWeekStart] = useState(() => startOfDay(new Date()));
+  const [sessions, setSessions] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setSessions(await api.get(`/classes/sessions?from=${toDateParam(weekStart)}&days=${DAYS_SHOWN}`));
+    } catch (error) {
+      console.error("Error fetching classes: ", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [weekStart]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  async function runAction(action, errorLabel) {
+    setBusy(true);
+    setMessage('');
+    setError('');
+    
+    try {
+      setMessage(await action());
+      await fetchSessions();
+    } catch (error) {
+      if (!(error instanceof CheckoutCancelled)) {
+        console.error(`Error ${errorLabel}: `, error);
+        setError(error.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleBook(session) {
+    runAction(async () => {
+      // Classes outside the member's plan are paid for first, then booked by the server
+      if (session.access === 'drop_in') {
+        const result = await payForOrder({ classSessionId: session._id }, { description: session.template.name, member: userData });
+        return result.message;
+      }
+      
+      const booking = await api.post(`/classes/sessions/${session._id}/book`, {});
+      return booking.status === 'waitlisted'
+        ? "The class is full, so you're on the waitlist. We'll let you know if a spot opens."
+        : 'Class booked';
+    }, 'booking class');
+  }
+
+  function handleCancel(session) {
+    const leaving = session.myBooking.status === 'waitlisted';
+    if (!window.confirm(leaving ? 'Leave the waitlist?' : 'Cancel this booking? Cancelling at short notice counts as a late cancellation.')) return;
+    
+    runAction(async () => {
+      const result = await api.put(`/classes/bookings/${session.myBooking._id}/cancel`, {});
+      return result.message;
+    }, 'cancelling booking');
+  }
+
+  function renderAction(session) {
+    const { myBooking } = session;
+    
+    if (session.status === 'cancelled') {
+      return <span className="class-state">Cancelled</span>;
+    }
+    
+    if (myBooking && ['booked', 'waitlisted'].includes(myBooking.status)) {
+      return (
+        <>
+          <span className="class-state">{myBooking.status === 'booked' ? 'Booked' : 'On waitlist'}</span>
+          {new Date(session.startTime) > new Date() && (
+            <button onClick={() => handleCancel(session)} disabled={busy} className="delete-button">
+              {myBooking.status === 'booked' ? 'Cancel' : 'Leave'}
+            </button>
+          )}
+        </>
+      );
+    }
+    
+    if (myBooking && ['attended', 'no_show'].includes(myBooking.status)) {
+      return <span className="class-state">{myBooking.status === 'attended' ? 'Attended' : 'Missed'}</span>;
+    }
+    
+    if (new Date(session.startTime) <= new Date()) {
+      return null;
+    }
+    
+    if (session.access === 'none') {
+      return <span className="class-state">Not in your plan</span>;
+    }
+    
+    const full = session.spotsLeft === 0;
+    const price = session.access === 'drop_in' ? `Pay ₹${session.dropInTotal} and ` : '';
+    
+    return (
+      <button onClick={() => handleBook(session)} disabled={busy} className="submit-button">
+        {price ? `${price}${full ? 'join waitlist' : 'book'}` : full ? 'Join waitlist' : 'Book'}
+      </button>
+    );
+  }
+
+  if (loading) {
+    return <div className="loading">Loading classes...</div>;
+  }
+
+  const days = Array.from({ length: DAYS_SHOWN }, (_, i) => addDays(weekStart, i));
+
+  return (
+    <div className="classes-page">
+      <h1>Group Classes</h1>
+      
+      {message && <p className="notice">{message}</p>}
+      {error && <p className="form-error">{error}</p>}
+      
+      <div className="training-toolbar">
+        <button onClick={() => setWeekStart(addDays(weekStart, -DAYS_SHOWN))} disabled={weekStart <= startOfDay(new Date())}>
+          Previous week
+        </button>
+        <button onClick={() => setWeekStart(addDays(weekStart, DAYS_SHOWN))}>Next week</button>
+      </div>
+      
+      {days.map(day => {
+        const daySessions = sessions.filter(session => startOfDay(session.startTime).getTime() === day.getTime());
+        return (
+          <section key={day.getTime()} className="training-section">
+            <h2>{day.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' })}</h2>
+            {daySessions.length === 0 ? (
+              <p className="slot-empty">No classes</p>
+            ) : (
+              daySessions.map(session => (
+                <div key={session._id} className={`class-row ${session.status === 'cancelled' ? 'cancelled' : ''}`}>
+                  <span className="class-time">{formatTime(session.startTime)} - {formatTime(session.endTime)}</span>
+                  <span className="class-name">
+                    <strong>{session.template.name}</strong>
+                    <small>{session.instructor?.name}{session.room && `, ${session.room}`}</small>
+                  </span>
+                  <span className="class-spots">
+                    {session.spotsLeft > 0 ? `${session.spotsLeft} spots left` : `Full, ${session.waitlistCount} waiting`}
+                  </span>
+                  <span className="class-action">{renderAction(session)}</span>
+                </div>
+              ))
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default UserClasses;
+
+// File: src/pages/admin/Classes.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../api/client';
+import { toDateParam, formatTime } from '../../utils/dates';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  description: '',
+  instructor: '',
+  room: '',
+  capacity: 20,
+  daysOfWeek: [],
+  startTime: '07:00',
+  durationMinutes: 60,
+  endsOn: '',
+  includedInPlans: [],
+  dropInPrice: 0,
+  gstRate: 18,
+  isActive: true
+};
+
+function templateValues(template) {
+  if (!template) return EMPTY_TEMPLATE;
+
+  return {
+    ...EMPTY_TEMPLATE,
+    ...template,
+    instructor: template.instructor?._id || template.instructor || '',
+    endsOn: template.endsOn ? toDateParam(new Date(template.endsOn)) : '',
+    includedInPlans: (template.includedInPlans || []).map(plan => plan._id || plan)
+  };
+}
+
+// Add or edit a recurring class
+function ClassTemplateModal({ template, instructors, plans, onClose, onSaved }) {
+  const [values, setValues] = useState(() => templateValues(template));
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  function handleChange(e) {
+    const { name, value, type, checked } = e.target;
+    setValues({ ...values, [name]: type === 'checkbox' ? checked : value });
+  }
+
+  function toggleIn(field, value) {
+    const list = values[field];
+    setValues({ ...values, [field]: list.includes(value) ? list.filter(item => item !== value) : [...list, value] });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setFormError('');
+    setSaving(true);
+    
+    try {
+      const saved = template
+        ? await api.put(`/classes/templates/${template._id}`, values)
+        : await api.post('/classes/templates', values);
+      onSaved(saved);
+    } catch (error) {
+      console.error("Error saving class: ", error);
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>{template ? `Edit ${template.name}` : 'Add Class'}</h2>
+        {template && <p className="import-help">Changing days or time cancels booked sessions that no longer fit and tells the members.</p>}
+        {formError && <p className="form-error">{formError}</p>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name</label>
+            <input type="text" name="name" value={values.name} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label>Instructor</label>
+            <select name="instructor" value={values.instructor} onChange={handleChange} required>
+              <option value="">Choose an instructor</option>
+              {instructors.map(trainer => (
+                <option key={trainer._id} value={trainer.user._id}>{trainer.user.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Room</label>
+            <input type="text" name="room" value={values.room} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label>Capacity</label>
+            <input type="number" name="capacity" min="1" value={values.capacity} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label>Days</label>
+            <div className="weekday-picker">
+              {WEEKDAYS.map((day, index) => (
+                <label key={day}>
+                  <input type="checkbox" checked={values.daysOfWeek.includes(index)} onChange={() => toggleIn('daysOfWeek', index)} />
+                  {day}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Start Time</label>
+            <input type="time" name="startTime" value={values.startTime} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label>Length (minutes)</label>
+            <input type="number" name="durationMinutes" min="15" max="240" value={values.durationMinutes} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label>Last Day (optional)</label>
+            <input type="date" name="endsOn" value={values.endsOn} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label>Included in Plans</label>
+            <div className="weekday-picker">
+              {plans.map(plan => (
+                <label key={plan._id}>
+                  <input type="checkbox" checked={values.includedInPlans.includes(plan._id)} onChange={() => toggleIn('includedInPlans', plan._id)} />
+                  {plan.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Drop-in Price before GST (0 = plan members only)</label>
+            <input type="number" name="dropInPrice" min="0" value={values.dropInPrice} onChange={handleChange} />
+          </div>
+          <label className="archived-toggle">
+            <input type="checkbox" name="isActive" checked={values.isActive} onChange={handleChange} />
+            Running
+          </label>
+          <button type="submit" disabled={saving} className="submit-button">
+            {saving ? 'Saving...' : 'Save Class'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Class timetable for managers, and this week's sessions with rosters for instructors
+function AdminClasses() {
+  const { can } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [instructors, setInstructors] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [roster, setRoster] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const canManage = can('classes.manage');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setSessions(await api.get(`/classes/sessions/teaching?from=${toDateParam(new Date())}&days=7`));
+    } catch (error) {
+      console.error("Error fetching sessions: ", error);
+      setError(error.message);
+    }
+  }, []);
+
+  const fetchTemplates = useCallback(async () => {
+    if (!canManage) return;
+    
+    try {
+      const [allTemplates, trainers, activePlans] = await Promise.all([
+        api.get('/classes/templates?all=true'),
+        api.get('/trainers'),
+        api.get('/plans')
+      ]);
+      setTemplates(allTemplates);
+      setInstructors(trainers);
+      setPlans(activePlans);
+    } catch (error) {
+      console.error("Error fetching classes: ", error);
+      setError(error.message);
+    }
+  }, [canManage]);
+
+  useEffect(() => {
+    Promise.all([fetchSessions(), fetchTemplates()]).finally(() => setLoading(false));
+  }, [fetchSessions, fetchTemplates]);
+
+  async function openRoster(session) {
+    setError('');
+    try {
+      setRoster(await api.get(`/classes/sessions/${session._id}/roster`));
+    } catch (error) {
+      console.error("Error fetching roster: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleAttendance(booking, status) {
+    setError('');
+    try {
+      await api.put(`/classes/bookings/${booking._id}/attendance`, { status });
+      await openRoster(roster.session);
+    } catch (error) {
+      console.error("Error marking attendance: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleCancelSession(session) {
+    const reason = window.prompt('Reason for cancelling (sent to everyone booked):');
+    if (reason === null) return;
+    
+    setError('');
+    try {
+      await api.put(`/classes/sessions/${session._id}/cancel`, { reason: reason || undefined });
+      await fetchSessions();
+    } catch (error) {
+      console.error("Error cancelling class: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleSaved() {
+    setEditing(null);
+    await Promise.all([fetchTemplates(), fetchSessions()]);
+  }
+
+  if (loading) {
+    return <div className="loading">Loading classes...</div>;
+  }
+
+  const now = new Date();
+
+  return (
+    <div className="classes-page">
+      <h1>Classes</h1>
+      
+      {error && <p className="form-error">{error}</p>}
+      
+      {canManage && (
+        <section className="training-section">
+          <div className="classes-header">
+            <h2>Timetable</h2>
+            <button onClick={() => setEditing({})} className="add-button">Add Class</button>
+          </div>
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Class</th>
+                <th>Instructor</th>
+                <th>When</th>
+                <th>Capacity</th>
+                <th>Drop-in</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template._id}>
+                  <td>{template.name}</td>
+                  <td>{template.instructor?.name}</td>
+                  <td>{template.daysOfWeek.map(day => WEEKDAYS[day]).join(', ')} at {template.startTime}</td>
+                  <td>{template.capacity}</td>
+                  <td>{template.dropInPrice > 0 ? `₹${template.dropInPrice} + GST` : 'Plan members only'}</td>
+                  <td>{template.isActive ? 'Running' : 'Stopped'}</td>
+                  <td><button onClick={() => setEditing(template)} className="edit-button">Edit</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+      
+      <section className="training-section">
+        <h2>This Week</h2>
+        {sessions.length === 0 ? (
+          <p>No classes this week.</p>
+        ) : (
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Time</th>
+                <th>Class</th>
+                <th>Instructor</th>
+                <th>Booked</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session._id}>
+                  <td>{new Date(session.startTime).toLocaleDateString()}</td>
+                  <td>{formatTime(session.startTime)}</td>
+                  <td>{session.template?.name}</td>
+                  <td>{session.instructor?.name}</td>
+                  <td>{session.bookedCount} / {session.capacity}</td>
+                  <td>{session.status}</td>
+                  <td>
+                    <button onClick={() => openRoster(session)} className="edit-button">Roster</button>
+                    {canManage && session.status === 'scheduled' && new Date(session.startTime) > now && (
+                      <button onClick={() => handleCancelSession(session)} className="delete-button">Cancel</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+      
+      {roster && (
+        <div className="modal">
+          <div className="modal-content">
+            <span className="close" onClick={() => setRoster(null)}>&times;</span>
+            <h2>{roster.session.template?.name}, {new Date(roster.session.startTime).toLocaleString()}</h2>
+            {roster.attendees.length === 0 ? (
+              <p>Nobody has booked yet.</p>
+            ) : (
+              <table className="payments-table">
+                <tbody>
+                  {roster.attendees.map(booking => (
+                    <tr key={booking._id}>
+                      <td>{booking.userId?.name}</td>
+                      <td>{booking.userId?.phone}</td>
+                      <td>{booking.status.replace('_', ' ')}</td>
+                      <td>
+                        {new Date(roster.session.startTime) <= now && (
+                          <>
+                            <button onClick={() => handleAttendance(booking, 'attended')} className="edit-button">Attended</button>
+                            <button onClick={() => handleAttendance(booking, 'no_show')} className="delete-button">No-show</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {roster.waitlist.length > 0 && (
+              <>
+                <h3>Waitlist</h3>
+                <ol>
+                  {roster.waitlist.map(booking => (
+                    <li key={booking._id}>{booking.userId?.name}</li>
+                  ))}
+                </ol>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+      
+      {editing && (
+        <ClassTemplateModal
+          template={editing._id ? editing : null}
+          instructors={instructors}
+          plans={plans}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+}
+
+export default AdminClasses;
+
+// File: src/pages/admin/Branches.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../api/client';
+
+const EMPTY_BRANCH = {
+  name: '',
+  address: '',
+  phone: '',
+  isActive: true
+};
+
+// Add or edit a branch
+function BranchModal({ branch, onClose, onSaved }) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_BRANCH, ...branch }));
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  function handleChange(e) {
+    const { name, value, type, checked } = e.target;
+    setValues({ ...values, [name]: type === 'checkbox' ? checked : value });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setFormError('');
+    setSaving(true);
+    
+    try {
+      const saved = branch._id
+        ? await api.put(`/branches/${branch._id}`, values)
+        : await api.post('/branches', values);
+      onSaved(saved);
+    } catch (error) {
+      console.error("Error saving branch: ", error);
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>{branch._id ? `Edit ${branch.name}` : 'Add Branch'}</h2>
+        {formError && <p className="form-error">{formError}</p>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name</label>
+            <input type="text" name="name" value={values.name} onChange={handleChange} required />
+          </div>
+          <div className="form-group">
+            <label>Address</label>
+            <input type="text" name="address" value={values.address || ''} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label>Phone</label>
+            <input type="tel" name="phone" value={values.phone || ''} onChange={handleChange} />
+          </div>
+          <label className="archived-toggle">
+            <input type="checkbox" name="isActive" checked={values.isActive} onChange={handleChange} />
+            Open
+          </label>
+          <button type="submit" disabled={saving} className="submit-button">
+            {saving ? 'Saving...' : 'Save Branch'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Branches, and which of them each staff user works at
+function Branches() {
+  const [branches, setBranches] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [allBranches, staffUsers] = await Promise.all([
+        api.get('/branches?all=true'),
+        api.get('/branches/staff')
+      ]);
+      setBranches(allBranches);
+      setStaff(staffUsers);
+    } catch (error) {
+      console.error("Error fetching branches: ", error);
+      setError(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll().finally(() => setLoading(false));
+  }, [fetchAll]);
+
+  async function handleSaved(branch) {
+    setEditing(null);
+    setNotice(`${branch.name} saved.`);
+    await fetchAll();
+  }
+
+  async function toggleStaffBranch(user, branchId) {
+    const current = user.branches.map(String);
+    const branchIds = current.includes(branchId) ? current.filter(id => id !== branchId) : [...current, branchId];
+    
+    setError('');
+    setNotice('');
+    try {
+      const updated = await api.put(`/branches/staff/${user._id}`, { branches: branchIds });
+      setStaff(staff.map(s => (s._id === updated._id ? { ...s, branches: updated.branches } : s)));
+    } catch (error) {
+      console.error("Error updating staff branches: ", error);
+      setError(error.message);
+    }
+  }
+
+  if (loading) {
+    return <div className="loading">Loading branches...</div>;
+  }
+
+  return (
+    <div className="branches-page">
+      <h1>Branches</h1>
+      
+      {error && <p className="form-error">{error}</p>}
+      {notice && <p className="notice">{notice}</p>}
+      
+      <section className="training-section">
+        <div className="classes-header">
+          <h2>Locations</h2>
+          <button onClick={() => setEditing({})} className="add-button">Add Branch</button>
+        </div>
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Address</th>
+              <th>Phone</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {branches.map(branch => (
+              <tr key={branch._id}>
+                <td>{branch.name}</td>
+                <td>{branch.address || '-'}</td>
+                <td>{branch.phone || '-'}</td>
+                <td>{branch.isActive ? 'Open' : 'Closed'}</td>
+                <td><button onClick={() => setEditing(branch)} className="edit-button">Edit</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      
+      <section className="training-section">
+        <h2>Staff</h2>
+        <p className="import-help">Staff only see members, payments and check-ins at the branches ticked here.</p>
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Role</th>
+              {branches.map(branch => <th key={branch._id}>{branch.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {staff.map(user => (
+              <tr key={user._id}>
+                <td>{user.name}</td>
+                <td>{user.role}</td>
+                {branches.map(branch => (
+                  <td key={branch._id}>
+                    <input
+                      type="checkbox"
+                      checked={user.branches.map(String).includes(branch._id)}
+                      onChange={() => toggleStaffBranch(user, branch._id)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      
+      {editing && (
+        <BranchModal branch={editing} onClose={() => setEditing(null)} onSaved={handleSaved} />
+      )}
+    </div>
+  );
+}
+
+export default Branches;
+
+// File: src/pages/admin/BranchReport.js
+import React, { useState, useEffect } from 'react';
+import api from '../../api/client';
+
+function formatAmount(amount) {
+  return `₹${amount.toLocaleString('en-IN')}`;
+}
+
+// Every branch side by side with chain-wide totals
+function BranchReport() {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function fetchReport() {
+      setError('');
+      
+      const params = new URLSearchParams();
+      if (range.from) params.append('from', range.from);
+      if (range.to) params.append('to', range.to);
+      
+      try {
+        setReport(await api.get(`/reports/branches?${params}`));
+      } catch (error) {
+        console.error("Error fetching branch report: ", error);
+        setError(error.message);
+      }
+    }
+    
+    fetchReport();
+  }, [range]);
+
+  function handleChange(e) {
+    setRange({ ...range, [e.target.name]: e.target.value });
+  }
+
+  return (
+    <div className="branch-report-page">
+      <h1>Branch Comparison</h1>
+      
+      <div className="training-toolbar">
+        <label>
+          From
+          <input type="date" name="from" value={range.from} onChange={handleChange} />
+        </label>
+        <label>
+          to
+          <input type="date" name="to" value={range.to} onChange={handleChange} />
+        </label>
+      </div>
+      
+      {error && <p className="form-error">{error}</p>}
+      
+      {!report ? (
+        <p>Loading report...</p>
+      ) : (
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Branch</th>
+              <th>Gross</th>
+              <th>Refunded</th>
+              <th>Net</th>
+              <th>Payments</th>
+              <th>Active Members</th>
+              <th>Check-ins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.rows.map(row => (
+              <tr key={row.branch._id}>
+                <td>{row.branch.name}{!row.branch.isActive && ' (closed)'}</td>
+                <td>{formatAmount(row.gross)}</td>
+                <td>{formatAmount(row.refunded)}</td>
+                <td>{formatAmount(row.net)}</td>
+                <td>{row.payments}</td>
+                <td>{row.activeMembers}</td>
+                <td>{row.checkIns}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="branch-totals">
+              <td>All branches</td>
+              <td>{formatAmount(report.totals.gross)}</td>
+              <td>{formatAmount(report.totals.refunded)}</td>
+              <td>{formatAmount(report.totals.net)}</td>
+              <td>{report.totals.payments}</td>
+              <td>{report.totals.activeMembers}</td>
+              <td>{report.totals.checkIns}</td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default BranchReport;
+
+// File: src/pages/user/Workouts.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../api/client';
+import { toDateParam } from '../../utils/dates';
+
+const emptySet = () => ({ reps: '', weight: '' });
+
+// Rows for the log form, prefilled with the program's sets for that day
+const rowsForDay = day => day.exercises
+  .filter(entry => entry.exercise)
+  .map(entry => ({
+    exercise: entry.exercise._id,
+    name: entry.exercise.name,
+    target: `${entry.sets} x ${entry.reps}`,
+    sets: Array.from({ length: entry.sets }, emptySet)
+  }));
+
+// A member's assigned program, and logging the workouts they do
+function UserWorkouts() {
+  const { currentUser } = useAuth();
+  const [assignment, setAssignment] = useState(null);
+  const [exercises, setExercises] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [dayName, setDayName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [performedOn, setPerformedOn] = useState(() => toDateParam(new Date()));
+  const [notes, setNotes] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchLogs = useCallback(async () => {
+    if (!currentUser) return;
+    
+    try {
+      setLogs(await api.get(`/workouts/logs/member/${currentUser._id}`));
+    } catch (error) {
+      console.error("Error fetching workouts: ", error);
+      setError(error.message);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    if (!currentUser) return;
+    
+    async function fetchProgram() {
+      try {
+        const [current, library] = await Promise.all([
+          api.get(`/workouts/assignments/member/${currentUser._id}`),
+          api.get('/workouts/exercises')
+        ]);
+        setAssignment(current);
+        setExercises(library);
+      } catch (error) {
+        console.error("Error fetching program: ", error);
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchProgram();
+    fetchLogs();
+  }, [currentUser, fetchLogs]);
+
+  function startDay(day) {
+    setDayName(day.name);
+    setRows(rowsForDay(day));
+    setMessage('');
+    setError('');
+  }
+
+  function addExercise(exerciseId) {
+    const exercise = exercises.find(item => item._id === exerciseId);
+    if (!exercise) return;
+    
+    setRows([...rows, { exercise: exercise._id, name: exercise.name, target: '', sets: [emptySet()] }]);
+  }
+
+  function updateRow(rowIndex, changes) {
+    setRows(rows.map((row, index) => (index === rowIndex ? { ...row, ...changes } : row)));
+  }
+
+  function updateSet(rowIndex, setIndex, field, value) {
+    const sets = rows[rowIndex].sets.map((set, index) => (index === setIndex ? { ...set, [field]: value } : set));
+    updateRow(rowIndex, { sets });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+    
+    // Sets left blank were skipped
+    const logged = rows
+      .map(row => ({
+        exercise: row.exercise,
+        sets: row.sets
+          .filter(set => set.reps !== '')
+          .map(set => ({ reps: Number(set.reps), weight: Number(set.weight) || 0 }))
+      }))
+      .filter(row => row.sets.length > 0);
+    
+    if (logged.length === 0) {
+      setError('Enter the reps for at least one set.');
+      return;
+    }
+    
+    setSaving(true);
+    try {
+      // Today's date means now; earlier dates are logged at midday
+      const performedAt = performedOn === toDateParam(new Date()) ? new Date() : new Date(`${performedOn}T12:00`);
+      const result = await api.post('/workouts/logs', {
+        assignmentId: dayName ? assignment?._id : undefined,
+        dayName: dayName || undefined,
+        performedAt,
+        exercises: logged,
+        notes: notes || undefined
+      });
+      
+      setMessage(result.newRecords.length > 0
+        ? `Workout saved. New personal record: ${result.newRecords.join(', ')}!`
+        : 'Workout saved');
+      setRows([]);
+      setDayName('');
+      setNotes('');
+      await fetchLogs();
+    } catch (error) {
+      console.error("Error saving workout: ", error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(log) {
+    if (!window.confirm('Delete this workout from your log?')) return;
+    
+    try {
+      await api.delete(`/workouts/logs/${log._id}`);
+      await fetchLogs();
+    } catch (error) {
+      console.error("Error deleting workout: ", error);
+      setError(error.message);
+    }
+  }
+
+  if (loading) {
+    return <div className="loading">Loading workouts...</div>;
+  }
+
+  const program = assignment?.program;
+
+  return (
+    <div className="workouts-page">
+      <h1>My Workouts</h1>
+      
+      {message && <p className="notice">{message}</p>}
+      {error && <p className="form-error">{error}</p>}
+      
+      <section className="training-section">
+        <h2>{program ? program.name : 'Program'}</h2>
+        {program ? (
+          <>
+            {program.description && <p>{program.description}</p>}
+            {assignment.notes && <p className="import-help">From {assignment.assignedBy?.name}: {assignment.notes}</p>}
+            <div className="program-days">
+              {program.days.map(day => (
+                <div key={day.name} className="program-day">
+                  <h3>{day.name}</h3>
+                  <ul>
+                    {day.exercises.map((entry, index) => (
+                      <li key={index}>
+                        <strong>{entry.exercise?.name}</strong> {entry.sets} x {entry.reps}, rest {entry.restSeconds}s
+                        {entry.notes && <small> ({entry.notes})</small>}
+                      </li>
+                    ))}
+                  </ul>
+                  <button onClick={() => startDay(day)} className="submit-button">Log this workout</button>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p>Your trainer hasn't given you a program yet. You can still log workouts below.</p>
+        )}
+      </section>
+      
+      <section className="training-section">
+        <h2>{dayName ? `Log ${dayName}` : 'Log a Workout'}</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Date</label>
+            <input type="date" value={performedOn} max={toDateParam(new Date())} onChange={e => setPerformedOn(e.target.value)} required />
+          </div>
+          
+          {rows.map((row, rowIndex) => (
+            <div key={rowIndex} className="log-exercise">
+              <div className="log-exercise-header">
+                <strong>{row.name}</strong>
+                {row.target && <small>Target {row.target}</small>}
+                <button type="button" onClick={() => setRows(rows.filter((_, index) => index !== rowIndex))} className="delete-button">Remove</button>
+              </div>
+              {row.sets.map((set, setIndex) => (
+                <div key={setIndex} className="log-set">
+                  <span>Set {setIndex + 1}</span>
+                  <input type="number" min="1" placeholder="Reps" value={set.reps} onChange={e => updateSet(rowIndex, setIndex, 'reps', e.target.value)} />
+                  <input type="number" min="0" step="0.5" placeholder="kg" value={set.weight} onChange={e => updateSet(rowIndex, setIndex, 'weight', e.target.value)} />
+                </div>
+              ))}
+              <button type="button" onClick={() => updateRow(rowIndex, { sets: [...row.sets, emptySet()] })} className="edit-button">Add set</button>
+            </div>
+          ))}
+          
+          <div className="form-group">
+            <label>Add Exercise</label>
+            <select value="" onChange={e => addExercise(e.target.value)}>
+              <option value="">Choose an exercise</option>
+              {exercises.map(exercise => (
+                <option key={exercise._id} value={exercise._id}>{exercise.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea value={notes} onChange={e => setNotes(e.target.value)} rows="2" />
+          </div>
+          <button type="submit" disabled={saving || rows.length === 0} className="submit-button">
+            {saving ? 'Saving...' : 'Save Workout'}
+          </button>
+        </form>
+      </section>
+      
+      <section className="training-section">
+        <h2>Recent Workouts</h2>
+        {logs.length === 0 ? (
+          <p>No workouts logged yet.</p>
+        ) : (
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Workout</th>
+                <th>Exercises</th>
+                <th>Volume</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {logs.map(log => (
+                <tr key={log._id}>
+                  <td>{new Date(log.performedAt).toLocaleDateString()}</td>
+                  <td>{log.dayName || 'Own workout'}</td>
+                  <td>{log.exercises.map(entry => `${entry.exercise?.name} ${entry.sets.length}x`).join(', ')}</td>
+                  <td>{log.volume.toLocaleString()} kg</td>
+                  <td><button onClick={() => handleDelete(log)} className="delete-button">Delete</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default UserWorkouts;
+
+// File: src/pages/trainer/Workouts.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../api/client';
+import { useAuth } from '../../contexts/AuthContext';
+import MemberPicker from '../../components/MemberPicker';
+
+const MUSCLE_GROUPS = ['chest', 'back', 'shoulders', 'arms', 'legs', 'glutes', 'core', 'full_body', 'cardio'];
+
+const newProgramExercise = exercise => ({ exercise, sets: 3, reps: '10', restSeconds: 60, notes: '' });
+
+// Programs come back with exercises populated; the form works with ids
+function programValues(program) {
+  if (!program) {
+    return { name: '', description: '', isActive: true, days: [{ name: 'Day 1', exercises: [] }] };
+  }
+
+  return {
+    name: program.name,
+    description: program.description || '',
+    isActive: program.isActive,
+    days: program.days.map(day => ({
+      name: day.name,
+      exercises: day.exercises.map(entry => ({ ...entry, exercise: entry.exercise?._id || entry.exercise, notes: entry.notes || '' }))
+    }))
+  };
+}
+
+// Build or edit a program: days, and the exercises with sets, reps and rest for each
+function ProgramBuilderModal({ program, exercises, onClose, onSaved }) {
+  const [values, setValues] = useState(() => programValues(program));
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  function updateDay(dayIndex, changes) {
+    setValues({ ...values, days: values.days.map((day, index) => (index === dayIndex ? { ...day, ...changes } : day)) });
+  }
+
+  function updateEntry(dayIndex, entryIndex, field, value) {
+    const day = values.days[dayIndex];
+    updateDay(dayIndex, {
+      exercises: day.exercises.map((entry, index) => (index === entryIndex ? { ...entry, [field]: value } : entry))
+    });
+  }
+
+  function removeEntry(dayIndex, entryIndex) {
+    const day = values.days[dayIndex];
+    updateDay(dayIndex, { exercises: day.exercises.filter((_, index) => index !== entryIndex) });
+  }
+
+  const exerciseName = id => exercises.find(exercise => exercise._id === id)?.name || 'Retired exercise';
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setFormError('');
+    setSaving(true);
+    
+    try {
+      const saved = program
+        ? await api.put(`/workouts/programs/${program._id}`, values)
+        : await api.post('/workouts/programs', values);
+      onSaved(saved);
+    } catch (error) {
+      console.error("Error saving program: ", error);
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content program-builder">
+        <span className="close" onClick={onClose}>&times;</span>
+        <h2>{program ? `Edit ${program.name}` : 'New Program'}</h2>
+        {program && <p className="import-help">Members already on this program see your changes straight away.</p>}
+        {formError && <p className="form-error">{formError}</p>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name</label>
+            <input type="text" value={values.name} onChange={e => setValues({ ...values, name: e.target.value })} required />
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <textarea value={values.description} onChange={e => setValues({ ...values, description: e.target.value })} rows="2" />
+          </div>
+          
+          {values.days.map((day, dayIndex) => (
+            <div key={dayIndex} className="program-day">
+              <div className="log-exercise-header">
+                <input type="text" value={day.name} onChange={e => updateDay(dayIndex, { name: e.target.value })} required />
+                {values.days.length > 1 && (
+                  <button type="button" onClick={() => setValues({ ...values, days: values.days.filter((_, index) => index !== dayIndex) })} className="delete-button">
+                    Remove day
+                  </button>
+                )}
+              </div>
+              <table className="payments-table">
+                <thead>
+                  <tr>
+                    <th>Exercise</th>
+                    <th>Sets</th>
+                    <th>Reps</th>
+                    <th>Rest (s)</th>
+                    <th>Notes</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {day.exercises.map((entry, entryIndex) => (
+                    <tr key={entryIndex}>
+                      <td>{exerciseName(entry.exercise)}</td>
+                      <td><input type="number" min="1" max="20" value={entry.sets} onChange={e => updateEntry(dayIndex, entryIndex, 'sets', e.target.value)} required /></td>
+                      <td><input type="text" value={entry.reps} onChange={e => updateEntry(dayIndex, entryIndex, 'reps', e.target.value)} placeholder="8-12" required /></td>
+                      <td><input type="number" min="0" max="600" step="15" value={entry.restSeconds} onChange={e => updateEntry(dayIndex, entryIndex, 'restSeconds', e.target.value)} /></td>
+                      <td><input type="text" value={entry.notes} onChange={e => updateEntry(dayIndex, entryIndex, 'notes', e.target.value)} /></td>
+                      <td><button type="button" onClick={() => removeEntry(dayIndex, entryIndex)} className="delete-button">Remove</button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <select value="" onChange={e => e.target.value && updateDay(dayIndex, { exercises: [...day.exercises, newProgramExercise(e.target.value)] })}>
+                <option value="">Add an exercise</option>
+                {exercises.filter(exercise => exercise.isActive).map(exercise => (
+                  <option key={exercise._id} value={exercise._id}>{exercise.name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          
+          {values.days.length < 7 && (
+            <button type="button" onClick={() => setValues({ ...values, days: [...values.days, { name: `Day ${values.days.length + 1}`, exercises: [] }] })} className="edit-button">
+              Add day
+            </button>
+          )}
+          <label className="archived-toggle">
+            <input type="checkbox" checked={values.isActive} onChange={e => setValues({ ...values, isActive: e.target.checked })} />
+            Available to assign
+          </label>
+          <button type="submit" disabled={saving} className="submit-button">
+            {saving ? 'Saving...' : 'Save Program'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Exercise library, program builder and assigning programs to members
+function TrainerWorkouts() {
+  const { currentUser, can } = useAuth();
+  const [exercises, setExercises] = useState([]);
+  const [programs, setPrograms] = useState([]);
+  const [member, setMember] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [assignValues, setAssignValues] = useState({ programId: '', notes: '' });
+  const [newExercise, setNewExercise] = useState({ name: '', muscleGroup: 'chest', equipment: '' });
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const memberId = member?._id || '';
+
+  const fetchLibrary = useCallback(async () => {
+    try {
+      const [allExercises, allPrograms] = await Promise.all([
+        api.get('/workouts/exercises?all=true'),
+        api.get('/workouts/programs?all=true')
+      ]);
+      setExercises(allExercises);
+      setPrograms(allPrograms);
+    } catch (error) {
+      console.error("Error fetching workouts: ", error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLibrary();
+  }, [fetchLibrary]);
+
+  useEffect(() => {
+    if (!memberId) {
+      setCurrent(null);
+      return;
+    }
+    
+    api.get(`/workouts/assignments/member/${memberId}`)
+      .then(setCurrent)
+      .catch(error => {
+        console.error("Error fetching member's program: ", error);
+        setError(error.message);
+      });
+  }, [memberId]);
+
+  async function handleAssign(e) {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+    
+    try {
+      await api.post('/workouts/assignments', { userId: memberId, ...assignValues });
+      setCurrent(await api.get(`/workouts/assignments/member/${memberId}`));
+      setAssignValues({ programId: '', notes: '' });
+      setMessage('Program assigned');
+    } catch (error) {
+      console.error("Error assigning program: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleEndProgram() {
+    if (!window.confirm(`Take this member off ${current.program.name}?`)) return;
+    
+    setError('');
+    try {
+      await api.put(`/workouts/assignments/${current._id}/end`, {});
+      setCurrent(null);
+    } catch (error) {
+      console.error("Error ending program: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleAddExercise(e) {
+    e.preventDefault();
+    setError('');
+    
+    try {
+      await api.post('/workouts/exercises', newExercise);
+      setNewExercise({ ...newExercise, name: '', equipment: '' });
+      await fetchLibrary();
+    } catch (error) {
+      console.error("Error adding exercise: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function toggleExercise(exercise) {
+    setError('');
+    try {
+      await api.put(`/workouts/exercises/${exercise._id}`, { isActive: !exercise.isActive });
+      await fetchLibrary();
+    } catch (error) {
+      console.error("Error updating exercise: ", error);
+      setError(error.message);
+    }
+  }
+
+  async function handleSaved() {
+    setEditing(null);
+    await fetchLibrary();
+  }
+
+  if (loading) {
+    return <div className="loading">Loading workouts...</div>;
+  }
+
+  return (
+    <div className="workouts-page">
+      <h1>Workout Programs</h1>
+      
+      {message && <p className="notice">{message}</p>}
+      {error && <p className="form-error">{error}</p>}
+      
+      <section className="training-section">
+        <h2>Assign a Program</h2>
+        <form onSubmit={handleAssign}>
+          <div className="form-group">
+            <label>Member</label>
+            <MemberPicker member={member} onChange={setMember} required />
+          </div>
+          {memberId && (
+            <p className="import-help">
+              {current ? (
+                <>
+                  Currently on <strong>{current.program?.name}</strong> since {new Date(current.createdAt).toLocaleDateString()}.{' '}
+                  <button type="button" onClick={handleEndProgram} className="delete-button">End program</button>
+                </>
+              ) : 'No current program.'}
+            </p>
+          )}
+          <div className="form-group">
+            <label>Program</label>
+            <select value={assignValues.programId} onChange={e => setAssignValues({ ...assignValues, programId: e.target.value })} required>
+              <option value="">Choose a program</option>
+              {programs.filter(program => program.isActive).map(program => (
+                <option key={program._id} value={program._id}>{program.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Note for the member</label>
+            <input type="text" value={assignValues.notes} onChange={e => setAssignValues({ ...assignValues, notes: e.target.value })} />
+          </div>
+          <button type="submit" className="submit-button">{current ? 'Replace Program' : 'Assign Program'}</button>
+        </form>
+      </section>
+      
+      <section className="training-section">
+        <div className="classes-header">
+          <h2>Programs</h2>
+          <button onClick={() => setEditing({})} className="add-button">New Program</button>
+        </div>
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Days</th>
+              <th>Written by</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {programs.map(program => (
+              <tr key={program._id}>
+                <td>{program.name}</td>
+                <td>{program.days.map(day => day.name).join(', ')}</td>
+                <td>{program.createdBy?.name}</td>
+                <td>{program.isActive ? 'Available' : 'Retired'}</td>
+                <td>
+                  {((program.createdBy?._id || program.createdBy) === currentUser._id || can('workouts.manage_all')) && (
+                    <button onClick={() => setEditing(program)} className="edit-button">Edit</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      
+      <section className="training-section">
+        <h2>Exercise Library</h2>
+        <form onSubmit={handleAddExercise} className="exercise-form">
+          <input type="text" placeholder="Exercise name" value={newExercise.name} onChange={e => setNewExercise({ ...newExercise, name: e.target.value })} required />
+          <select value={newExercise.muscleGroup} onChange={e => setNewExercise({ ...newExercise, muscleGroup: e.target.value })}>
+            {MUSCLE_GROUPS.map(group => (
+              <option key={group} value={group}>{group.replace('_', ' ')}</option>
+            ))}
+          </select>
+          <input type="text" placeholder="Equipment" value={newExercise.equipment} onChange={e => setNewExercise({ ...newExercise, equipment: e.target.value })} />
+          <button type="submit" className="add-button">Add Exercise</button>
+        </form>
+        <table className="payments-table">
+          <thead>
+            <tr>
+              <th>Exercise</th>
+              <th>Muscle Group</th>
+              <th>Equipment</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {exercises.map(exercise => (
+              <tr key={exercise._id}>
+                <td>{exercise.name}</td>
+                <td>{exercise.muscleGroup.replace('_', ' ')}</td>
+                <td>{exercise.equipment}</td>
+                <td>
+                  <button onClick={() => toggleExercise(exercise)} className={exercise.isActive ? 'delete-button' : 'edit-button'}>
+                    {exercise.isActive ? 'Retire' : 'Restore'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      
+      {editing && (
+        <ProgramBuilderModal
+          program={editing._id ? editing : null}
+          exercises={exercises}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+}
+
+export default TrainerWorkouts;
+
+// File: src/pages/user/Assessments.js
+import React from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import AssessmentTracker from '../../components/AssessmentTracker';
+
+function UserAssessments() {
+  const { currentUser } = useAuth();
+
+  return (
+    <div className="assessments-page">
+      <h1>My Assessments</h1>
+      {currentUser && <AssessmentTracker member={currentUser} />}
+    </div>
+  );
+}
+
+export default UserAssessments;
+
+// File: src/pages/trainer/Assessments.js
+import React, { useState } from 'react';
+import AssessmentTracker from '../../components/AssessmentTracker';
+import MemberPicker from '../../components/MemberPicker';
+
+// Record and review assessments for the members a trainer looks after
+function TrainerAssessments() {
+  const [member, setMember] = useState(null);
+
+  return (
+    <div className="assessments-page">
+      <h1>Assessments</h1>
+      
+      <div className="form-group">
+        <label>Member</label>
+        <MemberPicker member={member} onChange={setMember} />
+      </div>
+      
+      {member && <AssessmentTracker key={member._id} member={member} />}
+    </div>
+  );
+}
+
+export default TrainerAssessments;
+
+// File: src/utils/dates.js
+// Local-time date helpers for the booking calendars
+
+export function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+export function addDays(date, days) {
+  const next = startOfDay(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// YYYY-MM-DD in local time, as the booking APIs expect
+export function toDateParam(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+export function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// File: src/shared/validation.js
+// Member validation shared by the React forms and the Express routes (which require
+// ../src/shared/validation), so it stays plain CommonJS with no dependencies.
+
+const MEMBER_STATUSES = ['active', 'inactive', 'pending', 'frozen'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Indian mobile numbers: ten digits starting 6-9, optionally after +91, 91 or 0
+const PHONE_PATTERN = /^(?:\+?91|0)?([6-9]\d{9})$/;
+
+const isValidEmail = email => EMAIL_PATTERN.test(String(email || '').trim());
+
+const isValidPhone = phone => PHONE_PATTERN.test(String(phone || '').replace(/[\s-]/g, ''));
+
+// Store just the ten digits so the same number always matches
+const normalizePhone = (phone) => {
+  const match = PHONE_PATTERN.exec(String(phone || '').replace(/[\s-]/g, ''));
+  return match ? match[1] : phone;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// YYYY-MM-DD, as used by <input type="date">
+const toDateInput = (value) => {
+  const date = parseDate(value);
+  return date ? date.toISOString().slice(0, 10) : '';
+};
+
+// Calculate when a plan starting on startDate ends
+const calculateEndDate = (plan, startDate) => {
+  const endDate = new Date(startDate);
+  
+  if (plan.durationUnit === 'days') {
+    endDate.setDate(endDate.getDate() + plan.durationValue);
+  } else {
+    endDate.setMonth(endDate.getMonth() + plan.durationValue);
+  }
+  
+  return endDate;
+};
+
+// Field errors for a member, as { field: message }; empty when valid.
+// Pass the chosen plan to check the end date matches it, unless dates may be set by hand.
+// Members who registered themselves have no plan yet, so requireMembership can be turned off.
+const validateMember = (values, { plan, allowDateOverride = false, requireMembership = true } = {}) => {
+  const errors = {};
+  
+  if (!values.name || !String(values.name).trim()) {
+    errors.name = 'Name is required';
+  }
+  
+  if (!values.email) {
+    errors.email = 'Email is required';
+  } else if (!isValidEmail(values.email)) {
+    errors.email = 'Enter a valid email address';
+  }
+  
+  if (!values.phone) {
+    errors.phone = 'Phone is required';
+  } else if (!isValidPhone(values.phone)) {
+    errors.phone = 'Enter a 10-digit Indian mobile number';
+  }
+  
+  if (values.status && !MEMBER_STATUSES.includes(values.status)) {
+    errors.status = `Status must be one of ${MEMBER_STATUSES.join(', ')}`;
+  }
+  
+  if (!requireMembership) {
+    return errors;
+  }
+  
+  if (!values.membershipType) {
+    errors.membershipType = 'Choose a plan';
+  }
+  
+  const startDate = parseDate(values.startDate);
+  const endDate = parseDate(values.endDate);
+  
+  if (!startDate) {
+    errors.startDate = 'Enter a valid start date';
+  }
+  
+  if (!endDate) {
+    errors.endDate = 'Enter a valid end date';
+  } else if (startDate && endDate <= startDate) {
+    errors.endDate = 'End date must be after the start date';
+  } else if (plan && startDate && !allowDateOverride) {
+    const planEnd = toDateInput(calculateEndDate(plan, startDate));
+    
+    if (toDateInput(endDate) !== planEnd) {
+      errors.endDate = `This plan ends on ${planEnd}`;
+    }
+  }
+  
+  return errors;
+};
+
+const hasErrors = errors => Object.keys(errors).length > 0;
+
+module.exports = {
+  MEMBER_STATUSES,
+  isValidEmail,
+  isValidPhone,
+  normalizePhone,
+  toDateInput,
+  calculateEndDate,
+  validateMember,
+  hasErrors
+};
+
+// File: src/shared/assessments.js
+// Fitness assessment measures, BMI and comparisons. The server works out BMI and
+// builds the PDF progress report from these; the pages use them for tables, charts
+// and comparisons, so the two never disagree on a label, unit or rounding.
+// CommonJS because the server requires it too (see shared/validation).
+
+const GIRTH_SITES = ['chest', 'waist', 'hips', 'arm', 'thigh'];
+
+// In the order they're shown in tables, comparisons and the printed report
+const ASSESSMENT_MEASURES = [
+  { key: 'weightKg', label: 'Weight', unit: 'kg' },
+  { key: 'bodyFatPercent', label: 'Body fat', unit: '%' },
+  { key: 'bmi', label: 'BMI', unit: '' },
+  ...GIRTH_SITES.map(site => ({ key: `girths.${site}`, label: `${site[0].toUpperCase()}${site.slice(1)} girth`, unit: 'cm' })),
+  { key: 'restingHeartRate', label: 'Resting heart rate', unit: 'bpm' }
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Reads nested keys such as "girths.waist"; missing measurements are null
+const measureValue = (assessment, key) => {
+  const value = key.split('.').reduce((object, part) => (object == null ? undefined : object[part]), assessment);
+  return value == null || value === '' ? null : Number(value);
+};
+
+// Weight (kg) over height (m) squared, to one decimal place
+const calculateBmi = (weightKg, heightCm) => {
+  if (!weightKg || !heightCm) return null;
+  return round1(weightKg / ((heightCm / 100) ** 2));
+};
+
+// WHO adult categories
+const bmiCategory = (bmi) => {
+  if (bmi == null) return '';
+  if (bmi < 18.5) return 'Underweight';
+  if (bmi < 25) return 'Healthy weight';
+  if (bmi < 30) return 'Overweight';
+  return 'Obese';
+};
+
+// Each measure's value in both assessments and the change between them.
+// Change is null unless both were measured.
+const compareAssessments = (earlier, later) => ASSESSMENT_MEASURES.map(measure => {
+  const before = measureValue(earlier, measure.key);
+  const after = measureValue(later, measure.key);
+  return { ...measure, before, after, change: before != null && after != null ? round1(after - before) : null };
+});
+
+module.exports = {
+  GIRTH_SITES,
+  ASSESSMENT_MEASURES,
+  measureValue,
+  calculateBmi,
+  bmiCategory,
+  compareAssessments
+};
+
+// File: src/api/members.js
+import api from './client';
+
+// How many matches a member search returns
+const SEARCH_LIMIT = 20;
+
+// Members the user can see (a trainer's clients, or staff's branches) whose name,
+// email or phone matches, by name. Blank text returns the first few.
+export async function searchMembers(text) {
+  const params = new URLSearchParams({ limit: SEARCH_LIMIT, sort: 'name' });
+  if (text) params.append('q', text);
+  
+  const result = await api.get(`/members?${params}`);
+  return result.members;
+}
+
+// File: src/api/checkout.js
+import api from './client';
+
+const RAZORPAY_SCRIPT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+const GYM_NAME = process.env.REACT_APP_GYM_NAME || 'Gym';
+
+let razorpayScript = null;
+
+// Load Razorpay's checkout script once, the first time someone pays
+function loadRazorpay() {
+  if (window.Razorpay) return Promise.resolve(window.Razorpay);
+  
+  if (!razorpayScript) {
+    razorpayScript = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = RAZORPAY_SCRIPT_URL;
+      script.onload = () => resolve(window.Razorpay);
+      script.onerror = () => {
+        razorpayScript = null;
+        reject(new Error('Could not load the payment page. Please check your connection.'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  
+  return razorpayScript;
+}
+
+export class CheckoutCancelled extends Error {}
+
+// Take the member through the gateway's checkout for an order and resolve
+// with what /payments/verify needs. Rejects with CheckoutCancelled if they back out.
+export async function openCheckout(order, { description, member }) {
+  // The mock gateway has no payment page, so ask here instead
+  if (order.gateway === 'mock') {
+    if (!window.confirm(`Test payment of ₹${order.amount / 100}. Click OK to pay or Cancel to back out.`)) {
+      throw new CheckoutCancelled('Payment cancelled');
+    }
+    return api.post('/payments/mock-checkout', { orderId: order.id, outcome: 'captured' });
+  }
+  
+  const Razorpay = await loadRazorpay();
+  
+  return new Promise((resolve, reject) => {
+    const checkout = new Razorpay({
+      key: order.key,
+      amount: order.amount,
+      currency: order.currency,
+      order_id: order.id,
+      name: GYM_NAME,
+      description,
+      prefill: { name: member?.name, email: member?.email, contact: member?.phone },
+      handler: (response) => resolve({
+        razorpayOrderId: response.razorpay_order_id,
+        razorpayPaymentId: response.razorpay_payment_id,
+        razorpaySignature: response.razorpay_signature
+      }),
+      modal: {
+        ondismiss: () => reject(new CheckoutCancelled('Payment cancelled'))
+      }
+    });
+    
+    checkout.on('payment.failed', (response) => {
+      checkout.close();
+      reject(new Error(response.error?.description || 'Payment failed'));
+    });
+    
+    checkout.open();
+  });
+}
+
+// Create an order for what orderRequest names (planId, ptPackageId, ...), pay it and
+// confirm it with the server. Resolves with /payments/verify's response, whose
+// status is 'pending' while the bank is still confirming.
+export async function payForOrder(orderRequest, { description, member } = {}) {
+  const order = await api.post('/payments/create-order', orderRequest);
+  const checkoutResult = await openCheckout(order, { description, member });
+  return api.post('/payments/verify', { ...checkoutResult, planId: orderRequest.planId });
+}
+
+// File: src/api/client.js
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const TOKEN_KEY = 'gym_token';
+const REFRESH_TOKEN_KEY = 'gym_refresh_token';
+
+export class ApiError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+let unauthorizedHandler = null;
+let passwordChangeHandler = null;
+let refreshPromise = null;
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+export function setTokens({ token, refreshToken }) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+// Called when the session can't be refreshed (e.g. to send the user to login)
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+// Called when the user must replace a temporary password before doing anything else
+export function onPasswordChangeRequired(handler) {
+  passwordChangeHandler = handler;
+}
+
+// Only one refresh runs at a time; concurrent 401s wait for it
+function refreshTokens() {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+    
+    refreshPromise = (refreshToken
+      ? fetch(`${API_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        }).then(async (res) => {
+          if (!res.ok) return false;
+          setTokens(await res.json());
+          return true;
+        })
+      : Promise.resolve(false)
+    ).catch(() => false).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  
+  return refreshPromise;
+}
+
+async function parseBody(res) {
+  const contentType = res.headers.get('Content-Type') || '';
+  if (contentType.includes('application/json')) {
+    return res.json();
+  }
+  return res.status === 204 ? null : res.blob();
+}
+
+export async function apiRequest(path, { method = 'GET', body, auth = true, retry = true } = {}) {
+  const headers = {};
+  // File uploads go as multipart; the browser sets the boundary header
+  const isForm = body instanceof FormData;
+  
+  if (body !== undefined && !isForm) {
+    headers['Content-Type'] = 'application/json';
+  }
+  
+  if (auth && getToken()) {
+    headers.Authorization = `Bearer ${getToken()}`;
+  }
+  
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined && !isForm ? JSON.stringify(body) : body
+  });
+  
+  if (res.status === 401 && auth) {
+    if (retry && await refreshTokens()) {
+      return apiRequest(path, { method, body, auth, retry: false });
+    }
+    
+    clearTokens();
+    if (unauthorizedHandler) unauthorizedHandler();
+  }
+  
+  const data = await parseBody(res);
+  
+  if (res.status === 403 && data?.code === 'PASSWORD_CHANGE_REQUIRED' && passwordChangeHandler) {
+    passwordChangeHandler();
+  }
+  
+  if (!res.ok) {
+    throw new ApiError((data && data.message) || 'Request failed', res.status, data);
+  }
+  
+  return data;
+}
+
+// Fetch a file with the user's token and hand it to the browser as a download
+export async function downloadFile(path, fileName) {
+  const blob = await apiRequest(path);
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  URL.revokeObjectURL(url);
+}
+
+const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => apiRequest(path, { ...options, method: 'PUT', body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: 'DELETE' })
+};
+
+export default api;
\ No newline at end of file
@@ -3,11 +3,17 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+
+// Load environment variables (before anything that reads them)
+dotenv.config();
+
 const routes = require('./routes');
 const { authenticateToken } = require('./middleware/auth');
+const { startJobs } = require('./jobs');
+const { getGateway } = require('./gateways');
 
-// Load environment variables
-dotenv.config();
+// Refuse to start without a usable payment gateway, so fake payments can't be taken by accident
+getGateway();
 
 // Initialize Express app
 const app = express();
@@ -15,22 +21,42 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so webhook signatures can be checked
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  
+  // Scheduled jobs (order expiry, membership lifecycle)
+  startJobs();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', routes.authRoutes);
 app.use('/api/members', authenticateToken, routes.memberRoutes);
+app.use('/api/payments/webhook', routes.webhookRoutes);
 app.use('/api/payments', authenticateToken, routes.paymentRoutes);
 app.use('/api/plans', authenticateToken, routes.planRoutes);
 app.use('/api/reports', authenticateToken, routes.reportRoutes);
+app.use('/api/attendance', authenticateToken, routes.attendanceRoutes);
+app.use('/api/notifications', authenticateToken, routes.notificationRoutes);
+app.use('/api/freezes', authenticateToken, routes.freezeRoutes);
+app.use('/api/roles', authenticateToken, routes.roleRoutes);
+app.use('/api/audit', authenticateToken, routes.auditRoutes);
+app.use('/api/trainers', authenticateToken, routes.trainerRoutes);
+app.use('/api/training', authenticateToken, routes.trainingRoutes);
+app.use('/api/classes', authenticateToken, routes.classRoutes);
+app.use('/api/workouts', authenticateToken, routes.workoutRoutes);
+app.use('/api/assessments', authenticateToken, routes.assessmentRoutes);
+app.use('/api/branches', authenticateToken, routes.branchRoutes);
 
 // Start server
 app.listen(PORT, () => {
@@ -39,8 +65,17 @@ app.listen(PORT, () => {
 
 // File: models/User.js
 const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const { MEMBER_STATUSES } = require('../src/shared/validation');
 const Schema = mongoose.Schema;
 
+const SALT_ROUNDS = 10;
+
+// Self-registered members have no plan until their first payment
+function requiredForMember() {
+  return this.role === 'member' && this.status !== 'pending';
+}
+
 const UserSchema = new Schema({
   name: {
     type: String,
@@ -59,37 +94,136 @@ const UserSchema = new Schema({
     type: String,
     required: true
   },
+  // Name of a built-in or custom role (see utils/permissions.js)
   role: {
     type: String,
-    enum: ['admin', 'member'],
     default: 'member'
   },
+  // Trainer who can see this member's records
+  assignedTrainer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Member's home branch
+  branch: {
+    type: Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Branches a staff user works at. Staff without branches.all only see these.
+  branches: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
   membershipType: {
-    type: String,
-    enum: ['monthly', 'quarterly', 'yearly'],
-    required: function() { return this.role === 'member'; }
+    type: Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: requiredForMember
   },
   startDate: {
     type: Date,
-    required: function() { return this.role === 'member'; }
+    required: requiredForMember
   },
   endDate: {
     type: Date,
-    required: function() { return this.role === 'member'; }
+    required: requiredForMember
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'pending'],
+    enum: MEMBER_STATUSES,
     default: 'active'
   },
+  // Optional billing details for GST invoices
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  billingStateCode: {
+    type: String
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  resetPasswordToken: {
+    type: String
+  },
+  resetPasswordExpires: {
+    type: Date
+  },
+  // Archived members are hidden from lists and can't log in; erased ones are also anonymised
+  archivedAt: {
+    type: Date
+  },
+  archivedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  erasedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Member list filters and sorts (see routes/members.js)
+UserSchema.index({ role: 1, archivedAt: 1, name: 1 });
+UserSchema.index({ role: 1, archivedAt: 1, status: 1, endDate: 1 });
+UserSchema.index({ membershipType: 1 });
+UserSchema.index({ assignedTrainer: 1 });
+UserSchema.index({ branch: 1 });
+UserSchema.index({ phone: 1 });
+
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+UserSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
 module.exports = mongoose.model('User', UserSchema);
 
+// File: models/Branch.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A gym location. Members, payments, plans, check-ins and staff belong to branches.
+const BranchSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  address: {
+    type: String
+  },
+  phone: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Branch', BranchSchema);
+
 // File: models/Payment.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
@@ -100,20 +234,30 @@ const PaymentSchema = new Schema({
     ref: 'User',
     required: true
   },
+  // The member's home branch when they paid
+  branch: {
+    type: Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   amount: {
     type: Number,
     required: true
   },
   paymentType: {
     type: String,
-    enum: ['membership', 'addon', 'other'],
+    enum: ['membership', 'freeze_fee', 'addon', 'other'],
     default: 'membership'
   },
   paymentMethod: {
     type: String,
-    enum: ['card', 'upi', 'netbanking', 'cash'],
-    required: true
+    enum: ['card', 'upi', 'netbanking', 'wallet', 'emi', 'cash'],
+    required: function() { return this.status === 'completed'; }
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay'
   },
+  // Gateway ids; named after the first gateway we used but hold any gateway's ids
   razorpayPaymentId: {
     type: String
   },
@@ -121,307 +265,9405 @@ const PaymentSchema = new Schema({
     type: String
   },
   membership: {
+    type: Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
+  freeze: {
+    type: Schema.Types.ObjectId,
+    ref: 'Freeze'
+  },
+  // PT package an addon payment bought
+  ptPackage: {
+    type: Schema.Types.ObjectId,
+    ref: 'PTPackage'
+  },
+  // Class session a drop-in payment books
+  classSession: {
+    type: Schema.Types.ObjectId,
+    ref: 'ClassSession'
+  },
+  // Membership term this payment (or instalment) counts towards
+  term: {
+    type: Schema.Types.ObjectId,
+    ref: 'MembershipTerm'
+  },
+  channel: {
     type: String,
-    enum: ['monthly', 'quarterly', 'yearly']
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  // Offline collections: UPI/cheque reference, note and who took the money
+  reference: {
+    type: String
+  },
+  note: {
+    type: String
+  },
+  collectedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    // processing: claimed by /verify or the webhook, whichever settles it first
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  expiresAt: {
+    type: Date
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   startDate: {
     type: Date
   },
   endDate: {
     type: Date
   },
+  invoiceNumber: {
+    type: String
+  },
+  // When the payment was settled; older payments only have createdAt
+  paidAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+PaymentSchema.index({ razorpayOrderId: 1 });
+PaymentSchema.index({ status: 1, expiresAt: 1 });
+// Payment list filters and sorts (see routes/payments.js)
+PaymentSchema.index({ createdAt: -1 });
+PaymentSchema.index({ userId: 1, createdAt: -1 });
+PaymentSchema.index({ status: 1, createdAt: -1 });
+PaymentSchema.index({ paymentMethod: 1, createdAt: -1 });
+PaymentSchema.index({ membership: 1 });
+PaymentSchema.index({ invoiceNumber: 1 });
+PaymentSchema.index({ branch: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Payment', PaymentSchema);
 
-// File: routes/members.js
-const express = require('express');
-const router = express.Router();
-const User = require('../models/User');
-const { isAdmin } = require('../middleware/auth');
+// File: models/Plan.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
 
-// Get all members (admin only)
-router.get('/', isAdmin, async (req, res) => {
-  try {
-    const members = await User.find({ role: 'member' }).select('-password');
-    res.json(members);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+const PlanSchema = new Schema({
+  // Unique within a branch
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Branch that sells the plan; unset means it's sold at every branch
+  branch: {
+    type: Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Premium plans that let members in at every branch, not just their home branch
+  allBranches: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String
+  },
+  durationValue: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  durationUnit: {
+    type: String,
+    enum: ['days', 'months'],
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    default: 18,
+    min: 0,
+    max: 100
+  },
+  addons: [{
+    type: String,
+    trim: true
+  }],
+  // Freeze days allowed per membership term (0 disables freezes)
+  maxFreezeDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-// Get single member (admin or self)
-router.get('/:id', async (req, res) => {
-  try {
-    // Check if user is admin or requesting their own info
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
-      return res.status(403).json({ message: 'Unauthorized' });
-    }
+// Price including GST, rounded to the paisa
+PlanSchema.methods.getTotalPrice = function() {
+  return Math.round(this.price * (100 + this.gstRate)) / 100;
+};
 
-    const member = await User.findById(req.params.id).select('-password');
-    
-    if (!member) {
-      return res.status(404).json({ message: 'Member not found' });
-    }
-    
-    res.json(member);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+PlanSchema.index({ name: 1, branch: 1 }, { unique: true });
 
-// Add new member (admin only)
-router.post('/', isAdmin, async (req, res) => {
-  try {
-    const { name, email, phone, membershipType, startDate, endDate } = req.body;
-    
-    // Check if user already exists
-    let member = await User.findOne({ email });
-    
-    if (member) {
-      return res.status(400).json({ message: 'User already exists' });
-    }
-    
-    // Create new member
-    member = new User({
-      name,
-      email,
-      password: '123456', // temporary password, should be changed
-      phone,
-      role: 'member',
-      membershipType,
-      startDate,
-      endDate
-    });
-    
-    await member.save();
-    
-    res.status(201).json({ message: 'Member added successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+module.exports = mongoose.model('Plan', PlanSchema);
 
-// Update member (admin only)
-router.put('/:id', isAdmin, async (req, res) => {
-  try {
-    const { name, email, phone, membershipType, startDate, endDate, status } = req.body;
-    
-    const memberFields = {};
-    if (name) memberFields.name = name;
-    if (email) memberFields.email = email;
-    if (phone) memberFields.phone = phone;
-    if (membershipType) memberFields.membershipType = membershipType;
-    if (startDate) memberFields.startDate = startDate;
-    if (endDate) memberFields.endDate = endDate;
-    if (status) memberFields.status = status;
-    
-    let member = await User.findById(req.params.id);
-    
-    if (!member) {
-      return res.status(404).json({ message: 'Member not found' });
-    }
-    
-    member = await User.findByIdAndUpdate(
-      req.params.id,
-      { $set: memberFields },
-      { new: true }
-    ).select('-password');
-    
-    res.json(member);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+// File: models/RefreshToken.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
 
-// Delete member (admin only)
-router.delete('/:id', isAdmin, async (req, res) => {
-  try {
-    const member = await User.findById(req.params.id);
-    
-    if (!member) {
-      return res.status(404).json({ message: 'Member not found' });
-    }
-    
-    await User.findByIdAndDelete(req.params.id);
-    
-    res.json({ message: 'Member deleted' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+const RefreshTokenSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-module.exports = router;
+// Let MongoDB clean up expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+RefreshTokenSchema.index({ userId: 1 });
 
-// File: routes/payments.js
-const express = require('express');
-const router = express.Router();
-const Payment = require('../models/Payment');
-const User = require('../models/User');
-const { isAdmin } = require('../middleware/auth');
-const Razorpay = require('razorpay');
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// File: models/Attendance.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
 
-// Get all payments (admin only)
-router.get('/', isAdmin, async (req, res) => {
-  try {
-    const payments = await Payment.find().populate('userId', 'name email');
-    res.json(payments);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+const AttendanceSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  checkInAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkOutAt: {
+    type: Date
+  },
+  method: {
+    type: String,
+    enum: ['qr', 'manual'],
+    default: 'qr'
+  },
+  recordedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Where the member checked in
+  branch: {
+    type: Schema.Types.ObjectId,
+    ref: 'Branch'
   }
 });
 
-// Get payments for specific user
-router.get('/user/:userId', async (req, res) => {
-  try {
-    // Check if user is admin or requesting their own info
-    if (req.user.role !== 'admin' && req.user.id !== req.params.userId) {
+AttendanceSchema.index({ userId: 1, checkInAt: -1 });
+AttendanceSchema.index({ checkInAt: 1 });
+AttendanceSchema.index({ branch: 1, checkInAt: 1 });
+
+module.exports = mongoose.model('Attendance', AttendanceSchema);
+
+// File: models/StatusHistory.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const StatusHistorySchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  // Empty when the change was made by a scheduled job
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StatusHistorySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StatusHistory', StatusHistorySchema);
+
+// File: models/NotificationTemplate.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NotificationTemplateSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['renewal_reminder', 'payment_receipt', 'payment_failed'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'whatsapp'],
+    required: true
+  },
+  // Only used by email
+  subject: {
+    type: String
+  },
+  // Supports {{placeholders}} such as {{name}} and {{endDate}}
+  body: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationTemplateSchema.index({ type: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', NotificationTemplateSchema);
+
+// File: models/NotificationLog.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NotificationLogSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  // Identifies one logical message, e.g. "renewal:2025-04-30:7"
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String
+  },
+  // sending: claimed by one job run, so another one leaves it alone
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationLogSchema.index({ userId: 1, channel: 1, dedupeKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationLog', NotificationLogSchema);
+
+// File: models/Freeze.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FreezeSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'active', 'completed', 'cancelled'],
+    default: 'requested'
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  feePaid: {
+    type: Boolean,
+    default: false
+  },
+  // Days the membership was actually extended by
+  appliedDays: {
+    type: Number
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FreezeSchema.index({ userId: 1, startDate: -1 });
+FreezeSchema.index({ status: 1, startDate: 1 });
+
+module.exports = mongoose.model('Freeze', FreezeSchema);
+
+// File: models/Counter.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Named sequences, e.g. "invoice:2025-26"
+const CounterSchema = new Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', CounterSchema);
+
+// File: models/Invoice.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const InvoiceSchema = new Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes point back at the invoice they reverse
+  originalInvoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  refundId: {
+    type: String
+  },
+  // Snapshot, so later profile edits don't change issued documents
+  customer: {
+    name: String,
+    email: String,
+    phone: String,
+    gstin: String,
+    stateCode: String
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  sac: {
+    type: String
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvoiceSchema.index({ paymentId: 1, type: 1 });
+// One tax invoice per payment; credit notes are one per refund instead
+InvoiceSchema.index({ paymentId: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+InvoiceSchema.index({ refundId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
+
+// File: models/MembershipTerm.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One purchased membership period, which may be paid for in instalments
+const MembershipTermSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Price including GST
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  // An early renewal onto another plan; the member's plan switches when this term starts
+  pendingPlanChange: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MembershipTermSchema.virtual('balance').get(function() {
+  return Math.round((this.totalAmount - this.amountPaid) * 100) / 100;
+});
+
+MembershipTermSchema.set('toJSON', { virtuals: true });
+MembershipTermSchema.index({ userId: 1, startDate: -1 });
+MembershipTermSchema.index({ pendingPlanChange: 1, startDate: 1 });
+
+module.exports = mongoose.model('MembershipTerm', MembershipTermSchema);
+
+// File: models/Refund.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RefundSchema = new Schema({
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Gateway refunds go back to the original payment method; offline ones are paid out at the desk
+  method: {
+    type: String,
+    enum: ['gateway', 'offline'],
+    required: true
+  },
+  gatewayRefundId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  reason: {
+    type: String
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefundSchema.index({ gatewayRefundId: 1 }, { unique: true, sparse: true });
+RefundSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
+
+// File: models/WebhookEvent.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const WebhookEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+// File: models/Role.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Custom roles, and admin overrides of the built-in ones (see utils/permissions.js)
+const RoleSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  description: {
+    type: String
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
+
+// File: models/AuditLog.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One staff write to members, payments, plans, training or settings. Never updated.
+const AuditLogSchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String
+  },
+  // e.g. member.update, payment.refund, plan.delete
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['member', 'payment', 'plan', 'branch', 'trainer', 'pt_package', 'class', 'workout_program', 'freeze', 'settings'],
+    required: true
+  },
+  // Record id, or a name for settings (e.g. "role:trainer")
+  targetId: {
+    type: String,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+  }],
+  note: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
+
+// File: models/Trainer.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Coaching profile for a staff user; members book PT sessions against it
+const TrainerSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  bio: {
+    type: String
+  },
+  specialties: [{
+    type: String,
+    trim: true
+  }],
+  sessionMinutes: {
+    type: Number,
+    default: 60,
+    min: 15,
+    max: 240
+  },
+  // Weekly hours sessions can be booked in, as gym-local HH:MM times
+  availability: [{
+    _id: false,
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    startTime: {
+      type: String,
+      match: TIME_PATTERN,
+      required: true
+    },
+    endTime: {
+      type: String,
+      match: TIME_PATTERN,
+      required: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Trainer', TrainerSchema);
+
+// File: models/PTPackage.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A bundle of personal-training sessions members can buy
+const PTPackageSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  sessions: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Days from purchase the sessions can be used in
+  validityDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    default: 18,
+    min: 0,
+    max: 100
+  },
+  // Only bookable with this trainer; any trainer when unset
+  trainer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Price including GST, rounded to the paisa
+PTPackageSchema.methods.getTotalPrice = function() {
+  return Math.round(this.price * (100 + this.gstRate)) / 100;
+};
+
+module.exports = mongoose.model('PTPackage', PTPackageSchema);
+
+// File: models/PTPurchase.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Sessions a member has bought; each booking uses one up
+const PTPurchaseSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  package: {
+    type: Schema.Types.ObjectId,
+    ref: 'PTPackage',
+    required: true
+  },
+  payment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  trainer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionsTotal: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Booked, completed, missed and late-cancelled sessions
+  sessionsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PTPurchaseSchema.virtual('sessionsLeft').get(function() {
+  return Math.max(this.sessionsTotal - this.sessionsUsed, 0);
+});
+
+PTPurchaseSchema.set('toJSON', { virtuals: true });
+
+PTPurchaseSchema.index({ userId: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PTPurchase', PTPurchaseSchema);
+
+// File: models/PTSession.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PTSessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The trainer's user id
+  trainer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purchase: {
+    type: Schema.Types.ObjectId,
+    ref: 'PTPurchase',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // late_cancelled and no_show sessions still count as used
+  status: {
+    type: String,
+    enum: ['booked', 'completed', 'no_show', 'cancelled', 'late_cancelled'],
+    default: 'booked'
+  },
+  cancelledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A trainer can only have one booked session starting at a time
+PTSessionSchema.index(
+  { trainer: 1, startTime: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+PTSessionSchema.index({ userId: 1, startTime: -1 });
+
+module.exports = mongoose.model('PTSession', PTSessionSchema);
+
+// File: models/ClassTemplate.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring group class (e.g. Monday and Wednesday yoga at 07:00); sessions are generated from it
+const ClassTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  instructor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: [days => days.length > 0, 'Pick at least one day']
+  },
+  // Gym-local HH:MM
+  startTime: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 15,
+    max: 240
+  },
+  startsOn: {
+    type: Date,
+    default: Date.now
+  },
+  endsOn: {
+    type: Date
+  },
+  // Members on these plans book for free
+  includedInPlans: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Plan'
+  }],
+  // Everyone else pays this per class (0 means plan members only)
+  dropInPrice: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    default: 18,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Drop-in price including GST, rounded to the paisa
+ClassTemplateSchema.methods.getDropInTotal = function() {
+  return Math.round(this.dropInPrice * (100 + this.gstRate)) / 100;
+};
+
+module.exports = mongoose.model('ClassTemplate', ClassTemplateSchema);
+
+// File: models/ClassSession.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One occurrence of a class template
+const ClassSessionSchema = new Schema({
+  template: {
+    type: Schema.Types.ObjectId,
+    ref: 'ClassTemplate',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // Copied from the template so one session can be changed on its own
+  instructor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Booked spots, kept in step with bookings so capacity checks are atomic
+  bookedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancelReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ClassSessionSchema.index({ template: 1, startTime: 1 }, { unique: true });
+ClassSessionSchema.index({ startTime: 1, status: 1 });
+ClassSessionSchema.index({ instructor: 1, startTime: 1 });
+
+module.exports = mongoose.model('ClassSession', ClassSessionSchema);
+
+// File: models/ClassBooking.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ClassBookingSchema = new Schema({
+  session: {
+    type: Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'waitlisted', 'cancelled', 'late_cancelled', 'attended', 'no_show'],
+    required: true
+  },
+  // Drop-in payment for members whose plan doesn't include the class
+  payment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Waitlist order
+  waitlistedAt: {
+    type: Date
+  },
+  promotedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String
+  },
+  attendanceMarkedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One booking per member per session; booking again after cancelling reuses it
+ClassBookingSchema.index({ session: 1, userId: 1 }, { unique: true });
+ClassBookingSchema.index({ session: 1, status: 1, waitlistedAt: 1 });
+ClassBookingSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClassBooking', ClassBookingSchema);
+
+// File: models/Exercise.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An exercise in the library trainers build programs from
+const ExerciseSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  muscleGroup: {
+    type: String,
+    enum: ['chest', 'back', 'shoulders', 'arms', 'legs', 'glutes', 'core', 'full_body', 'cardio'],
+    required: true
+  },
+  equipment: {
+    type: String,
+    trim: true
+  },
+  instructions: {
+    type: String
+  },
+  // Retired exercises stay on old programs and logs but can't be added to new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Exercise', ExerciseSchema);
+
+// File: models/WorkoutProgram.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ProgramExerciseSchema = new Schema({
+  exercise: {
+    type: Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: true
+  },
+  sets: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 20
+  },
+  // A count or a range, e.g. "10" or "8-12"
+  reps: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^\d{1,3}(-\d{1,3})?$/, 'Reps must be a number or a range like 8-12']
+  },
+  restSeconds: {
+    type: Number,
+    default: 60,
+    min: 0,
+    max: 600
+  },
+  notes: {
+    type: String
+  }
+}, { _id: false });
+
+const ProgramDaySchema = new Schema({
+  // e.g. "Day 1 - Push"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  exercises: {
+    type: [ProgramExerciseSchema],
+    validate: [list => list.length > 0, 'Each day needs at least one exercise']
+  }
+}, { _id: false });
+
+// A reusable program a trainer assigns to members
+const WorkoutProgramSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  days: {
+    type: [ProgramDaySchema],
+    validate: [list => list.length > 0 && list.length <= 7, 'A program has between one and seven days']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WorkoutProgramSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('WorkoutProgram', WorkoutProgramSchema);
+
+// File: models/WorkoutAssignment.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A program given to a member. Assigning a new one ends the current one.
+const WorkoutAssignmentSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  program: {
+    type: Schema.Types.ObjectId,
+    ref: 'WorkoutProgram',
+    required: true
+  },
+  assignedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  endedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One current program per member
+WorkoutAssignmentSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+module.exports = mongoose.model('WorkoutAssignment', WorkoutAssignmentSchema);
+
+// File: models/WorkoutLog.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const LoggedSetSchema = new Schema({
+  reps: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 1000
+  },
+  // Kilograms; 0 for bodyweight
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1000
+  }
+}, { _id: false });
+
+const LoggedExerciseSchema = new Schema({
+  exercise: {
+    type: Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: true
+  },
+  sets: {
+    type: [LoggedSetSchema],
+    validate: [list => list.length > 0, 'Log at least one set for each exercise']
+  }
+}, { _id: false });
+
+// A workout a member has done, with the weights they used
+const WorkoutLogSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset for workouts done outside an assigned program
+  assignment: {
+    type: Schema.Types.ObjectId,
+    ref: 'WorkoutAssignment'
+  },
+  dayName: {
+    type: String
+  },
+  performedAt: {
+    type: Date,
+    required: true
+  },
+  exercises: {
+    type: [LoggedExerciseSchema],
+    validate: [list => list.length > 0, 'Log at least one exercise']
+  },
+  // Total kilograms lifted (reps x weight over every set), kept for progress charts
+  volume: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WorkoutLogSchema.pre('validate', function(next) {
+  this.volume = this.exercises.reduce(
+    (total, entry) => total + entry.sets.reduce((sum, set) => sum + set.reps * (set.weight || 0), 0),
+    0
+  );
+  next();
+});
+
+WorkoutLogSchema.index({ userId: 1, performedAt: -1 });
+
+module.exports = mongoose.model('WorkoutLog', WorkoutLogSchema);
+
+// File: models/Assessment.js
+const mongoose = require('mongoose');
+const { ASSESSMENT_MEASURES, measureValue, calculateBmi } = require('../src/shared/assessments');
+const Schema = mongoose.Schema;
+
+const girth = { type: Number, min: 10, max: 300 };
+
+// A fitness assessment: body measurements taken on one day, by a trainer or the member
+const AssessmentSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  weightKg: {
+    type: Number,
+    min: 20,
+    max: 400
+  },
+  heightCm: {
+    type: Number,
+    min: 100,
+    max: 250
+  },
+  bodyFatPercent: {
+    type: Number,
+    min: 2,
+    max: 70
+  },
+  // Worked out from weight and height on save
+  bmi: {
+    type: Number
+  },
+  // Centimetres
+  girths: {
+    chest: girth,
+    waist: girth,
+    hips: girth,
+    arm: girth,
+    thigh: girth
+  },
+  restingHeartRate: {
+    type: Number,
+    min: 25,
+    max: 220
+  },
+  notes: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AssessmentSchema.pre('validate', function(next) {
+  this.bmi = calculateBmi(this.weightKg, this.heightCm);
+  
+  if (ASSESSMENT_MEASURES.every(measure => measureValue(this, measure.key) == null)) {
+    this.invalidate('weightKg', 'Enter at least one measurement');
+  }
+  next();
+});
+
+AssessmentSchema.index({ userId: 1, recordedAt: 1 });
+
+module.exports = mongoose.model('Assessment', AssessmentSchema);
+
+// File: routes/members.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Branch = require('../models/Branch');
+const Trainer = require('../models/Trainer');
+const { requirePermission } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { loadPermissions, hasPermission, canViewMember, inBranchScope, branchFilter } = require('../utils/permissions');
+const { resolveBranch, isPlanSoldAt } = require('../utils/branches');
+const { generateTemporaryPassword } = require('../utils/tokens');
+const { writeToOutbox } = require('../utils/outbox');
+const { changeMemberStatus } = require('../utils/status');
+const StatusHistory = require('../models/StatusHistory');
+const { recordAudit } = require('../utils/audit');
+const { archiveMember, restoreMember, eraseMember } = require('../utils/archive');
+const { parsePagination, parseSort, stringParams, searchPattern, dateRange, pageResult } = require('../utils/listQuery');
+const { MAX_EXPORT_ROWS, parseFormat, readRows, formatDate, sendSpreadsheet } = require('../utils/spreadsheet');
+const { importMembers, MAX_IMPORT_ROWS } = require('../utils/memberImport');
+const {
+  normalizePhone,
+  toDateInput,
+  calculateEndDate,
+  validateMember,
+  hasErrors
+} = require('../src/shared/validation');
+
+const MEMBER_SORT_FIELDS = ['name', 'email', 'status', 'startDate', 'endDate', 'createdAt'];
+
+// Build the member list filter from the query, or null if the user can't list members.
+// Query: q (name, email or phone), status, plan, expiresFrom, expiresTo, archived, branch
+async function memberFilter(req) {
+  const permissions = await loadPermissions(req);
+  const { q, status, plan, expiresFrom, expiresTo } = stringParams(req.query, ['q', 'status', 'plan', 'expiresFrom', 'expiresTo']);
+  const filter = {
+    role: 'member',
+    archivedAt: req.query.archived === 'true' ? { $ne: null } : null
+  };
+  
+  if (!permissions.includes('members.read')) {
+    if (!permissions.includes('members.read_assigned')) {
+      return null;
+    }
+    filter.assignedTrainer = req.user.id;
+  } else {
+    Object.assign(filter, await branchFilter(req));
+  }
+  
+  if (q) {
+    const pattern = searchPattern(q);
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+  if (status) filter.status = status;
+  if (plan) filter.membershipType = plan;
+  if (expiresFrom || expiresTo) filter.endDate = dateRange(expiresFrom, expiresTo);
+  
+  return filter;
+}
+
+const findPlan = id => (mongoose.isValidObjectId(id) ? Plan.findById(id) : null);
+
+// Members at the user's branches only, so staff can't change members elsewhere
+const findMemberInScope = async (req, id) => User.findOne({ _id: id, ...await branchFilter(req) });
+
+const fieldErrors = (res, errors) =>
+  res.status(400).json({ message: 'Please correct the highlighted fields', errors });
+
+// Get members a page at a time (staff), or a trainer's assigned clients.
+// Takes the memberFilter query plus sort, page and limit.
+router.get('/', async (req, res) => {
+  try {
+    const filter = await memberFilter(req);
+    
+    if (!filter) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const pagination = parsePagination(req.query);
+    
+    const [members, total] = await Promise.all([
+      User.find(filter)
+        .select('-password -resetPasswordToken -resetPasswordExpires')
+        .populate('membershipType', 'name')
+        .populate('branch', 'name')
+        .sort(parseSort(req.query.sort, MEMBER_SORT_FIELDS, 'name'))
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(filter)
+    ]);
+    
+    res.json(pageResult('members', members, total, pagination));
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export the filtered member list (?format=csv or xlsx)
+router.get('/export', async (req, res) => {
+  try {
+    const filter = await memberFilter(req);
+    
+    if (!filter) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const members = await User.find(filter)
+      .select('name email phone status startDate endDate archivedAt membershipType branch')
+      .populate('membershipType', 'name')
+      .populate('branch', 'name')
+      .sort(parseSort(req.query.sort, MEMBER_SORT_FIELDS, 'name'))
+      .limit(MAX_EXPORT_ROWS + 1);
+    
+    if (members.length > MAX_EXPORT_ROWS) {
+      return res.status(400).json({ message: `Exports are limited to ${MAX_EXPORT_ROWS} members. Narrow the filters and try again.` });
+    }
+    
+    const rows = members.map(member => ({
+      Name: member.name,
+      Email: member.email,
+      Phone: member.phone,
+      Plan: member.membershipType ? member.membershipType.name : '',
+      Branch: member.branch ? member.branch.name : '',
+      Status: member.status,
+      'Start Date': formatDate(member.startDate),
+      'End Date': formatDate(member.endDate),
+      Archived: member.archivedAt ? formatDate(member.archivedAt) : ''
+    }));
+    
+    sendSpreadsheet(res, rows, { name: 'members', format: parseFormat(req.query.format) });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import members from a CSV or XLSX file. It's a dry run unless dryRun=false is sent;
+// createPayments=true also records each row's Amount Paid as a historical offline payment.
+// Everyone imported joins the branch sent as branch.
+router.post('/import', requirePermission('members.create'), uploadSpreadsheet, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== 'false';
+    const createPayments = req.body.createPayments === 'true';
+    
+    if (createPayments && !(await hasPermission(req, 'payments.collect'))) {
+      return res.status(403).json({ message: 'Unauthorized. Missing permission', missing: ['payments.collect'] });
+    }
+    
+    let rows;
+    try {
+      rows = readRows(req.file);
+    } catch (err) {
+      return res.status(400).json({ message: 'Could not read the file' });
+    }
+    
+    if (!rows.length) {
+      return res.status(400).json({ message: 'The file has no rows' });
+    }
+    
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+    }
+    
+    const { branch, error } = await resolveBranch(req, req.body.branch);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const result = await importMembers(rows, { dryRun, createPayments, importedBy: req.user.id, branch });
+    
+    if (result.created) {
+      await recordAudit(req, {
+        action: 'member.import',
+        targetType: 'member',
+        targetId: 'import',
+        before: null,
+        after: null,
+        note: `${result.created} members imported from ${req.file.originalname}`
+      });
+    }
+    
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single member (staff, their trainer or self)
+router.get('/:id', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.id))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    const member = await User.findById(req.params.id)
+      .select('-password -resetPasswordToken -resetPasswordExpires')
+      .populate('membershipType', 'name durationValue durationUnit')
+      .populate('branch', 'name');
+    
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    res.json(member);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's status history (staff, their trainer or self)
+router.get('/:id/status-history', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.id))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const history = await StatusHistory.find({ userId: req.params.id })
+      .populate('changedBy', 'name')
+      .sort({ createdAt: -1 });
+    
+    res.json(history);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add new member at one of the user's branches. The end date follows from the plan
+// unless the user may override dates.
+router.post('/', requirePermission('members.create'), async (req, res) => {
+  try {
+    const { name, email, phone, membershipType, startDate } = req.body;
+    const plan = await findPlan(membershipType);
+    const { branch, error: branchError } = await resolveBranch(req, req.body.branch);
+    const allowDateOverride = await hasPermission(req, 'members.override_dates');
+    const endDate = req.body.endDate || (plan && startDate ? calculateEndDate(plan, startDate) : undefined);
+    
+    const errors = validateMember({ name, email, phone, membershipType, startDate, endDate }, { plan, allowDateOverride });
+    
+    if (membershipType && !plan) {
+      errors.membershipType = 'Invalid membership plan';
+    }
+    
+    if (branchError) {
+      errors.branch = branchError;
+    } else if (plan && !isPlanSoldAt(plan, branch)) {
+      errors.membershipType = 'This plan isn\'t sold at this branch';
+    }
+    
+    if (hasErrors(errors)) {
+      return fieldErrors(res, errors);
+    }
+    
+    // Check if user already exists
+    let member = await User.findOne({ email });
+    
+    if (member) {
+      const message = member.archivedAt ? 'An archived member has this email; restore them instead' : 'User already exists';
+      return fieldErrors(res, { email: message });
+    }
+    
+    // Create new member with a one-off password they must change on first login
+    const temporaryPassword = generateTemporaryPassword();
+    
+    member = new User({
+      name,
+      email,
+      password: temporaryPassword,
+      mustChangePassword: true,
+      phone: normalizePhone(phone),
+      role: 'member',
+      branch,
+      membershipType,
+      startDate,
+      endDate
+    });
+    
+    await member.save();
+    
+    await recordAudit(req, { action: 'member.create', targetType: 'member', targetId: member._id, before: null, after: member });
+    
+    await writeToOutbox({
+      to: email,
+      subject: 'Your gym account',
+      text: `Hi ${name},\n\nYour account has been created. Log in with this temporary password and choose a new one:\n\n${temporaryPassword}\n`
+    });
+    
+    res.status(201).json({ message: 'Member added successfully', id: member._id, temporaryPassword });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update member. Changing the plan or start date moves the end date to match the plan,
+// unless the user may override dates. Members can be moved to another of the user's branches.
+router.put('/:id', requirePermission('members.update'), async (req, res) => {
+  try {
+    const { name, email, phone, membershipType, startDate, endDate, status, assignedTrainer, branch } = req.body;
+    
+    const before = await findMemberInScope(req, req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    const planChanged = membershipType && String(membershipType) !== String(before.membershipType);
+    const startChanged = startDate && toDateInput(startDate) !== toDateInput(before.startDate);
+    const endChanged = endDate && toDateInput(endDate) !== toDateInput(before.endDate);
+    const datesChanged = planChanged || startChanged || endChanged;
+    
+    const plan = await findPlan(membershipType || before.membershipType);
+    const allowDateOverride = await hasPermission(req, 'members.override_dates');
+    
+    const values = {
+      name: name || before.name,
+      email: email || before.email,
+      phone: phone || before.phone,
+      membershipType: membershipType || before.membershipType,
+      startDate: startDate || before.startDate,
+      endDate: endChanged || !datesChanged ? endDate || before.endDate : undefined,
+      status
+    };
+    
+    if (datesChanged && !values.endDate && plan && values.startDate) {
+      values.endDate = calculateEndDate(plan, values.startDate);
+    }
+    
+    // Dates left alone aren't re-checked against the plan; freezes legitimately extend them
+    const errors = validateMember(values, {
+      plan,
+      allowDateOverride: allowDateOverride || !datesChanged,
+      requireMembership: (status || before.status) !== 'pending'
+    });
+    
+    if (membershipType && !plan) {
+      errors.membershipType = 'Invalid membership plan';
+    }
+    
+    // Only a newly chosen trainer needs an active profile
+    const trainerChanged = assignedTrainer && String(assignedTrainer) !== String(before.assignedTrainer);
+    if (trainerChanged && !(await Trainer.exists({ user: assignedTrainer, isActive: true }))) {
+      errors.assignedTrainer = 'Invalid trainer';
+    }
+    
+    const branchChanged = branch && String(branch) !== String(before.branch);
+    const branchAllowed = async () =>
+      mongoose.isValidObjectId(branch) && await inBranchScope(req, branch) && await Branch.exists({ _id: branch, isActive: true });
+    if (branchChanged && !(await branchAllowed())) {
+      errors.branch = 'Invalid branch';
+    }
+    
+    // A branch-only plan has to be one sold at the member's (new) branch
+    if (plan && (planChanged || branchChanged) && !errors.branch && !isPlanSoldAt(plan, branch || before.branch)) {
+      errors.membershipType = 'This plan isn\'t sold at this branch';
+    }
+    
+    if (hasErrors(errors)) {
+      return fieldErrors(res, errors);
+    }
+    
+    const memberFields = {};
+    if (name) memberFields.name = name;
+    if (email) memberFields.email = email;
+    if (phone) memberFields.phone = normalizePhone(phone);
+    if (membershipType) memberFields.membershipType = membershipType;
+    if (startDate) memberFields.startDate = startDate;
+    if (datesChanged) memberFields.endDate = values.endDate;
+    if (assignedTrainer !== undefined) memberFields.assignedTrainer = assignedTrainer || null;
+    if (branchChanged) memberFields.branch = branch;
+    
+    await User.findByIdAndUpdate(req.params.id, { $set: memberFields });
+    
+    // Status goes through the history log
+    if (status) {
+      await changeMemberStatus(req.params.id, status, { reason: 'Changed by staff', changedBy: req.user.id });
+    }
+    
+    const member = await User.findById(req.params.id).select('-password -resetPasswordToken -resetPasswordExpires');
+    
+    await recordAudit(req, { action: 'member.update', targetType: 'member', targetId: member._id, before, after: member });
+    
+    res.json(member);
+  } catch (err) {
+    if (err.code === 11000) {
+      return fieldErrors(res, { email: 'Another user has this email' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Archive member (members are never hard-deleted so their payments stay linked)
+router.delete('/:id', requirePermission('members.delete'), async (req, res) => {
+  try {
+    const member = await findMemberInScope(req, req.params.id);
+    
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    if (member.archivedAt) {
+      return res.status(400).json({ message: 'Member is already archived' });
+    }
+    
+    await archiveMember(member, req.user.id);
+    
+    await recordAudit(req, {
+      action: 'member.archive',
+      targetType: 'member',
+      targetId: member._id,
+      before: { archivedAt: null },
+      after: { archivedAt: member.archivedAt }
+    });
+    
+    res.json({ message: 'Member archived' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore an archived member
+router.post('/:id/restore', requirePermission('members.delete'), async (req, res) => {
+  try {
+    const member = await findMemberInScope(req, req.params.id);
+    
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    if (!member.archivedAt) {
+      return res.status(400).json({ message: 'Member is not archived' });
+    }
+    
+    if (member.erasedAt) {
+      return res.status(400).json({ message: 'Erased members cannot be restored' });
+    }
+    
+    const archivedAt = member.archivedAt;
+    await restoreMember(member);
+    
+    await recordAudit(req, {
+      action: 'member.restore',
+      targetType: 'member',
+      targetId: member._id,
+      before: { archivedAt },
+      after: { archivedAt: null }
+    });
+    
+    res.json({ message: 'Member restored' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Erase a member's personal data (right to erasure); financial records are kept
+router.post('/:id/erase', requirePermission('members.erase'), async (req, res) => {
+  try {
+    const member = await findMemberInScope(req, req.params.id);
+    
+    if (!member || member.role !== 'member') {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    if (member.erasedAt) {
+      return res.status(400).json({ message: 'Member has already been erased' });
+    }
+    
+    await eraseMember(member, req.user.id);
+    
+    // The diff would copy the personal data we just removed, so log no field values
+    await recordAudit(req, {
+      action: 'member.erase',
+      targetType: 'member',
+      targetId: member._id,
+      before: null,
+      after: null,
+      note: 'Personal data anonymised'
+    });
+    
+    res.json({ message: 'Member erased' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/payments.js
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const PTPackage = require('../models/PTPackage');
+const ClassSession = require('../models/ClassSession');
+const ClassBooking = require('../models/ClassBooking');
+const Freeze = require('../models/Freeze');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const MembershipTerm = require('../models/MembershipTerm');
+const Refund = require('../models/Refund');
+const { requirePermission } = require('../middleware/auth');
+const { canActFor, inBranchScope, branchFilter, memberInScope } = require('../utils/permissions');
+const { plansSoldAt, isPlanSoldAt } = require('../utils/branches');
+const { getGateway } = require('../gateways');
+const { completePayment, failPayment } = require('../utils/payments');
+const { refundPayment } = require('../utils/refunds');
+const { ACTIVE_BOOKING_STATUSES, classAccess, bookingProblem } = require('../utils/classes');
+const { issueInvoice, renderInvoicePdf } = require('../utils/invoice');
+const { recordAudit } = require('../utils/audit');
+const { parsePagination, parseSort, stringParams, searchPattern, dateRange, pageResult } = require('../utils/listQuery');
+const { MAX_EXPORT_ROWS, parseFormat, formatDate, sendSpreadsheet } = require('../utils/spreadsheet');
+const { ORDER_EXPIRY_MINUTES, OFFLINE_METHODS, ALLOW_MOCK_PAYMENTS } = require('../config/payments');
+
+// Statuses that have an invoice
+const INVOICED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const PAYMENT_SORT_FIELDS = ['createdAt', 'amount', 'status'];
+
+function sendPdf(res, invoice) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.number.replace(/\//g, '-')}.pdf"`);
+  return renderInvoicePdf(invoice, res);
+}
+
+// Ledger line for a payment that wasn't towards a membership term
+function chargeDescription(payment) {
+  if (payment.paymentType === 'freeze_fee') return 'Freeze fee';
+  if (payment.ptPackage) return 'Personal training';
+  if (payment.classSession) return 'Drop-in class';
+  return 'Membership';
+}
+
+// What a verified payment did, for the member
+function verifiedMessage(payment) {
+  if (payment.paymentType === 'freeze_fee') return 'Payment verified';
+  if (payment.ptPackage) return 'Payment verified and sessions added';
+  if (payment.classSession) return 'Payment verified and class booked';
+  return 'Payment verified and membership updated';
+}
+
+// Load a payment the requester may see (staff or owner)
+async function findOwnPayment(req) {
+  const payment = await Payment.findById(req.params.id);
+  
+  if (!payment || !(await canActFor(req, payment.userId, 'payments.read'))) {
+    return null;
+  }
+  
+  return payment;
+}
+
+// Build the payment list filter from the query, kept to the user's branches.
+// Query: q (member name, email or phone, invoice number or reference), status, method, channel,
+// type, plan, userId, from, to, branch
+async function paymentFilter(req) {
+  const { q, status, method, channel, type, plan, userId, from, to } = stringParams(req.query,
+    ['q', 'status', 'method', 'channel', 'type', 'plan', 'userId', 'from', 'to']);
+  const filter = await branchFilter(req);
+  
+  if (q) {
+    const pattern = searchPattern(q);
+    const memberIds = await User.find({ $or: [{ name: pattern }, { email: pattern }, { phone: pattern }] })
+      .distinct('_id');
+    
+    filter.$or = [
+      { userId: { $in: memberIds } },
+      { invoiceNumber: pattern },
+      { razorpayPaymentId: pattern },
+      { reference: pattern }
+    ];
+  }
+  if (status) filter.status = status;
+  if (method) filter.paymentMethod = method;
+  if (channel) filter.channel = channel;
+  if (type) filter.paymentType = type;
+  if (plan) filter.membership = plan;
+  if (userId) filter.userId = userId;
+  if (from || to) filter.createdAt = dateRange(from, to);
+  
+  return filter;
+}
+
+// Get payments a page at a time. Takes the paymentFilter query plus sort, page and limit.
+router.get('/', requirePermission('payments.read'), async (req, res) => {
+  try {
+    const filter = await paymentFilter(req);
+    
+    const pagination = parsePagination(req.query);
+    
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('userId', 'name email')
+        .populate('membership', 'name')
+        .populate('branch', 'name')
+        .sort(parseSort(req.query.sort, PAYMENT_SORT_FIELDS, '-createdAt'))
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Payment.countDocuments(filter)
+    ]);
+    
+    res.json(pageResult('payments', payments, total, pagination));
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export the filtered payment list for accounts (?format=csv or xlsx)
+router.get('/export', requirePermission('payments.read'), async (req, res) => {
+  try {
+    const payments = await Payment.find(await paymentFilter(req))
+      .populate('userId', 'name email')
+      .populate('membership', 'name')
+      .populate('branch', 'name')
+      .sort(parseSort(req.query.sort, PAYMENT_SORT_FIELDS, '-createdAt'))
+      .limit(MAX_EXPORT_ROWS + 1);
+    
+    if (payments.length > MAX_EXPORT_ROWS) {
+      return res.status(400).json({ message: `Exports are limited to ${MAX_EXPORT_ROWS} payments. Narrow the filters and try again.` });
+    }
+    
+    const rows = payments.map(payment => ({
+      Date: formatDate(payment.createdAt),
+      Member: payment.userId ? payment.userId.name : '',
+      Email: payment.userId ? payment.userId.email : '',
+      Type: payment.paymentType,
+      Plan: payment.membership ? payment.membership.name : '',
+      Branch: payment.branch ? payment.branch.name : '',
+      Amount: payment.amount,
+      Refunded: payment.refundedAmount || 0,
+      Method: payment.paymentMethod || '',
+      Channel: payment.channel,
+      Status: payment.status,
+      'Invoice Number': payment.invoiceNumber || '',
+      'Gateway Payment ID': payment.razorpayPaymentId || '',
+      Reference: payment.reference || ''
+    }));
+    
+    sendSpreadsheet(res, rows, { name: 'payments', format: parseFormat(req.query.format) });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get payments for specific user
+router.get('/user/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'payments.read'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const payments = await Payment.find({ userId: req.params.userId }).populate('membership', 'name');
+    res.json(payments);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's outstanding balance and ledger (staff or self)
+router.get('/ledger/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'payments.read'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const [terms, payments, refunds] = await Promise.all([
+      MembershipTerm.find({ userId: req.params.userId }).populate('plan', 'name'),
+      Payment.find({ userId: req.params.userId, status: { $in: INVOICED_STATUSES } }),
+      Refund.find({ userId: req.params.userId, status: 'processed' })
+    ]);
+    
+    // A term is charged when its first payment was started
+    const termStarted = {};
+    payments.filter(payment => payment.term).forEach(payment => {
+      const key = payment.term.toString();
+      if (!termStarted[key] || payment.createdAt < termStarted[key]) termStarted[key] = payment.createdAt;
+    });
+    
+    // Charges raise what the member owes, payments lower it and refunds raise it again
+    const entries = terms.map(term => ({
+      date: termStarted[term._id.toString()] || term.createdAt,
+      type: 'charge',
+      description: `${term.plan ? term.plan.name : 'Membership'} (${term.startDate.toLocaleDateString('en-IN')} to ${term.endDate.toLocaleDateString('en-IN')})`,
+      amount: term.totalAmount,
+      termId: term._id
+    }));
+    
+    payments.forEach(payment => {
+      // Fees (and payments from before terms existed) are charged and paid in one go
+      if (!payment.term) {
+        entries.push({
+          date: payment.createdAt,
+          type: 'charge',
+          description: chargeDescription(payment),
+          amount: payment.amount,
+          paymentId: payment._id
+        });
+      }
+      
+      entries.push({
+        date: payment.createdAt,
+        type: 'payment',
+        description: `Payment by ${payment.paymentMethod}${payment.invoiceNumber ? ` (${payment.invoiceNumber})` : ''}`,
+        amount: -payment.amount,
+        paymentId: payment._id
+      });
+    });
+    
+    const paymentsById = new Map(payments.map(payment => [payment._id.toString(), payment]));
+    
+    refunds.forEach(refund => {
+      entries.push({
+        date: refund.processedAt,
+        type: 'refund',
+        description: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+        amount: refund.amount,
+        refundId: refund._id
+      });
+      
+      // A refunded membership is owed again (its term's balance goes back up),
+      // but a refunded fee is cancelled, so its charge is reversed too
+      const payment = paymentsById.get(refund.paymentId.toString());
+      if (payment && !payment.term) {
+        entries.push({
+          date: refund.processedAt,
+          type: 'charge',
+          description: `Cancelled: ${chargeDescription(payment)}`,
+          amount: -refund.amount,
+          refundId: refund._id
+        });
+      }
+    });
+    
+    // Charges first when they share a timestamp with their payment
+    entries.sort((a, b) => a.date - b.date || (a.type === 'charge' ? -1 : 0) - (b.type === 'charge' ? -1 : 0));
+    
+    let running = 0;
+    entries.forEach(entry => {
+      running = Math.round((running + entry.amount) * 100) / 100;
+      entry.balance = running;
+    });
+    
+    res.json({
+      outstanding: terms.reduce((total, term) => total + Math.max(term.balance, 0), 0),
+      terms,
+      entries
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record a cash, UPI or card payment taken at the desk, for a member at one of the user's branches.
+// Pass planId to start a new membership, termId to pay towards an existing one,
+// or ptPackageId to sell a PT package (paid in full).
+router.post('/offline', requirePermission('payments.collect'), async (req, res) => {
+  try {
+    const { userId, planId, termId, ptPackageId, paymentMethod, reference, note } = req.body;
+    const amount = Number(req.body.amount);
+    
+    if (!OFFLINE_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ message: `Payment method must be one of ${OFFLINE_METHODS.join(', ')}` });
+    }
+    
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: 'Amount must be greater than zero' });
+    }
+    
+    const member = await User.findById(userId);
+    
+    if (!member || member.role !== 'member' || !(await memberInScope(req, member._id))) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    const payment = new Payment({
+      userId,
+      amount,
+      paymentType: 'membership',
+      paymentMethod,
+      channel: 'offline',
+      branch: member.branch,
+      reference,
+      note,
+      collectedBy: req.user.id
+    });
+    let totalAmount;
+    
+    if (termId) {
+      const term = await MembershipTerm.findOne({ _id: termId, userId });
+      
+      if (!term) {
+        return res.status(404).json({ message: 'Membership term not found' });
+      }
+      
+      if (amount > term.balance) {
+        return res.status(400).json({ message: `Only ₹${term.balance} is outstanding on this membership` });
+      }
+      
+      payment.term = term._id;
+      payment.membership = term.plan;
+    } else if (ptPackageId) {
+      const ptPackage = await PTPackage.findOne({ _id: ptPackageId, isActive: true });
+      
+      if (!ptPackage) {
+        return res.status(400).json({ message: 'Invalid PT package' });
+      }
+      
+      if (amount !== ptPackage.getTotalPrice()) {
+        return res.status(400).json({ message: `Package price is ₹${ptPackage.getTotalPrice()}` });
+      }
+      
+      payment.paymentType = 'addon';
+      payment.ptPackage = ptPackage._id;
+    } else {
+      const plan = await Plan.findOne({ _id: planId, isActive: true });
+      
+      if (!plan) {
+        return res.status(400).json({ message: 'Invalid membership plan' });
+      }
+      
+      if (!isPlanSoldAt(plan, member.branch)) {
+        return res.status(400).json({ message: 'This plan isn\'t sold at the member\'s branch' });
+      }
+      
+      totalAmount = plan.getTotalPrice();
+      
+      if (amount > totalAmount) {
+        return res.status(400).json({ message: `Plan price is ₹${totalAmount}` });
+      }
+      
+      payment.membership = plan._id;
+    }
+    
+    await completePayment(payment, { totalAmount });
+    
+    await recordAudit(req, { action: 'payment.record_offline', targetType: 'payment', targetId: payment._id, before: null, after: payment });
+    
+    res.status(201).json(payment);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refund all or part of a payment
+router.post('/:id/refund', requirePermission('payments.refund'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    
+    if (!payment || !INVOICED_STATUSES.includes(payment.status) || !(await inBranchScope(req, payment.branch))) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    
+    const pendingRefunds = await Refund.find({ paymentId: payment._id, status: 'pending' });
+    const refundable = Math.round((payment.amount - payment.refundedAmount -
+      pendingRefunds.reduce((total, refund) => total + refund.amount, 0)) * 100) / 100;
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : refundable;
+    
+    if (!(amount > 0) || amount > refundable) {
+      return res.status(400).json({ message: `Refund must be between ₹0.01 and ₹${refundable}` });
+    }
+    
+    let refund;
+    try {
+      refund = await refundPayment(payment, amount, { reason: req.body.reason, createdBy: req.user.id });
+    } catch (err) {
+      console.error(err);
+      return res.status(502).json({ message: 'Refund was rejected by the payment gateway' });
+    }
+    
+    if (refund.status === 'failed') {
+      return res.status(400).json({ message: 'Refund is more than is left to refund on this payment' });
+    }
+    
+    if (refund.status === 'pending') {
+      // The refund.processed webhook finishes it
+      await recordAudit(req, { action: 'payment.refund', targetType: 'payment', targetId: payment._id, before: null, after: refund, note: 'Pending with gateway' });
+      return res.status(202).json(refund);
+    }
+    
+    await recordAudit(req, { action: 'payment.refund', targetType: 'payment', targetId: payment._id, before: null, after: refund });
+    
+    res.status(201).json(refund);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the tax invoice for a payment (staff or owner)
+router.get('/:id/invoice', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    
+    if (!INVOICED_STATUSES.includes(payment.status)) {
+      return res.status(400).json({ message: 'Only completed payments have an invoice' });
+    }
+    
+    // Payments made before invoicing existed get theirs on first download
+    const invoice = await issueInvoice(payment);
+    
+    await sendPdf(res, invoice);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List credit notes issued against a payment (staff or owner)
+router.get('/:id/credit-notes', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    
+    const creditNotes = await Invoice.find({ paymentId: payment._id, type: 'credit_note' }).sort({ issuedAt: 1 });
+    res.json(creditNotes);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a credit note (staff or owner)
+router.get('/:id/credit-notes/:noteId', async (req, res) => {
+  try {
+    const payment = await findOwnPayment(req);
+    
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    
+    const creditNote = await Invoice.findOne({ _id: req.params.noteId, paymentId: payment._id, type: 'credit_note' });
+    
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+    
+    await sendPdf(res, creditNote);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Work out what an order is for and its price. Prices always come
+// from the server, never from the client. Plans must be sold at the member's branch.
+async function resolveOrder(req, member) {
+  const { planId, freezeId, termId, ptPackageId, classSessionId } = req.body;
+  
+  if (termId) {
+    const term = await MembershipTerm.findOne({ _id: termId, userId: req.user.id });
+    
+    if (!term || term.balance <= 0) {
+      return { error: 'Nothing is outstanding on this membership' };
+    }
+    
+    // Members can pay off a balance in smaller instalments
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : term.balance;
+    
+    if (!(amount >= 1) || amount > term.balance) {
+      return { error: `Instalment must be between ₹1 and ₹${term.balance}` };
+    }
+    
+    return { amount, paymentType: 'membership', membership: term.plan, term: term._id };
+  }
+  
+  if (freezeId) {
+    const freeze = await Freeze.findOne({ _id: freezeId, userId: req.user.id, status: 'approved' });
+    
+    if (!freeze || freeze.fee <= 0 || freeze.feePaid) {
+      return { error: 'No freeze fee is due' };
+    }
+    
+    return { amount: freeze.fee, paymentType: 'freeze_fee', freeze: freeze._id };
+  }
+  
+  if (ptPackageId) {
+    const ptPackage = await PTPackage.findOne({ _id: ptPackageId, isActive: true });
+    
+    if (!ptPackage) {
+      return { error: 'Invalid PT package' };
+    }
+    
+    return { amount: ptPackage.getTotalPrice(), paymentType: 'addon', ptPackage: ptPackage._id };
+  }
+  
+  // Drop-in for a class the member's plan doesn't include
+  if (classSessionId) {
+    const session = await ClassSession.findById(classSessionId).populate('template');
+    
+    if (!session) {
+      return { error: 'Class not found' };
+    }
+    
+    const problem = bookingProblem(session, member);
+    
+    if (problem) {
+      return { error: problem };
+    }
+    
+    if (classAccess(session.template, member) !== 'drop_in') {
+      return { error: 'This class is not open for drop-in payment' };
+    }
+    
+    if (await ClassBooking.exists({ session: session._id, userId: req.user.id, status: { $in: ACTIVE_BOOKING_STATUSES } })) {
+      return { error: 'You already have a place in this class' };
+    }
+    
+    return { amount: session.template.getDropInTotal(), paymentType: 'addon', classSession: session._id };
+  }
+  
+  const plan = await Plan.findOne({ _id: planId, isActive: true, ...plansSoldAt(member.branch) });
+  
+  if (!plan) {
+    return { error: 'Invalid membership plan' };
+  }
+  
+  return { amount: plan.getTotalPrice(), paymentType: 'membership', membership: plan._id };
+}
+
+// Create a gateway order
+router.post('/create-order', async (req, res) => {
+  try {
+    const member = await User.findById(req.user.id);
+    const { error, ...orderFor } = await resolveOrder(req, member);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const gateway = getGateway();
+    
+    let order;
+    try {
+      order = await gateway.createOrder({
+        amount: orderFor.amount,
+        receipt: 'receipt_' + new Date().getTime()
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Error creating order' });
+    }
+    
+    await Payment.create({
+      userId: req.user.id,
+      ...orderFor,
+      branch: member.branch,
+      gateway: gateway.name,
+      razorpayOrderId: order.id,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + ORDER_EXPIRY_MINUTES * 60 * 1000)
+    });
+    
+    res.json({
+      id: order.id,
+      amount: Math.round(order.amount * 100), // In paise, as checkout expects
+      currency: order.currency,
+      gateway: gateway.name,
+      key: gateway.publicKey
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify payment and update membership
+router.post('/verify', async (req, res) => {
+  try {
+    const { 
+      razorpayPaymentId, 
+      razorpayOrderId, 
+      razorpaySignature,
+      planId
+    } = req.body;
+    
+    let payment = await Payment.findOne({ razorpayOrderId, userId: req.user.id });
+    
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    
+    const gateway = getGateway(payment.gateway);
+    
+    if (!gateway.verifyPaymentSignature({ orderId: razorpayOrderId, paymentId: razorpayPaymentId, signature: razorpaySignature })) {
+      return res.status(400).json({ success: false, message: 'Invalid payment signature' });
+    }
+    
+    if (planId && planId !== String(payment.membership)) {
+      return res.status(400).json({ success: false, message: 'Plan does not match order' });
+    }
+    
+    // The webhook may already have settled this order
+    if (payment.status === 'pending' || payment.status === 'expired') {
+      // Take amount, method and status from the gateway, not the browser
+      const gatewayPayment = await gateway.fetchPayment(razorpayPaymentId);
+      
+      if (gatewayPayment.orderId !== razorpayOrderId) {
+        return res.status(400).json({ success: false, message: 'Payment does not belong to this order' });
+      }
+      
+      payment.razorpayPaymentId = razorpayPaymentId;
+      payment.paymentMethod = gatewayPayment.method;
+      
+      if (Math.round(gatewayPayment.amount * 100) !== Math.round(payment.amount * 100)) {
+        await failPayment(payment);
+        return res.status(400).json({ success: false, message: 'Amount does not match order' });
+      }
+      
+      let settled = payment;
+      
+      if (gatewayPayment.status === 'captured') {
+        // Money was taken, so honour it even if the order had expired
+        settled = await completePayment(payment);
+      } else if (gatewayPayment.status === 'failed') {
+        settled = await failPayment(payment);
+      } else if (payment.status === 'expired') {
+        return res.status(400).json({ success: false, message: 'Order has expired' });
+      } else {
+        await payment.save();
+      }
+      
+      // The webhook got there first; report what it did
+      if (!settled) {
+        payment = await Payment.findById(payment._id);
+      }
+    }
+    
+    if (payment.status === 'failed') {
+      return res.status(400).json({ success: false, message: 'Payment failed' });
+    }
+    
+    if (payment.status === 'pending' || payment.status === 'processing') {
+      // Authorized but not captured yet, the webhook will finish it
+      return res.status(202).json({ success: false, status: 'pending', message: 'Payment is being processed' });
+    }
+    
+    res.json({
+      success: true,
+      message: verifiedMessage(payment)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pay an order without a real checkout (mock gateway only, and only where it's allowed)
+if (ALLOW_MOCK_PAYMENTS) {
+  router.post('/mock-checkout', async (req, res) => {
+    try {
+      const payment = await Payment.findOne({ razorpayOrderId: req.body.orderId, userId: req.user.id });
+      
+      if (!payment || payment.gateway !== 'mock') {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      
+      const { orderId, paymentId, signature } = getGateway('mock').simulateCheckout(payment.razorpayOrderId, req.body.outcome);
+      
+      res.json({ razorpayOrderId: orderId, razorpayPaymentId: paymentId, razorpaySignature: signature });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+}
+
+module.exports = router;
+
+// File: routes/webhooks.js
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const Refund = require('../models/Refund');
+const { getGateway } = require('../gateways');
+const { OPEN_STATUSES, completePayment, failPayment } = require('../utils/payments');
+const { applyRefund } = require('../utils/refunds');
+
+// Events only touch payments made through the gateway that signed them
+async function handlePaymentCaptured(gatewayPayment, gatewayName) {
+  const payment = await Payment.findOne({ razorpayOrderId: gatewayPayment.orderId, gateway: gatewayName });
+  
+  if (!payment || !OPEN_STATUSES.includes(payment.status)) return;
+  
+  payment.razorpayPaymentId = gatewayPayment.id;
+  payment.paymentMethod = gatewayPayment.method;
+  
+  if (Math.round(gatewayPayment.amount * 100) !== Math.round(payment.amount * 100)) {
+    console.error(`Captured amount ${gatewayPayment.amount} does not match order ${gatewayPayment.orderId}`);
+    await failPayment(payment);
+    return;
+  }
+  
+  await completePayment(payment);
+}
+
+async function handlePaymentFailed(gatewayPayment, gatewayName) {
+  const payment = await Payment.findOne({ razorpayOrderId: gatewayPayment.orderId, gateway: gatewayName });
+  
+  if (!payment || !OPEN_STATUSES.includes(payment.status)) return;
+  
+  payment.razorpayPaymentId = gatewayPayment.id;
+  await failPayment(payment);
+}
+
+// Refunds we started, or ones made from the gateway's dashboard
+async function findOrCreateRefund(gatewayRefund, gatewayName) {
+  const refund = await Refund.findOne({ gatewayRefundId: gatewayRefund.id });
+  if (refund) {
+    return await Payment.exists({ _id: refund.paymentId, gateway: gatewayName }) ? refund : null;
+  }
+  
+  const payment = await Payment.findOne({ razorpayPaymentId: gatewayRefund.paymentId, gateway: gatewayName });
+  if (!payment) return null;
+  
+  return new Refund({
+    paymentId: payment._id,
+    userId: payment.userId,
+    amount: gatewayRefund.amount,
+    method: 'gateway',
+    gatewayRefundId: gatewayRefund.id
+  });
+}
+
+async function handleRefundProcessed(gatewayRefund, gatewayName) {
+  const refund = await findOrCreateRefund(gatewayRefund, gatewayName);
+  
+  if (refund) {
+    await applyRefund(refund);
+  }
+}
+
+async function handleRefundFailed(gatewayRefund, gatewayName) {
+  const refund = await findOrCreateRefund(gatewayRefund, gatewayName);
+  
+  if (refund && refund.status === 'pending') {
+    refund.status = 'failed';
+    await refund.save();
+  }
+}
+
+const handlers = {
+  'payment.captured': (event, gateway) => handlePaymentCaptured(event.payment, gateway.name),
+  'payment.failed': (event, gateway) => handlePaymentFailed(event.payment, gateway.name),
+  'refund.processed': (event, gateway) => handleRefundProcessed(event.refund, gateway.name),
+  'refund.failed': (event, gateway) => handleRefundFailed(event.refund, gateway.name)
+};
+
+// Payment gateway webhook (authenticated by signature, not JWT). Each gateway can post to
+// its own path (/webhook/razorpay); the bare path belongs to the configured gateway.
+router.post('/:gateway?', async (req, res) => {
+  let gateway;
+  try {
+    gateway = getGateway(req.params.gateway);
+  } catch (err) {
+    return res.status(404).json({ message: 'Unknown payment gateway' });
+  }
+  
+  if (!req.rawBody || !gateway.verifyWebhook(req.rawBody, req.headers)) {
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+  
+  const event = gateway.parseWebhookEvent(req.body, req.headers);
+  const eventId = `${gateway.name}:${event.id || crypto.createHash('sha256').update(req.rawBody).digest('hex')}`;
+  
+  try {
+    // Gateways retry deliveries, so only handle each event once
+    try {
+      await WebhookEvent.create({ eventId, event: event.type });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.json({ status: 'duplicate' });
+      }
+      throw err;
+    }
+    
+    try {
+      if (handlers[event.type]) {
+        await handlers[event.type](event, gateway);
+      }
+    } catch (err) {
+      // Forget the event so the gateway's retry gets processed
+      await WebhookEvent.deleteOne({ eventId });
+      throw err;
+    }
+    
+    res.json({ status: 'ok' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/plans.js
+const express = require('express');
+const router = express.Router();
+const Plan = require('../models/Plan');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission, inBranchScope, branchFilter } = require('../utils/permissions');
+const { plansSoldAt } = require('../utils/branches');
+const { recordAudit } = require('../utils/audit');
+
+const PLAN_FIELDS = [
+  'name', 'description', 'durationValue', 'durationUnit', 'price', 'gstRate', 'addons', 'maxFreezeDays', 'isActive',
+  'branch', 'allBranches'
+];
+
+function pickPlanFields(body) {
+  const planFields = {};
+  PLAN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) planFields[field] = body[field];
+  });
+  if (planFields.branch === '') planFields.branch = null;
+  return planFields;
+}
+
+// Members see plans sold at their home branch; staff see those sold at their branches (or ?branch)
+async function planFilter(req) {
+  if (req.user.role === 'member') {
+    const member = await User.findById(req.user.id).select('branch');
+    return plansSoldAt(member && member.branch);
+  }
+  
+  const { branch } = await branchFilter(req);
+  
+  if (!branch) {
+    return {};
+  }
+  return { branch: { $in: [null, ...(branch.$in || [branch])] } };
+}
+
+// Plans sold everywhere, or that open every branch, are set up by all-branch users;
+// everyone else manages their own branches' plans
+async function canManagePlan(req, { branch, allBranches }) {
+  if (!branch || allBranches) {
+    return hasPermission(req, 'branches.all');
+  }
+  return inBranchScope(req, branch);
+}
+
+// Get plans (active ones unless a plan manager asks for all)
+router.get('/', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && await hasPermission(req, 'plans.manage');
+    const filter = { ...await planFilter(req), ...(showAll ? {} : { isActive: true }) };
+    const plans = await Plan.find(filter).populate('branch', 'name').sort({ price: 1 });
+    res.json(plans);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single plan
+router.get('/:id', async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    
+    if (!plan || (!plan.isActive && !(await hasPermission(req, 'plans.manage')))) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+    
+    res.json(plan);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add new plan
+router.post('/', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const plan = new Plan(pickPlanFields(req.body));
+    
+    if (!(await canManagePlan(req, plan))) {
+      return res.status(403).json({ message: 'You can only add plans for your own branches' });
+    }
+    
+    await plan.save();
+    
+    await recordAudit(req, { action: 'plan.create', targetType: 'plan', targetId: plan._id, before: null, after: plan });
+    
+    res.status(201).json(plan);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Plan name already exists at this branch' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update plan
+router.put('/:id', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const before = await Plan.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+    
+    const planFields = pickPlanFields(req.body);
+    const after = { branch: before.branch, allBranches: before.allBranches, ...planFields };
+    
+    if (!(await canManagePlan(req, before)) || !(await canManagePlan(req, after))) {
+      return res.status(403).json({ message: 'You can only change plans for your own branches' });
+    }
+    
+    const plan = await Plan.findByIdAndUpdate(
+      req.params.id,
+      { $set: planFields },
+      { new: true, runValidators: true }
+    );
+    
+    await recordAudit(req, { action: 'plan.update', targetType: 'plan', targetId: plan._id, before, after: plan });
+    
+    res.json(plan);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Plan name already exists at this branch' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete plan
+router.delete('/:id', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+    
+    if (!(await canManagePlan(req, plan))) {
+      return res.status(403).json({ message: 'You can only change plans for your own branches' });
+    }
+    
+    // Plans already sold are kept for history and only deactivated
+    const inUse = await User.exists({ membershipType: plan._id }) ||
+      await Payment.exists({ membership: plan._id });
+    
+    if (inUse) {
+      const before = plan.toObject();
+      plan.isActive = false;
+      await plan.save();
+      await recordAudit(req, { action: 'plan.deactivate', targetType: 'plan', targetId: plan._id, before, after: plan });
+      return res.json({ message: 'Plan is in use and has been deactivated' });
+    }
+    
+    await Plan.findByIdAndDelete(req.params.id);
+    
+    await recordAudit(req, { action: 'plan.delete', targetType: 'plan', targetId: plan._id, before: plan, after: null });
+    
+    res.json({ message: 'Plan deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/reports.js
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const Branch = require('../models/Branch');
+const { requirePermission } = require('../middleware/auth');
+const { branchFilter } = require('../utils/permissions');
+const { stringParams, parseDate } = require('../utils/listQuery');
+
+// Group dates in the gym's local time, not UTC
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+// Payments that brought money in (refunds are netted out)
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// A lapsed member who renews within this many days has not churned
+const CHURN_GRACE_DAYS = parseInt(process.env.CHURN_GRACE_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every report covers the user's branches, or just ?branch=
+router.use(requirePermission('reports.read'));
+
+// Read ?from=&to= into Dates, falling back to the given defaults. Bare dates are
+// whole days in TIMEZONE, the same days the reports group by.
+function parseDateRange(query, defaults = {}) {
+  const dates = stringParams(query, ['from', 'to']);
+  const from = dates.from ? parseDate(dates.from) : defaults.from;
+  const to = dates.to ? parseDate(dates.to, { endOfDay: true }) : defaults.to;
+  
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'Invalid date range' };
+  }
+  
+  return { from, to };
+}
+
+function dateFilter(from, to) {
+  const filter = {};
+  if (from) filter.$gte = from;
+  if (to) filter.$lte = to;
+  return Object.keys(filter).length ? filter : undefined;
+}
+
+function monthKey(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: TIMEZONE }).slice(0, 7);
+}
+
+function addMonths(key, count) {
+  const [year, month] = key.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + count, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+// Completed membership periods per member, oldest first
+async function getMembershipPeriods(match) {
+  return Payment.aggregate([
+    { $match: { ...match, paymentType: 'membership', status: { $in: PAID_STATUSES }, startDate: { $exists: true } } },
+    { $sort: { startDate: 1 } },
+    { $group: {
+      _id: '$userId',
+      periods: { $push: { startDate: '$startDate', endDate: '$endDate' } }
+    } }
+  ]);
+}
+
+const REVENUE_GROUPS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } },
+  month: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone: TIMEZONE } },
+  plan: '$membership',
+  method: '$paymentMethod'
+};
+
+// Revenue grouped by day, month, plan or payment method
+router.get('/revenue', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'month';
+    const { from, to, error } = parseDateRange(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    if (!REVENUE_GROUPS[groupBy]) {
+      return res.status(400).json({ message: 'groupBy must be one of day, month, plan, method' });
+    }
+    
+    const match = { ...await branchFilter(req), status: { $in: PAID_STATUSES } };
+    const createdAt = dateFilter(from, to);
+    if (createdAt) match.createdAt = createdAt;
+    
+    const pipeline = [
+      { $match: match },
+      { $group: {
+        _id: REVENUE_GROUPS[groupBy],
+        gross: { $sum: '$amount' },
+        refunded: { $sum: '$refundedAmount' },
+        count: { $sum: 1 }
+      } },
+      { $addFields: { net: { $subtract: ['$gross', '$refunded'] } } },
+      { $sort: { _id: 1 } }
+    ];
+    
+    if (groupBy === 'plan') {
+      pipeline.push(
+        { $lookup: { from: 'plans', localField: '_id', foreignField: '_id', as: 'plan' } },
+        { $addFields: { planName: { $arrayElemAt: ['$plan.name', 0] } } },
+        { $project: { plan: 0 } }
+      );
+    }
+    
+    const rows = await Payment.aggregate(pipeline);
+    
+    const totals = rows.reduce((sum, row) => ({
+      gross: sum.gross + row.gross,
+      refunded: sum.refunded + row.refunded,
+      net: sum.net + row.net,
+      count: sum.count + row.count
+    }), { gross: 0, refunded: 0, net: 0, count: 0 });
+    
+    res.json({ groupBy, from, to, rows, totals });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// New versus renewing members per month
+router.get('/new-vs-renewed', async (req, res) => {
+  try {
+    const { from, to, error } = parseDateRange(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const createdAt = dateFilter(from, to);
+    
+    const rows = await Payment.aggregate([
+      { $match: { ...await branchFilter(req), paymentType: 'membership', status: { $in: PAID_STATUSES } } },
+      { $group: {
+        _id: '$userId',
+        firstPaidAt: { $min: '$createdAt' },
+        payments: { $push: '$createdAt' }
+      } },
+      { $unwind: '$payments' },
+      ...(createdAt ? [{ $match: { payments: createdAt } }] : []),
+      { $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$payments', timezone: TIMEZONE } },
+        newMembers: { $sum: { $cond: [{ $eq: ['$payments', '$firstPaidAt'] }, 1, 0] } },
+        renewals: { $sum: { $cond: [{ $eq: ['$payments', '$firstPaidAt'] }, 0, 1] } }
+      } },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    res.json({ from, to, rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retention cohorts by the month a member first started
+router.get('/retention', async (req, res) => {
+  try {
+    const { from, to, error } = parseDateRange(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const members = await getMembershipPeriods(await branchFilter(req));
+    const currentMonth = monthKey(new Date());
+    const cohorts = {};
+    
+    members.forEach(({ periods }) => {
+      const firstStart = periods[0].startDate;
+      if ((from && firstStart < from) || (to && firstStart > to)) return;
+      
+      const cohort = monthKey(firstStart);
+      
+      // Every month this member held a membership
+      const activeMonths = new Set();
+      periods.forEach(({ startDate, endDate }) => {
+        for (let key = monthKey(startDate); key <= monthKey(endDate) && key <= currentMonth; key = addMonths(key, 1)) {
+          activeMonths.add(key);
+        }
+      });
+      
+      if (!cohorts[cohort]) cohorts[cohort] = { size: 0, active: [] };
+      cohorts[cohort].size += 1;
+      
+      for (let offset = 0, key = cohort; key <= currentMonth; offset += 1, key = addMonths(key, 1)) {
+        cohorts[cohort].active[offset] = (cohorts[cohort].active[offset] || 0) + (activeMonths.has(key) ? 1 : 0);
+      }
+    });
+    
+    const rows = Object.keys(cohorts).sort().map(cohort => ({
+      cohort,
+      size: cohorts[cohort].size,
+      retention: cohorts[cohort].active.map(count => ({
+        count,
+        rate: Math.round((count / cohorts[cohort].size) * 1000) / 10
+      }))
+    }));
+    
+    res.json({ from, to, rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Members lost per month, with churn rate against those active at month start
+router.get('/churn', async (req, res) => {
+  try {
+    const { from, to, error } = parseDateRange(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const members = await getMembershipPeriods(await branchFilter(req));
+    const now = new Date();
+    const churned = {};
+    const activeAtStart = {};
+    
+    members.forEach(({ periods }) => {
+      periods.forEach(({ startDate, endDate }, index) => {
+        // Count the member as active at the start of each month they held
+        for (let key = addMonths(monthKey(startDate), 1); key <= monthKey(endDate); key = addMonths(key, 1)) {
+          activeAtStart[key] = (activeAtStart[key] || 0) + 1;
+        }
+        
+        if (endDate > now) return;
+        
+        const renewed = periods.slice(index + 1).some(next =>
+          next.startDate - endDate <= CHURN_GRACE_DAYS * DAY_MS
+        );
+        
+        if (!renewed && now - endDate > CHURN_GRACE_DAYS * DAY_MS) {
+          const key = monthKey(endDate);
+          churned[key] = (churned[key] || 0) + 1;
+        }
+      });
+    });
+    
+    const fromKey = from ? monthKey(from) : null;
+    const toKey = to ? monthKey(to) : null;
+    
+    const rows = Object.keys(churned)
+      .filter(key => (!fromKey || key >= fromKey) && (!toKey || key <= toKey))
+      .sort()
+      .map(key => ({
+        month: key,
+        churned: churned[key],
+        activeAtStart: activeAtStart[key] || 0,
+        churnRate: activeAtStart[key] ? Math.round((churned[key] / activeAtStart[key]) * 1000) / 10 : null
+      }));
+    
+    res.json({ from, to, graceDays: CHURN_GRACE_DAYS, rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Memberships expiring in the next N days (or within ?from=&to=)
+router.get('/expiring', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 30;
+    const now = new Date();
+    const { from, to, error } = parseDateRange(req.query, {
+      from: now,
+      to: new Date(now.getTime() + days * DAY_MS)
+    });
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const members = await User.find({
+      ...await branchFilter(req),
+      role: 'member',
+      status: 'active',
+      endDate: dateFilter(from, to)
+    })
+      .select('name email phone membershipType startDate endDate')
+      .populate('membershipType', 'name')
+      .sort({ endDate: 1 });
+    
+    res.json({ from, to, count: members.length, members });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revenue, active members and check-ins for each branch side by side, with totals
+// across the chain. Revenue and check-ins cover ?from=&to=; active members are as of now.
+router.get('/branches', requirePermission('branches.all'), async (req, res) => {
+  try {
+    const { from, to, error } = parseDateRange(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const paymentMatch = { status: { $in: PAID_STATUSES } };
+    const attendanceMatch = {};
+    const range = dateFilter(from, to);
+    if (range) {
+      paymentMatch.createdAt = range;
+      attendanceMatch.checkInAt = range;
+    }
+    
+    const [branches, revenue, members, checkIns] = await Promise.all([
+      Branch.find().sort({ name: 1 }),
+      Payment.aggregate([
+        { $match: paymentMatch },
+        { $group: { _id: '$branch', gross: { $sum: '$amount' }, refunded: { $sum: '$refundedAmount' }, count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: { role: 'member', status: 'active', archivedAt: null } },
+        { $group: { _id: '$branch', count: { $sum: 1 } } }
+      ]),
+      Attendance.aggregate([
+        { $match: attendanceMatch },
+        { $group: { _id: '$branch', count: { $sum: 1 } } }
+      ])
+    ]);
+    
+    const forBranch = (results, branchId) => results.find(result => String(result._id) === String(branchId)) || {};
+    
+    const rows = branches.map(branch => {
+      const branchRevenue = forBranch(revenue, branch._id);
+      const gross = branchRevenue.gross || 0;
+      const refunded = branchRevenue.refunded || 0;
+      
+      return {
+        branch: { _id: branch._id, name: branch.name, isActive: branch.isActive },
+        gross,
+        refunded,
+        net: gross - refunded,
+        payments: branchRevenue.count || 0,
+        activeMembers: forBranch(members, branch._id).count || 0,
+        checkIns: forBranch(checkIns, branch._id).count || 0
+      };
+    });
+    
+    const totals = rows.reduce((sum, row) => ({
+      gross: sum.gross + row.gross,
+      refunded: sum.refunded + row.refunded,
+      net: sum.net + row.net,
+      payments: sum.payments + row.payments,
+      activeMembers: sum.activeMembers + row.activeMembers,
+      checkIns: sum.checkIns + row.checkIns
+    }), { gross: 0, refunded: 0, net: 0, payments: 0, activeMembers: 0, checkIns: 0 });
+    
+    res.json({ from, to, rows, totals });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/auth.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Branch = require('../models/Branch');
+const RefreshToken = require('../models/RefreshToken');
+const { authenticateForPasswordChange } = require('../middleware/auth');
+const {
+  issueAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  createResetToken,
+  hashToken
+} = require('../utils/tokens');
+const { writeToOutbox } = require('../utils/outbox');
+const { getRolePermissions } = require('../utils/permissions');
+const { validateMember, normalizePhone, hasErrors } = require('../src/shared/validation');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function isStrongEnough(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+async function issueTokens(user, req) {
+  return {
+    token: issueAccessToken(user),
+    refreshToken: await issueRefreshToken(user, req),
+    mustChangePassword: user.mustChangePassword
+  };
+}
+
+// The member's chosen home branch, or the only open branch if there's just one
+async function pickHomeBranch(requested) {
+  const branches = await Branch.find({ isActive: true }).select('_id');
+  
+  if (requested) {
+    return branches.find(b => String(b._id) === String(requested));
+  }
+  return branches.length === 1 ? branches[0] : null;
+}
+
+// Open branches, for choosing a home branch when signing up
+router.get('/branches', async (req, res) => {
+  try {
+    res.json(await Branch.find({ isActive: true }).select('name address').sort({ name: 1 }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Register a new member (pending until their first payment)
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, phone, password, branch } = req.body;
+    
+    if (!isStrongEnough(password)) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    // No plan yet; they pick one when they first pay
+    const errors = validateMember({ name, email, phone }, { requireMembership: false });
+    const homeBranch = await pickHomeBranch(branch);
+    
+    if (!homeBranch) {
+      errors.branch = 'Choose your home branch';
+    }
+    
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields', errors });
+    }
+    
+    let user = await User.findOne({ email });
+    
+    if (user) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+    
+    user = new User({
+      name,
+      email,
+      phone: normalizePhone(phone),
+      password,
+      role: 'member',
+      status: 'pending',
+      branch: homeBranch._id
+    });
+    
+    await user.save();
+    
+    res.status(201).json(await issueTokens(user, req));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+    
+    const user = await User.findOne({ email });
+    
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+    
+    if (user.archivedAt) {
+      return res.status(403).json({ message: 'This account has been archived' });
+    }
+    
+    res.json(await issueTokens(user, req));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Swap a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    
+    res.json({
+      token: issueAccessToken(result.user),
+      refreshToken: result.refreshToken,
+      mustChangePassword: result.user.mustChangePassword
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out by revoking the refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the logged in user
+router.get('/me', authenticateForPasswordChange, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('-password -resetPasswordToken -resetPasswordExpires')
+      .populate('membershipType', 'name durationValue durationUnit');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // The client uses permissions to decide which pages to show
+    res.json({ ...user.toObject(), permissions: await getRolePermissions(user.role) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change password (also clears a forced change after a temporary password)
+router.post('/change-password', authenticateForPasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!isStrongEnough(newPassword)) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user || !(await user.comparePassword(currentPassword || ''))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different' });
+    }
+    
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+    
+    // Sign out every other session
+    await RefreshToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+    
+    res.json(await issueTokens(user, req));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    if (typeof req.body.email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    
+    const user = await User.findOne({ email: req.body.email, archivedAt: null });
+    
+    if (user) {
+      const resetToken = createResetToken(user);
+      await user.save();
+      
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+      
+      await writeToOutbox({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nUse this link to reset your password. It expires in one hour.\n\n${resetUrl}\n`
+      });
+    }
+    
+    // Same answer either way so emails can't be probed
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password with a token from the reset link
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    
+    if (!isStrongEnough(password)) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    
+    user.password = password;
+    user.mustChangePassword = false;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+    
+    await RefreshToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+    
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/attendance.js
+const express = require('express');
+const router = express.Router();
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { canViewMember, branchFilter } = require('../utils/permissions');
+const { resolveBranch } = require('../utils/branches');
+const { issueCheckInToken, verifyCheckInToken, getCheckInBlocker, QR_TOKEN_TTL_SECONDS } = require('../utils/attendance');
+const { startOfLocalDay } = require('../utils/listQuery');
+
+// "Today" and the hour of a visit are the gym's local ones, like the reports
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const startOfToday = () => startOfLocalDay(new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE }));
+
+const localHour = date => Number(date.toLocaleString('en-GB', { timeZone: TIMEZONE, hour: '2-digit', hourCycle: 'h23' }));
+
+// Work out which member a scan or manual entry refers to
+function resolveMember(body) {
+  if (body.qrToken) {
+    const userId = verifyCheckInToken(body.qrToken);
+    return userId ? { userId, method: 'qr' } : null;
+  }
+  return body.userId ? { userId: body.userId, method: 'manual' } : null;
+}
+
+// Get a short-lived QR token for the logged in member
+router.get('/qr-token', async (req, res) => {
+  try {
+    res.json({ token: issueCheckInToken(req.user.id), expiresIn: QR_TOKEN_TTL_SECONDS });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check a member in at the front desk of branchId (which can be left out by staff at one branch)
+router.post('/check-in', requirePermission('attendance.check_in'), async (req, res) => {
+  try {
+    const resolved = resolveMember(req.body);
+    
+    if (!resolved) {
+      return res.status(400).json({ message: 'Invalid or expired QR code' });
+    }
+    
+    const { branch, error } = await resolveBranch(req, req.body.branchId);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const member = await User.findById(resolved.userId)
+      .select('name status endDate archivedAt branch membershipType')
+      .populate('membershipType', 'name allBranches');
+    
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    const blocker = await getCheckInBlocker(member, branch);
+    
+    if (blocker) {
+      return res.status(403).json({ message: blocker, member });
+    }
+    
+    const openVisit = await Attendance.findOne({
+      userId: member._id,
+      checkOutAt: null,
+      checkInAt: { $gte: startOfToday() }
+    });
+    
+    if (openVisit) {
+      return res.status(400).json({ message: 'Member is already checked in', member, attendance: openVisit });
+    }
+    
+    const attendance = await Attendance.create({
+      userId: member._id,
+      method: resolved.method,
+      recordedBy: req.user.id,
+      branch
+    });
+    
+    res.status(201).json({ message: 'Checked in', member, attendance });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid member ID' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check a member out (front desk)
+router.post('/check-out', requirePermission('attendance.check_in'), async (req, res) => {
+  try {
+    const resolved = resolveMember(req.body);
+    
+    if (!resolved) {
+      return res.status(400).json({ message: 'Invalid or expired QR code' });
+    }
+    
+    const attendance = await Attendance.findOneAndUpdate(
+      { ...await branchFilter(req), userId: resolved.userId, checkOutAt: null, checkInAt: { $gte: startOfToday() } },
+      { $set: { checkOutAt: new Date() } },
+      { new: true }
+    ).populate('userId', 'name');
+    
+    if (!attendance) {
+      return res.status(400).json({ message: 'Member is not checked in' });
+    }
+    
+    res.json({ message: 'Checked out', member: attendance.userId, attendance });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid member ID' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Today's occupancy and check-ins per hour at the user's branches (or ?branch=)
+router.get('/today', requirePermission('attendance.check_in'), async (req, res) => {
+  try {
+    const visits = await Attendance.find({ ...await branchFilter(req), checkInAt: { $gte: startOfToday() } })
+      .populate('userId', 'name')
+      .sort({ checkInAt: -1 });
+    
+    const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, checkIns: 0 }));
+    visits.forEach(visit => {
+      byHour[localHour(visit.checkInAt)].checkIns += 1;
+    });
+    
+    const inside = visits.filter(visit => !visit.checkOutAt);
+    
+    res.json({
+      occupancy: inside.length,
+      totalCheckIns: visits.length,
+      inside,
+      byHour
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's attendance history (staff, their trainer or self)
+router.get('/member/:userId', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const filter = { userId: req.params.userId };
+    if (req.query.from || req.query.to) {
+      filter.checkInAt = {};
+      if (req.query.from) filter.checkInAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.checkInAt.$lte = new Date(req.query.to);
+    }
+    
+    const history = await Attendance.find(filter)
+      .sort({ checkInAt: -1 })
+      .limit(parseInt(req.query.limit, 10) || 100);
+    
+    res.json(history);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/notifications.js
+const express = require('express');
+const router = express.Router();
+const NotificationTemplate = require('../models/NotificationTemplate');
+const NotificationLog = require('../models/NotificationLog');
+const { requirePermission } = require('../middleware/auth');
+const { canActFor } = require('../utils/permissions');
+const { DEFAULT_TEMPLATES } = require('../notifications/templates');
+const { recordAudit } = require('../utils/audit');
+
+// Get all templates, with built-in defaults where none is saved
+router.get('/templates', requirePermission('notifications.manage'), async (req, res) => {
+  try {
+    const saved = await NotificationTemplate.find();
+    
+    const templates = DEFAULT_TEMPLATES.map(template => {
+      const custom = saved.find(t => t.type === template.type && t.channel === template.channel);
+      return custom ? { ...custom.toObject(), isDefault: false } : { ...template, isActive: true, isDefault: true };
+    });
+    
+    res.json(templates);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a template
+router.put('/templates/:type/:channel', requirePermission('notifications.manage'), async (req, res) => {
+  try {
+    const { subject, body, isActive } = req.body;
+    const before = await NotificationTemplate.findOne({ type: req.params.type, channel: req.params.channel });
+    
+    const template = await NotificationTemplate.findOneAndUpdate(
+      { type: req.params.type, channel: req.params.channel },
+      { $set: { subject, body, isActive, updatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    
+    await recordAudit(req, {
+      action: 'notification_template.save',
+      targetType: 'settings',
+      targetId: `notification_template:${req.params.type}/${req.params.channel}`,
+      before,
+      after: template
+    });
+    
+    res.json(template);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset a template to the built-in default
+router.delete('/templates/:type/:channel', requirePermission('notifications.manage'), async (req, res) => {
+  try {
+    const before = await NotificationTemplate.findOneAndDelete({ type: req.params.type, channel: req.params.channel });
+    
+    if (before) {
+      await recordAudit(req, {
+        action: 'notification_template.reset',
+        targetType: 'settings',
+        targetId: `notification_template:${req.params.type}/${req.params.channel}`,
+        before,
+        after: null
+      });
+    }
+    
+    res.json({ message: 'Template reset to default' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get notifications sent to a member (staff or self)
+router.get('/log/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'notifications.manage'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const logs = await NotificationLog.find({ userId: req.params.userId })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    
+    res.json(logs);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/freezes.js
+const express = require('express');
+const router = express.Router();
+const Freeze = require('../models/Freeze');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission, canActFor, branchFilter, memberInScope } = require('../utils/permissions');
+const { countFreezeDays, startOfDay, endFreeze, refundFreezeFee, OPEN_FREEZE_STATUSES } = require('../utils/freeze');
+const { recordAudit } = require('../utils/audit');
+
+// Staff only review freezes for members at their branches
+async function freezeInScope(req, id) {
+  const freeze = await Freeze.findById(id).select('userId');
+  return Boolean(freeze) && memberInScope(req, freeze.userId);
+}
+
+// Request a freeze (member for themselves, staff for members at their branches)
+router.post('/', async (req, res) => {
+  try {
+    const onBehalf = req.body.userId && await hasPermission(req, 'freezes.manage');
+    const userId = onBehalf ? req.body.userId : req.user.id;
+    const { reason } = req.body;
+    
+    if (onBehalf && !(await memberInScope(req, userId))) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    const startDate = startOfDay(new Date(req.body.startDate));
+    const endDate = startOfDay(new Date(req.body.endDate));
+    
+    if (isNaN(startDate) || isNaN(endDate) || !reason) {
+      return res.status(400).json({ message: 'Start date, end date and reason are required' });
+    }
+    
+    if (startDate < startOfDay(new Date())) {
+      return res.status(400).json({ message: 'Freeze cannot start in the past' });
+    }
+    
+    if (endDate < startDate) {
+      return res.status(400).json({ message: 'End date must be on or after start date' });
+    }
+    
+    const member = await User.findById(userId);
+    
+    if (!member || member.role !== 'member') {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    if (member.status !== 'active' || !member.endDate || startDate >= member.endDate) {
+      return res.status(400).json({ message: 'Freeze must start during an active membership' });
+    }
+    
+    const plan = await Plan.findById(member.membershipType);
+    const allowedDays = plan ? plan.maxFreezeDays : 0;
+    
+    if (!allowedDays) {
+      return res.status(400).json({ message: 'Your plan does not allow freezes' });
+    }
+    
+    const freezes = await Freeze.find({
+      userId,
+      status: { $in: OPEN_FREEZE_STATUSES.concat('completed') },
+      startDate: { $gte: startOfDay(member.startDate) }
+    });
+    
+    if (freezes.some(f => f.status !== 'completed' && f.startDate <= endDate && f.endDate >= startDate)) {
+      return res.status(400).json({ message: 'Freeze overlaps an existing freeze' });
+    }
+    
+    // Limit applies per membership term
+    const usedDays = freezes.reduce((total, f) => total + (f.appliedDays || countFreezeDays(f.startDate, f.endDate)), 0);
+    const requestedDays = countFreezeDays(startDate, endDate);
+    
+    if (usedDays + requestedDays > allowedDays) {
+      return res.status(400).json({
+        message: `Only ${Math.max(allowedDays - usedDays, 0)} freeze days left on this plan`
+      });
+    }
+    
+    const freeze = await Freeze.create({ userId, startDate, endDate, reason });
+    
+    await recordAudit(req, { action: 'freeze.request', targetType: 'freeze', targetId: freeze._id, before: null, after: freeze });
+    
+    res.status(201).json(freeze);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get freezes for members at the user's branches (or ?branch=), optionally by status
+router.get('/', requirePermission('freezes.manage'), async (req, res) => {
+  try {
+    const filter = typeof req.query.status === 'string' ? { status: req.query.status } : {};
+    const memberBranch = await branchFilter(req);
+    
+    if (memberBranch.branch) {
+      filter.userId = { $in: await User.find({ role: 'member', ...memberBranch }).distinct('_id') };
+    }
+    
+    const freezes = await Freeze.find(filter)
+      .populate('userId', 'name email phone')
+      .sort({ startDate: 1 });
+    
+    res.json(freezes);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's freezes (staff or self)
+router.get('/member/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'freezes.manage'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const freezes = await Freeze.find({ userId: req.params.userId }).sort({ startDate: -1 });
+    res.json(freezes);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a freeze, optionally with a fee
+router.put('/:id/approve', requirePermission('freezes.manage'), async (req, res) => {
+  try {
+    // A blank fee means the freeze is free
+    const rawFee = req.body.fee == null || req.body.fee === '' ? 0 : req.body.fee;
+    const fee = Number(rawFee);
+    
+    if (!['number', 'string'].includes(typeof rawFee) || !Number.isFinite(fee) || fee < 0) {
+      return res.status(400).json({ message: 'Fee must be a number of 0 or more' });
+    }
+    
+    if (!(await freezeInScope(req, req.params.id))) {
+      return res.status(404).json({ message: 'Freeze request not found' });
+    }
+    
+    const freeze = await Freeze.findOneAndUpdate(
+      { _id: req.params.id, status: 'requested' },
+      { $set: {
+        status: 'approved',
+        fee,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!freeze) {
+      return res.status(404).json({ message: 'Freeze request not found' });
+    }
+    
+    await recordAudit(req, {
+      action: 'freeze.approve',
+      targetType: 'freeze',
+      targetId: freeze._id,
+      before: { status: 'requested' },
+      after: { status: freeze.status, fee: freeze.fee },
+      note: freeze.reviewNote
+    });
+    
+    res.json(freeze);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a freeze
+router.put('/:id/reject', requirePermission('freezes.manage'), async (req, res) => {
+  try {
+    if (!(await freezeInScope(req, req.params.id))) {
+      return res.status(404).json({ message: 'Freeze request not found' });
+    }
+    
+    const freeze = await Freeze.findOneAndUpdate(
+      { _id: req.params.id, status: 'requested' },
+      { $set: {
+        status: 'rejected',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      } },
+      { new: true }
+    );
+    
+    if (!freeze) {
+      return res.status(404).json({ message: 'Freeze request not found' });
+    }
+    
+    await recordAudit(req, {
+      action: 'freeze.reject',
+      targetType: 'freeze',
+      targetId: freeze._id,
+      before: { status: 'requested' },
+      after: { status: freeze.status },
+      note: freeze.reviewNote
+    });
+    
+    res.json(freeze);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a freeze; an active freeze ends today and one that hasn't started
+// gets its fee refunded (member for their own, or staff)
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const freeze = await Freeze.findById(req.params.id);
+    
+    if (!freeze || !(await canActFor(req, freeze.userId, 'freezes.manage'))) {
+      return res.status(404).json({ message: 'Freeze not found' });
+    }
+    
+    const before = freeze.toObject();
+    let note;
+    
+    if (freeze.status === 'active') {
+      if (!(await endFreeze(freeze, new Date(), { changedBy: req.user.id }))) {
+        return res.status(400).json({ message: 'This freeze has already ended' });
+      }
+      note = `Membership extended by ${freeze.appliedDays} days`;
+    } else if (['requested', 'approved'].includes(freeze.status)) {
+      // Conditional, so the daily job can't start it as it's cancelled and the fee is refunded once
+      const cancelled = await Freeze.findOneAndUpdate(
+        { _id: freeze._id, status: { $in: ['requested', 'approved'] } },
+        { $set: { status: 'cancelled' } }
+      );
+      
+      if (!cancelled) {
+        return res.status(400).json({ message: 'This freeze has already started or been cancelled' });
+      }
+      
+      freeze.status = 'cancelled';
+      
+      if (freeze.feePaid) {
+        try {
+          await refundFreezeFee(freeze, { createdBy: req.user.id });
+          note = 'Freeze fee refunded';
+        } catch (err) {
+          console.error(err);
+          note = 'Freeze fee refund was rejected by the payment gateway';
+        }
+      }
+    } else {
+      return res.status(400).json({ message: `Cannot cancel a ${freeze.status} freeze` });
+    }
+    
+    await recordAudit(req, { action: 'freeze.cancel', targetType: 'freeze', targetId: freeze._id, before, after: freeze, note });
+    
+    res.json(freeze);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/roles.js
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  ALL_BRANCH_PERMISSIONS,
+  FIXED_ROLES,
+  DEFAULT_ROLES,
+  getRolePermissions,
+  hasPermission,
+  loadBranchScope,
+  listRoles,
+  roleExists
+} = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+router.use(requirePermission('roles.manage'));
+
+const grantsAllBranches = permissions => permissions.some(p => ALL_BRANCH_PERMISSIONS.includes(p));
+
+// Staff at one of the user's branches, or a member whose home branch it is
+async function userInScope(req, user) {
+  const scope = await loadBranchScope(req);
+  const branches = [user.branch, ...(user.branches || [])].filter(Boolean).map(String);
+  return !scope || branches.some(branch => scope.includes(branch));
+}
+
+// Get every permission with its description
+router.get('/permissions', (req, res) => {
+  res.json(PERMISSIONS);
+});
+
+// Get all roles (built-in and custom)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listRoles());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or update a role
+router.put('/:name', async (req, res) => {
+  try {
+    const { description, permissions = [] } = req.body;
+    
+    // Admin roles always have their defaults so nobody can lock themselves out
+    if (FIXED_ROLES.includes(req.params.name)) {
+      return res.status(400).json({ message: `The ${req.params.name} role cannot be changed` });
+    }
+    
+    const unknown = permissions.filter(p => !PERMISSIONS[p]);
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+    
+    // Branch admins can't hand out access to branches they don't have themselves
+    const touchesAllBranches = grantsAllBranches([...permissions, ...await getRolePermissions(req.params.name)]);
+    if (touchesAllBranches && !(await hasPermission(req, 'branches.all'))) {
+      return res.status(403).json({ message: 'Only a super admin can change roles with access to every branch' });
+    }
+    
+    const before = await Role.findOne({ name: req.params.name });
+    
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      { $set: { description, permissions } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    
+    await recordAudit(req, { action: 'role.save', targetType: 'settings', targetId: `role:${role.name}`, before, after: role });
+    
+    res.json(role);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a custom role, or reset a built-in one to its defaults
+router.delete('/:name', async (req, res) => {
+  try {
+    const isBuiltIn = DEFAULT_ROLES.some(r => r.name === req.params.name);
+    
+    if (!(await hasPermission(req, 'branches.all')) && grantsAllBranches(await getRolePermissions(req.params.name))) {
+      return res.status(403).json({ message: 'Only a super admin can change roles with access to every branch' });
+    }
+    
+    if (!isBuiltIn && await User.exists({ role: req.params.name })) {
+      return res.status(400).json({ message: 'Role is assigned to users' });
+    }
+    
+    const role = await Role.findOneAndDelete({ name: req.params.name });
+    
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    
+    await recordAudit(req, { action: 'role.delete', targetType: 'settings', targetId: `role:${role.name}`, before: role, after: null });
+    
+    res.json({ message: isBuiltIn ? 'Role reset to defaults' : 'Role deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Give a user at one of your branches a role. Members made staff start out working at their home branch.
+router.put('/assign/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+    
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    
+    const user = await User.findById(req.params.userId).select('name email role branch branches');
+    
+    if (!user || !(await userInScope(req, user))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Neither giving nor taking away access to every branch is up to branch admins
+    const touchesAllBranches = grantsAllBranches([...await getRolePermissions(role), ...await getRolePermissions(user.role)]);
+    if (touchesAllBranches && !(await hasPermission(req, 'branches.all'))) {
+      return res.status(403).json({ message: 'Only a super admin can assign roles with access to every branch' });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    if (role !== 'member' && !user.branches.length && user.branch) {
+      user.branches = [user.branch];
+    }
+    // Only the role changes, so skip validating the rest of the profile
+    await user.save({ validateModifiedOnly: true });
+    
+    await recordAudit(req, {
+      action: 'member.role_change',
+      targetType: 'member',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+    
+    // Takes effect when their access token is next refreshed
+    res.json(user);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/audit.js
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { requirePermission } = require('../middleware/auth');
+const { parsePagination, stringParams, dateRange, pageResult } = require('../utils/listQuery');
+
+router.use(requirePermission('audit.read'));
+
+// Search the audit log, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to } = stringParams(req.query,
+      ['actor', 'action', 'targetType', 'targetId', 'from', 'to']);
+    
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) filter.createdAt = dateRange(from, to);
+    
+    const pagination = parsePagination(req.query);
+    
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(filter)
+    ]);
+    
+    res.json(pageResult('entries', entries, total, pagination));
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/trainers.js
+const express = require('express');
+const router = express.Router();
+const Trainer = require('../models/Trainer');
+const User = require('../models/User');
+const PTSession = require('../models/PTSession');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { findFreeSlots, startOfGymDay } = require('../utils/training');
+const { DAY_MS } = require('../utils/freeze');
+const { parseDate } = require('../utils/listQuery');
+const { PT_BOOKING_WINDOW_DAYS } = require('../config/training');
+
+const TRAINER_FIELDS = ['bio', 'specialties', 'sessionMinutes', 'availability', 'isActive'];
+
+// Longest range of slots returned at once
+const MAX_SLOT_DAYS = 14;
+
+function pickTrainerFields(body) {
+  const trainerFields = {};
+  TRAINER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) trainerFields[field] = body[field];
+  });
+  return trainerFields;
+}
+
+// Get trainers (members see active trainers, trainer managers can ask for all)
+router.get('/', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && await hasPermission(req, 'trainers.manage');
+    const trainers = await Trainer.find(showAll ? {} : { isActive: true })
+      .populate('user', 'name email phone');
+    
+    res.json(trainers.filter(trainer => trainer.user).sort((a, b) => a.user.name.localeCompare(b.user.name)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The logged in trainer's booked sessions from today (or ?from) on
+router.get('/me/sessions', requirePermission('training.sessions'), async (req, res) => {
+  try {
+    // YYYY-MM-DD dates are read as gym-local midnight
+    const from = typeof req.query.from === 'string' ? parseDate(req.query.from) : startOfGymDay(new Date());
+    
+    if (isNaN(from)) {
+      return res.status(400).json({ message: 'Invalid from date' });
+    }
+    
+    const sessions = await PTSession.find({
+      trainer: req.user.id,
+      status: typeof req.query.status === 'string' ? req.query.status : 'booked',
+      startTime: { $gte: from }
+    })
+      .populate('userId', 'name phone')
+      .sort({ startTime: 1 });
+    
+    res.json(sessions);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a trainer's profile
+router.get('/:userId', async (req, res) => {
+  try {
+    const trainer = await Trainer.findOne({ user: req.params.userId }).populate('user', 'name email phone');
+    
+    if (!trainer || (!trainer.isActive && !(await hasPermission(req, 'trainers.manage')))) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+    
+    res.json(trainer);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Free slots in a trainer's hours, ?from=YYYY-MM-DD&days=7
+router.get('/:userId/slots', async (req, res) => {
+  try {
+    const trainer = await Trainer.findOne({ user: req.params.userId, isActive: true });
+    
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+    
+    const from = typeof req.query.from === 'string' ? parseDate(req.query.from) : startOfGymDay(new Date());
+    const days = Math.min(parseInt(req.query.days, 10) || 7, MAX_SLOT_DAYS);
+    
+    if (isNaN(from)) {
+      return res.status(400).json({ message: 'Invalid from date' });
+    }
+    
+    const lastBookable = new Date(Date.now() + PT_BOOKING_WINDOW_DAYS * DAY_MS);
+    const requestedEnd = new Date(from.getTime() + days * DAY_MS);
+    const to = requestedEnd < lastBookable ? requestedEnd : lastBookable;
+    
+    res.json(to > from ? await findFreeSlots(trainer, from, to) : []);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or update the trainer profile of a staff user
+router.put('/:userId', requirePermission('trainers.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    
+    if (!user || user.role === 'member' || user.archivedAt) {
+      return res.status(404).json({ message: 'Staff user not found' });
+    }
+    
+    const trainerFields = pickTrainerFields(req.body);
+    
+    // HH:MM strings compare in time order
+    if ((trainerFields.availability || []).some(window => !(window.endTime > window.startTime))) {
+      return res.status(400).json({ message: 'Each availability window must end after it starts' });
+    }
+    
+    const before = await Trainer.findOne({ user: user._id });
+    
+    const trainer = await Trainer.findOneAndUpdate(
+      { user: user._id },
+      { $set: trainerFields },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    
+    await recordAudit(req, {
+      action: before ? 'trainer.update' : 'trainer.create',
+      targetType: 'trainer',
+      targetId: user._id,
+      before,
+      after: trainer
+    });
+    
+    res.json(trainer);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/training.js
+const express = require('express');
+const router = express.Router();
+const PTPackage = require('../models/PTPackage');
+const PTPurchase = require('../models/PTPurchase');
+const PTSession = require('../models/PTSession');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission, canActFor, memberInScope } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { findFreeSlots, findActiveTrainer, useSessionCredit, returnSessionCredit, cancelSession } = require('../utils/training');
+const { DAY_MS } = require('../utils/freeze');
+const { PT_BOOKING_WINDOW_DAYS, PT_CANCEL_NOTICE_HOURS } = require('../config/training');
+
+const PACKAGE_FIELDS = ['name', 'description', 'sessions', 'validityDays', 'price', 'gstRate', 'trainer', 'isActive'];
+
+function pickPackageFields(body) {
+  const packageFields = {};
+  PACKAGE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) packageFields[field] = body[field];
+  });
+  // An empty trainer means the package works with anyone
+  if (packageFields.trainer === '') packageFields.trainer = null;
+  return packageFields;
+}
+
+// The session's trainer, or staff who manage training at the member's branch
+const canManageSession = async (req, session) =>
+  String(session.trainer) === req.user.id ||
+  (await hasPermission(req, 'trainers.manage') && await memberInScope(req, session.userId));
+
+// Get PT packages (members see active packages, trainer managers can ask for all)
+router.get('/packages', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && await hasPermission(req, 'trainers.manage');
+    const packages = await PTPackage.find(showAll ? {} : { isActive: true })
+      .populate('trainer', 'name')
+      .sort({ price: 1 });
+    
+    res.json(packages);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add PT package
+router.post('/packages', requirePermission('trainers.manage'), async (req, res) => {
+  try {
+    const ptPackage = new PTPackage(pickPackageFields(req.body));
+    
+    if (ptPackage.trainer && !(await findActiveTrainer(ptPackage.trainer))) {
+      return res.status(400).json({ message: 'Invalid trainer' });
+    }
+    
+    await ptPackage.save();
+    
+    await recordAudit(req, { action: 'pt_package.create', targetType: 'pt_package', targetId: ptPackage._id, before: null, after: ptPackage });
+    
+    res.status(201).json(ptPackage);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Package name already exists' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update PT package; sessions already bought keep their terms
+router.put('/packages/:id', requirePermission('trainers.manage'), async (req, res) => {
+  try {
+    const before = await PTPackage.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+    
+    const packageFields = pickPackageFields(req.body);
+    
+    if (packageFields.trainer && !(await findActiveTrainer(packageFields.trainer))) {
+      return res.status(400).json({ message: 'Invalid trainer' });
+    }
+    
+    const ptPackage = await PTPackage.findByIdAndUpdate(
+      req.params.id,
+      { $set: packageFields },
+      { new: true, runValidators: true }
+    );
+    
+    await recordAudit(req, { action: 'pt_package.update', targetType: 'pt_package', targetId: ptPackage._id, before, after: ptPackage });
+    
+    res.json(ptPackage);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Package name already exists' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's PT purchases, newest first (staff or self)
+router.get('/purchases/member/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'trainers.manage'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const purchases = await PTPurchase.find({ userId: req.params.userId })
+      .populate('package', 'name')
+      .populate('trainer', 'name')
+      .sort({ createdAt: -1 });
+    
+    res.json(purchases);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's PT sessions (staff or self)
+router.get('/sessions/member/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'trainers.manage'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const sessions = await PTSession.find({ userId: req.params.userId })
+      .populate('trainer', 'name')
+      .sort({ startTime: -1 });
+    
+    res.json(sessions);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Book a session in one of a trainer's free slots (member for themselves, staff for members
+// at their branches). Uses one session from the member's PT purchases.
+router.post('/sessions', async (req, res) => {
+  try {
+    const onBehalf = req.body.userId && await hasPermission(req, 'trainers.manage');
+    const userId = onBehalf ? req.body.userId : req.user.id;
+    
+    if (onBehalf && !(await memberInScope(req, userId))) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    const startTime = new Date(req.body.startTime);
+    
+    if (isNaN(startTime)) {
+      return res.status(400).json({ message: 'Start time is required' });
+    }
+    
+    if (startTime > new Date(Date.now() + PT_BOOKING_WINDOW_DAYS * DAY_MS)) {
+      return res.status(400).json({ message: `Sessions can be booked up to ${PT_BOOKING_WINDOW_DAYS} days ahead` });
+    }
+    
+    const member = await User.findById(userId);
+    
+    if (!member || member.role !== 'member' || member.archivedAt) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    if (member.status !== 'active') {
+      return res.status(400).json({ message: 'Sessions can only be booked during an active membership' });
+    }
+    
+    const trainer = await findActiveTrainer(req.body.trainerId);
+    
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+    
+    const slot = (await findFreeSlots(trainer, startTime, new Date(startTime.getTime() + DAY_MS)))
+      .find(free => free.startTime.getTime() === startTime.getTime());
+    
+    if (!slot) {
+      return res.status(400).json({ message: 'That time is not available' });
+    }
+    
+    const purchase = await useSessionCredit(userId, trainer.user, startTime);
+    
+    if (!purchase) {
+      return res.status(400).json({ message: 'No PT sessions left to book with. Buy a package first.' });
+    }
+    
+    let session;
+    try {
+      session = await PTSession.create({
+        userId,
+        trainer: trainer.user,
+        purchase: purchase._id,
+        startTime: slot.startTime,
+        endTime: slot.endTime
+      });
+    } catch (err) {
+      await returnSessionCredit(purchase._id);
+      
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'That time has just been booked by someone else' });
+      }
+      throw err;
+    }
+    
+    res.status(201).json(session);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a booked session. Members get the session back with enough notice;
+// the trainer or staff cancelling always gives it back.
+router.put('/sessions/:id/cancel', async (req, res) => {
+  try {
+    const session = await PTSession.findById(req.params.id);
+    const isMember = session && String(session.userId) === req.user.id;
+    const byStaff = Boolean(session) && !isMember && await canManageSession(req, session);
+    
+    if (!session || !(isMember || byStaff)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    if (session.status !== 'booked' || session.startTime <= new Date()) {
+      return res.status(400).json({ message: 'Only upcoming booked sessions can be cancelled' });
+    }
+    
+    if (!(await cancelSession(session, { cancelledBy: req.user.id, byStaff, reason: req.body.reason }))) {
+      return res.status(400).json({ message: 'This session has already been cancelled' });
+    }
+    
+    res.json({
+      ...session.toObject(),
+      message: session.status === 'late_cancelled'
+        ? `Cancelled with less than ${PT_CANCEL_NOTICE_HOURS} hours' notice, so the session is used up`
+        : 'Session cancelled and returned to your balance'
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a session that has started as completed or a no-show (its trainer or staff)
+router.put('/sessions/:id/outcome', async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    if (!['completed', 'no_show'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be completed or no_show' });
+    }
+    
+    const session = await PTSession.findById(req.params.id);
+    
+    if (!session || !(await canManageSession(req, session))) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    if (session.status !== 'booked' || session.startTime > new Date()) {
+      return res.status(400).json({ message: 'Only booked sessions that have started can be marked' });
+    }
+    
+    session.status = status;
+    await session.save();
+    
+    res.json(session);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/classes.js
+const express = require('express');
+const router = express.Router();
+const ClassTemplate = require('../models/ClassTemplate');
+const ClassSession = require('../models/ClassSession');
+const ClassBooking = require('../models/ClassBooking');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission, canActFor, memberInScope, branchFilter } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { DAY_MS } = require('../utils/freeze');
+const { parseDate } = require('../utils/listQuery');
+const {
+  ACTIVE_BOOKING_STATUSES,
+  scheduleTemplate,
+  classAccess,
+  bookingProblem,
+  bookClass,
+  cancelBooking,
+  cancelClassSession,
+  applyTemplateChanges
+} = require('../utils/classes');
+const { CLASS_SCHEDULE_DAYS, CLASS_CANCEL_NOTICE_HOURS } = require('../config/classes');
+
+const TEMPLATE_FIELDS = [
+  'name', 'description', 'instructor', 'room', 'capacity', 'daysOfWeek', 'startTime',
+  'durationMinutes', 'startsOn', 'endsOn', 'includedInPlans', 'dropInPrice', 'gstRate', 'isActive'
+];
+
+function pickTemplateFields(body) {
+  const templateFields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) templateFields[field] = body[field];
+  });
+  if (templateFields.endsOn === '') templateFields.endsOn = null;
+  return templateFields;
+}
+
+async function instructorProblem(instructorId) {
+  const instructor = instructorId && await User.findById(instructorId).select('role archivedAt');
+  return !instructor || instructor.role === 'member' || instructor.archivedAt ? 'Invalid instructor' : null;
+}
+
+const isInstructor = (req, session) => String(session.instructor._id || session.instructor) === req.user.id;
+
+// The session's instructor, or staff who manage classes. Classes are open to every branch,
+// so for one member's booking staff must also work at that member's branch.
+const canRunSession = async (req, session, memberId) =>
+  isInstructor(req, session) ||
+  (await hasPermission(req, 'classes.manage') && (!memberId || await memberInScope(req, memberId)));
+
+// Get class templates (members see active ones, class managers can ask for all)
+router.get('/templates', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && await hasPermission(req, 'classes.manage');
+    const templates = await ClassTemplate.find(showAll ? {} : { isActive: true })
+      .populate('instructor', 'name')
+      .populate('includedInPlans', 'name')
+      .sort({ name: 1 });
+    
+    res.json(templates);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a class template and generate its upcoming sessions
+router.post('/templates', requirePermission('classes.manage'), async (req, res) => {
+  try {
+    const template = new ClassTemplate(pickTemplateFields(req.body));
+    const problem = await instructorProblem(template.instructor);
+    
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+    
+    await template.save();
+    await scheduleTemplate(template);
+    
+    await recordAudit(req, { action: 'class.create', targetType: 'class', targetId: template._id, before: null, after: template });
+    
+    res.status(201).json(template);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a class template; upcoming sessions follow it (booked ones that no longer fit are cancelled)
+router.put('/templates/:id', requirePermission('classes.manage'), async (req, res) => {
+  try {
+    const before = await ClassTemplate.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    
+    const templateFields = pickTemplateFields(req.body);
+    const problem = templateFields.instructor && await instructorProblem(templateFields.instructor);
+    
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+    
+    const template = await ClassTemplate.findByIdAndUpdate(
+      req.params.id,
+      { $set: templateFields },
+      { new: true, runValidators: true }
+    );
+    
+    await applyTemplateChanges(template);
+    
+    await recordAudit(req, { action: 'class.update', targetType: 'class', targetId: template._id, before, after: template });
+    
+    res.json(template);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Class timetable, ?from=YYYY-MM-DD&days=7. Each session says whether the member can book it
+// and what place they have in it.
+router.get('/sessions', async (req, res) => {
+  try {
+    const from = typeof req.query.from === 'string' ? parseDate(req.query.from) : new Date();
+    const days = Math.min(parseInt(req.query.days, 10) || 7, CLASS_SCHEDULE_DAYS);
+    
+    if (isNaN(from)) {
+      return res.status(400).json({ message: 'Invalid from date' });
+    }
+    
+    const [sessions, member] = await Promise.all([
+      ClassSession.find({ startTime: { $gte: from, $lt: new Date(from.getTime() + days * DAY_MS) } })
+        .populate('template', 'name description includedInPlans dropInPrice gstRate')
+        .populate('instructor', 'name')
+        .sort({ startTime: 1 }),
+      User.findById(req.user.id).select('role membershipType')
+    ]);
+    
+    const sessionIds = sessions.map(session => session._id);
+    const [myBookings, waitlists] = await Promise.all([
+      ClassBooking.find({ session: { $in: sessionIds }, userId: req.user.id }),
+      ClassBooking.aggregate([
+        { $match: { session: { $in: sessionIds }, status: 'waitlisted' } },
+        { $group: { _id: '$session', count: { $sum: 1 } } }
+      ])
+    ]);
+    
+    res.json(sessions.map(session => {
+      const myBooking = myBookings.find(booking => String(booking.session) === String(session._id));
+      const waitlist = waitlists.find(entry => String(entry._id) === String(session._id));
+      
+      return {
+        ...session.toObject(),
+        spotsLeft: Math.max(session.capacity - session.bookedCount, 0),
+        waitlistCount: waitlist ? waitlist.count : 0,
+        access: member && member.role === 'member' ? classAccess(session.template, member) : null,
+        dropInTotal: session.template.getDropInTotal(),
+        myBooking: myBooking ? { _id: myBooking._id, status: myBooking.status } : null
+      };
+    }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Book a class included in the member's plan (member for themselves, staff for members at
+// their branches). Full classes put the member on the waitlist. Drop-ins pay through /payments/create-order.
+router.post('/sessions/:id/book', async (req, res) => {
+  try {
+    const onBehalf = req.body.userId && await hasPermission(req, 'classes.manage');
+    const userId = onBehalf ? req.body.userId : req.user.id;
+    
+    if (onBehalf && !(await memberInScope(req, userId))) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    const [session, member] = await Promise.all([
+      ClassSession.findById(req.params.id).populate('template'),
+      User.findById(userId)
+    ]);
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    
+    const problem = bookingProblem(session, member);
+    
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+    
+    const access = classAccess(session.template, member);
+    
+    if (access === 'drop_in') {
+      return res.status(402).json({ message: `This class is not included in your plan. Pay ₹${session.template.getDropInTotal()} to book it.` });
+    }
+    
+    if (access === 'none') {
+      return res.status(403).json({ message: 'This class is not included in your plan' });
+    }
+    
+    const { booking, error } = await bookClass(session, userId);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    res.status(201).json(booking);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's class bookings, newest first (staff or self)
+router.get('/bookings/member/:userId', async (req, res) => {
+  try {
+    if (!(await canActFor(req, req.params.userId, 'classes.manage'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const bookings = await ClassBooking.find({ userId: req.params.userId })
+      .populate({ path: 'session', select: 'startTime endTime room status', populate: { path: 'template', select: 'name' } })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    
+    res.json(bookings);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a booking or leave the waitlist (member for their own, or the instructor or staff)
+router.put('/bookings/:id/cancel', async (req, res) => {
+  try {
+    const booking = await ClassBooking.findById(req.params.id);
+    const session = booking && await ClassSession.findById(booking.session);
+    const isMember = Boolean(booking) && String(booking.userId) === req.user.id;
+    const byStaff = Boolean(session) && !isMember && await canRunSession(req, session, booking.userId);
+    
+    if (!session || !(isMember || byStaff)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status) || session.startTime <= new Date()) {
+      return res.status(400).json({ message: 'Only upcoming bookings can be cancelled' });
+    }
+    
+    if (!(await cancelBooking(booking, session, { byStaff, reason: req.body.reason }))) {
+      return res.status(409).json({ message: 'This booking changed while you were cancelling it. Please reload.' });
+    }
+    
+    res.json({
+      ...booking.toObject(),
+      message: booking.status === 'late_cancelled'
+        ? `Cancelled with less than ${CLASS_CANCEL_NOTICE_HOURS} hours' notice, so it counts as a late cancellation`
+        : 'Booking cancelled'
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sessions an instructor teaches, ?from=YYYY-MM-DD&days=7 (class managers see every session)
+router.get('/sessions/teaching', async (req, res) => {
+  try {
+    const canManage = await hasPermission(req, 'classes.manage');
+    
+    if (!canManage && !(await hasPermission(req, 'classes.teach'))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const from = typeof req.query.from === 'string' ? parseDate(req.query.from) : new Date();
+    const days = Math.min(parseInt(req.query.days, 10) || 7, CLASS_SCHEDULE_DAYS);
+    
+    if (isNaN(from)) {
+      return res.status(400).json({ message: 'Invalid from date' });
+    }
+    
+    const filter = { startTime: { $gte: from, $lt: new Date(from.getTime() + days * DAY_MS) } };
+    
+    if (!canManage) {
+      filter.instructor = req.user.id;
+    }
+    
+    const sessions = await ClassSession.find(filter)
+      .populate('template', 'name')
+      .populate('instructor', 'name')
+      .sort({ startTime: 1 });
+    
+    res.json(sessions);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A session's roster and waitlist (its instructor, or staff for members at their branches)
+router.get('/sessions/:id/roster', async (req, res) => {
+  try {
+    const session = await ClassSession.findById(req.params.id).populate('template', 'name');
+    
+    if (!session || !(await canRunSession(req, session))) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    
+    const filter = {
+      session: session._id,
+      status: { $in: ['booked', 'waitlisted', 'attended', 'no_show'] }
+    };
+    
+    if (!isInstructor(req, session)) {
+      const memberBranch = await branchFilter(req);
+      
+      if (memberBranch.branch) {
+        filter.userId = { $in: await User.find({ role: 'member', ...memberBranch }).distinct('_id') };
+      }
+    }
+    
+    const bookings = await ClassBooking.find(filter)
+      .populate('userId', 'name phone')
+      .sort({ waitlistedAt: 1, createdAt: 1 });
+    
+    res.json({
+      session,
+      attendees: bookings.filter(booking => booking.status !== 'waitlisted'),
+      waitlist: bookings.filter(booking => booking.status === 'waitlisted')
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a booked member as attended or a no-show once the class has started
+router.put('/bookings/:id/attendance', async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    if (!['attended', 'no_show'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be attended or no_show' });
+    }
+    
+    const booking = await ClassBooking.findById(req.params.id);
+    const session = booking && await ClassSession.findById(booking.session);
+    
+    if (!session || !(await canRunSession(req, session, booking.userId))) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    
+    if (!['booked', 'attended', 'no_show'].includes(booking.status) || session.startTime > new Date()) {
+      return res.status(400).json({ message: 'Attendance can be marked for booked members once the class starts' });
+    }
+    
+    booking.status = status;
+    booking.attendanceMarkedBy = req.user.id;
+    await booking.save();
+    
+    res.json(booking);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel one session; everyone booked is told and drop-ins are refunded
+router.put('/sessions/:id/cancel', requirePermission('classes.manage'), async (req, res) => {
+  try {
+    const session = await ClassSession.findById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    
+    if (session.status !== 'scheduled' || session.startTime <= new Date()) {
+      return res.status(400).json({ message: 'Only upcoming classes can be cancelled' });
+    }
+    
+    const before = session.toObject();
+    const cancelledBookings = await cancelClassSession(session, req.body.reason || 'Class cancelled');
+    
+    await recordAudit(req, { action: 'class.cancel_session', targetType: 'class', targetId: session._id, before, after: session });
+    
+    res.json({ ...session.toObject(), cancelledBookings });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/workouts.js
+const express = require('express');
+const router = express.Router();
+const Exercise = require('../models/Exercise');
+const WorkoutProgram = require('../models/WorkoutProgram');
+const WorkoutAssignment = require('../models/WorkoutAssignment');
+const WorkoutLog = require('../models/WorkoutLog');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission, canViewMember } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { weeklyVolume, exerciseProgress, findNewRecords, startOfWeek } = require('../utils/workouts');
+
+const EXERCISE_FIELDS = ['name', 'muscleGroup', 'equipment', 'instructions', 'isActive'];
+const PROGRAM_FIELDS = ['name', 'description', 'days', 'isActive'];
+
+// The program's author, or staff who look after every program
+const canEditProgram = async (req, program) =>
+  String(program.createdBy) === req.user.id || hasPermission(req, 'workouts.manage_all');
+
+const DEFAULT_PROGRESS_WEEKS = 12;
+const MAX_PROGRESS_WEEKS = 52;
+
+function pickFields(body, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+}
+
+const programExerciseIds = days =>
+  [...new Set((days || []).flatMap(day => (day.exercises || []).map(entry => String(entry.exercise))))];
+
+// Every exercise must exist; ones not already on the program must also be active
+async function exerciseProblem(days, existingIds = []) {
+  const ids = programExerciseIds(days);
+  const exercises = await Exercise.find({ _id: { $in: ids } }).select('isActive');
+  
+  if (exercises.length !== ids.length) {
+    return 'Invalid exercise';
+  }
+  if (exercises.some(exercise => !exercise.isActive && !existingIds.includes(String(exercise._id)))) {
+    return 'Retired exercises can\'t be added to programs';
+  }
+  return null;
+}
+
+// Members who can be given a program by this staff member
+async function findAssignableMember(req, userId) {
+  if (!(await canViewMember(req, userId))) return null;
+  return User.findOne({ _id: userId, role: 'member', archivedAt: null });
+}
+
+const populateProgram = query => query.populate('days.exercises.exercise', 'name muscleGroup equipment instructions');
+
+// Get the exercise library (active exercises, or ?all=true for workout managers)
+router.get('/exercises', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && await hasPermission(req, 'workouts.manage');
+    const exercises = await Exercise.find(showAll ? {} : { isActive: true }).sort({ muscleGroup: 1, name: 1 });
+    
+    res.json(exercises);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add exercise to the library
+router.post('/exercises', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const exercise = await Exercise.create({ ...pickFields(req.body, EXERCISE_FIELDS), createdBy: req.user.id });
+    
+    res.status(201).json(exercise);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Exercise already exists' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update exercise (set isActive false to retire it)
+router.put('/exercises/:id', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const exercise = await Exercise.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickFields(req.body, EXERCISE_FIELDS) },
+      { new: true, runValidators: true }
+    );
+    
+    if (!exercise) {
+      return res.status(404).json({ message: 'Exercise not found' });
+    }
+    
+    res.json(exercise);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Exercise already exists' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get workout programs (active ones, or ?all=true)
+router.get('/programs', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const programs = await populateProgram(WorkoutProgram.find(req.query.all === 'true' ? {} : { isActive: true }))
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+    
+    res.json(programs);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add workout program
+router.post('/programs', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const program = new WorkoutProgram({ ...pickFields(req.body, PROGRAM_FIELDS), createdBy: req.user.id });
+    const problem = await exerciseProblem(program.days);
+    
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+    
+    await program.save();
+    
+    await recordAudit(req, { action: 'workout_program.create', targetType: 'workout_program', targetId: program._id, before: null, after: program });
+    
+    res.status(201).json(await populateProgram(WorkoutProgram.findById(program._id)));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update workout program (its author or staff who manage all programs);
+// members on it see the new version straight away
+router.put('/programs/:id', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const program = await WorkoutProgram.findById(req.params.id);
+    
+    if (!program) {
+      return res.status(404).json({ message: 'Program not found' });
+    }
+    
+    if (!(await canEditProgram(req, program))) {
+      return res.status(403).json({ message: 'Only the trainer who wrote this program can change it' });
+    }
+    
+    const before = program.toObject();
+    const programFields = pickFields(req.body, PROGRAM_FIELDS);
+    
+    if (programFields.days) {
+      const problem = await exerciseProblem(programFields.days, programExerciseIds(before.days));
+      
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+    }
+    
+    program.set(programFields);
+    await program.save();
+    
+    await recordAudit(req, { action: 'workout_program.update', targetType: 'workout_program', targetId: program._id, before, after: program });
+    
+    res.json(await populateProgram(WorkoutProgram.findById(program._id)));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's current program, or null (member, staff or their trainer)
+router.get('/assignments/member/:userId', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const assignment = await WorkoutAssignment.findOne({ userId: req.params.userId, isActive: true })
+      .populate({ path: 'program', populate: { path: 'days.exercises.exercise', select: 'name muscleGroup equipment instructions' } })
+      .populate('assignedBy', 'name');
+    
+    res.json(assignment);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign a program to a member, replacing their current one
+router.post('/assignments', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const { userId, programId, notes } = req.body;
+    
+    const [member, program] = await Promise.all([
+      findAssignableMember(req, userId),
+      WorkoutProgram.findOne({ _id: programId, isActive: true })
+    ]);
+    
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (!program) {
+      return res.status(400).json({ message: 'Invalid program' });
+    }
+    
+    const current = await WorkoutAssignment.findOneAndUpdate(
+      { userId: member._id, isActive: true },
+      { $set: { isActive: false, endedAt: new Date() } }
+    );
+    
+    const assignment = await WorkoutAssignment.create({
+      userId: member._id,
+      program: program._id,
+      assignedBy: req.user.id,
+      notes
+    });
+    
+    await recordAudit(req, {
+      action: 'member.workout_assign',
+      targetType: 'member',
+      targetId: member._id,
+      before: { workoutProgram: current ? String(current.program) : null },
+      after: { workoutProgram: String(program._id) }
+    });
+    
+    res.status(201).json(assignment);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'This member was given another program at the same time. Please reload.' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take a member off their program
+router.put('/assignments/:id/end', requirePermission('workouts.manage'), async (req, res) => {
+  try {
+    const assignment = await WorkoutAssignment.findOne({ _id: req.params.id, isActive: true });
+    
+    if (!assignment || !(await canViewMember(req, assignment.userId))) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    
+    assignment.isActive = false;
+    assignment.endedAt = new Date();
+    await assignment.save();
+    
+    await recordAudit(req, {
+      action: 'member.workout_end',
+      targetType: 'member',
+      targetId: assignment.userId,
+      before: { workoutProgram: String(assignment.program) },
+      after: { workoutProgram: null }
+    });
+    
+    res.json(assignment);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a member's logged workouts, newest first (?limit, default 20)
+router.get('/logs/member/:userId', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const logs = await WorkoutLog.find({ userId: req.params.userId })
+      .populate('exercises.exercise', 'name')
+      .sort({ performedAt: -1 })
+      .limit(limit);
+    
+    res.json(logs);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log a workout (member for themselves, or workout staff for a member they look after).
+// Responds with the exercises where the member set a new personal record.
+router.post('/logs', async (req, res) => {
+  try {
+    const onBehalf = req.body.userId && req.body.userId !== req.user.id;
+    
+    if (onBehalf && !(await hasPermission(req, 'workouts.manage') && await findAssignableMember(req, req.body.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const userId = onBehalf ? req.body.userId : req.user.id;
+    const performedAt = req.body.performedAt ? new Date(req.body.performedAt) : new Date();
+    
+    if (isNaN(performedAt) || performedAt > new Date()) {
+      return res.status(400).json({ message: 'Invalid workout date' });
+    }
+    
+    if (req.body.assignmentId && !(await WorkoutAssignment.exists({ _id: req.body.assignmentId, userId }))) {
+      return res.status(400).json({ message: 'Invalid program' });
+    }
+    
+    const log = new WorkoutLog({
+      userId,
+      assignment: req.body.assignmentId || undefined,
+      dayName: req.body.dayName,
+      performedAt,
+      exercises: req.body.exercises,
+      notes: req.body.notes
+    });
+    
+    const exerciseIds = [...new Set(log.exercises.map(entry => String(entry.exercise)))];
+    if (await Exercise.countDocuments({ _id: { $in: exerciseIds } }) !== exerciseIds.length) {
+      return res.status(400).json({ message: 'Invalid exercise' });
+    }
+    
+    await log.save();
+    
+    const recordIds = (await findNewRecords(log)).map(String);
+    const saved = await WorkoutLog.findById(log._id).populate('exercises.exercise', 'name');
+    
+    res.status(201).json({
+      log: saved,
+      newRecords: saved.exercises
+        .filter(entry => recordIds.includes(String(entry.exercise._id)))
+        .map(entry => entry.exercise.name)
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a logged workout (the member, or staff who could have logged it)
+router.delete('/logs/:id', async (req, res) => {
+  try {
+    const log = await WorkoutLog.findById(req.params.id);
+    
+    if (!log) {
+      return res.status(404).json({ message: 'Workout not found' });
+    }
+    
+    const isOwner = String(log.userId) === req.user.id;
+    if (!isOwner && !(await hasPermission(req, 'workouts.manage') && await canViewMember(req, log.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    await WorkoutLog.findByIdAndDelete(log._id);
+    
+    res.json({ message: 'Workout deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Weekly volume and personal records over the last ?weeks (default 12)
+router.get('/progress/member/:userId', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || DEFAULT_PROGRESS_WEEKS, 1), MAX_PROGRESS_WEEKS);
+    const since = startOfWeek(new Date());
+    since.setDate(since.getDate() - (weeks - 1) * 7);
+    
+    const logs = await WorkoutLog.find({ userId: req.params.userId, performedAt: { $gte: since } })
+      .populate('exercises.exercise', 'name')
+      .sort({ performedAt: 1 });
+    
+    res.json({
+      weeklyVolume: weeklyVolume(logs, weeks),
+      exercises: exerciseProgress(logs),
+      totalWorkouts: logs.length
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/assessments.js
+const express = require('express');
+const router = express.Router();
+const Assessment = require('../models/Assessment');
+const User = require('../models/User');
+const { hasPermission, canViewMember } = require('../utils/permissions');
+const { nextAssessmentDue, renderAssessmentReport } = require('../utils/assessments');
+
+const ASSESSMENT_FIELDS = ['recordedAt', 'weightKg', 'heightCm', 'bodyFatPercent', 'girths', 'restingHeartRate', 'notes'];
+
+function pickAssessmentFields(body) {
+  const assessmentFields = {};
+  ASSESSMENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) assessmentFields[field] = body[field];
+  });
+  return assessmentFields;
+}
+
+const isFutureDate = value => value !== undefined && !(new Date(value) <= new Date());
+
+// Members can change what they entered themselves; assessment staff can change any
+// assessment for a member they can see
+const canEditAssessment = async (req, assessment) =>
+  String(assessment.recordedBy) === req.user.id ||
+  (await hasPermission(req, 'assessments.manage') && await canViewMember(req, assessment.userId));
+
+// Get a member's assessments, oldest first, and when the next one is due
+router.get('/member/:userId', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const assessments = await Assessment.find({ userId: req.params.userId })
+      .populate('recordedBy', 'name')
+      .sort({ recordedAt: 1 });
+    
+    res.json({
+      assessments,
+      nextDueAt: nextAssessmentDue(assessments[assessments.length - 1])
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Printable PDF report, comparing ?from and ?to (assessment ids) or the first and latest
+router.get('/member/:userId/report', async (req, res) => {
+  try {
+    if (!(await canViewMember(req, req.params.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const [member, assessments] = await Promise.all([
+      User.findById(req.params.userId).select('name'),
+      Assessment.find({ userId: req.params.userId }).sort({ recordedAt: 1 })
+    ]);
+    
+    if (!member || assessments.length === 0) {
+      return res.status(404).json({ message: 'No assessments to report on' });
+    }
+    
+    const byId = id => assessments.find(assessment => String(assessment._id) === id);
+    const earlier = req.query.from ? byId(req.query.from) : assessments[0];
+    const later = req.query.to ? byId(req.query.to) : assessments[assessments.length - 1];
+    
+    if (!earlier || !later) {
+      return res.status(400).json({ message: 'Invalid assessment' });
+    }
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="progress-report.pdf"');
+    renderAssessmentReport(member, assessments, { earlier, later }, res);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record an assessment (member for themselves, or assessment staff for a member they can see).
+// Height carries over from the member's last assessment when it isn't given.
+router.post('/', async (req, res) => {
+  try {
+    const onBehalf = req.body.userId && req.body.userId !== req.user.id;
+    
+    if (onBehalf && !(await hasPermission(req, 'assessments.manage') && await canViewMember(req, req.body.userId))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const userId = onBehalf ? req.body.userId : req.user.id;
+    
+    if (onBehalf && !(await User.exists({ _id: userId, role: 'member', archivedAt: null }))) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    const assessmentFields = pickAssessmentFields(req.body);
+    
+    if (isFutureDate(assessmentFields.recordedAt)) {
+      return res.status(400).json({ message: 'Invalid assessment date' });
+    }
+    
+    if (!assessmentFields.heightCm) {
+      const previous = await Assessment.findOne({ userId, heightCm: { $ne: null } }).sort({ recordedAt: -1 });
+      if (previous) assessmentFields.heightCm = previous.heightCm;
+    }
+    
+    const assessment = await Assessment.create({
+      recordedAt: new Date(),
+      ...assessmentFields,
+      userId,
+      recordedBy: req.user.id
+    });
+    
+    res.status(201).json(assessment);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Correct an assessment
+router.put('/:id', async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.id);
+    
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+    if (!(await canEditAssessment(req, assessment))) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    const assessmentFields = pickAssessmentFields(req.body);
+    
+    if (isFutureDate(assessmentFields.recordedAt)) {
+      return res.status(400).json({ message: 'Invalid assessment date' });
+    }
+    
+    assessment.set(assessmentFields);
+    await assessment.save();
+    
+    res.json(assessment);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an assessment
+router.delete('/:id', async (req, res) => {
+  try {
+    const assessment = await Assessment.findById(req.params.id);
+    
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+    if (!(await canEditAssessment(req, assessment))) {
       return res.status(403).json({ message: 'Unauthorized' });
     }
     
-    const payments = await Payment.find({ userId: req.params.userId });
-    res.json(payments);
+    await Assessment.findByIdAndDelete(assessment._id);
+    
+    res.json({ message: 'Assessment deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/branches.js
+const express = require('express');
+const router = express.Router();
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission, loadBranchScope } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+const BRANCH_FIELDS = ['name', 'address', 'phone', 'isActive'];
+
+function pickBranchFields(body) {
+  const branchFields = {};
+  BRANCH_FIELDS.forEach(field => {
+    if (body[field] !== undefined) branchFields[field] = body[field];
+  });
+  return branchFields;
+}
+
+// Get the branches the user works at (every branch for all-branch staff; ?all=true adds closed ones
+// for branch managers). Members get their home branch.
+router.get('/', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && await hasPermission(req, 'branches.manage');
+    const user = await User.findById(req.user.id).select('role branch');
+    const filter = showAll ? {} : { isActive: true };
+    
+    if (!user || user.role === 'member') {
+      filter._id = user ? user.branch : null;
+    } else {
+      const scope = await loadBranchScope(req);
+      if (scope) filter._id = { $in: scope };
+    }
+    
+    res.json(await Branch.find(filter).sort({ name: 1 }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add branch
+router.post('/', requirePermission('branches.manage'), async (req, res) => {
+  try {
+    const branch = await Branch.create(pickBranchFields(req.body));
+    
+    await recordAudit(req, { action: 'branch.create', targetType: 'branch', targetId: branch._id, before: null, after: branch });
+    
+    res.status(201).json(branch);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Branch name already exists' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update branch (set isActive false to close it; its records are kept)
+router.put('/:id', requirePermission('branches.manage'), async (req, res) => {
+  try {
+    const before = await Branch.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+    
+    const branch = await Branch.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickBranchFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    
+    await recordAudit(req, { action: 'branch.update', targetType: 'branch', targetId: branch._id, before, after: branch });
+    
+    res.json(branch);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Branch name already exists' });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get staff and the branches they work at
+router.get('/staff', requirePermission('branches.manage'), async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $ne: 'member' }, archivedAt: null })
+      .select('name email role branches')
+      .sort({ name: 1 });
+    
+    res.json(staff);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the branches a staff user works at
+router.put('/staff/:userId', requirePermission('branches.manage'), async (req, res) => {
+  try {
+    const branchIds = [...new Set((req.body.branches || []).map(String))];
+    
+    const [user, found] = await Promise.all([
+      User.findById(req.params.userId).select('name role branches'),
+      Branch.countDocuments({ _id: { $in: branchIds } })
+    ]);
+    
+    if (!user || user.role === 'member') {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+    
+    if (found !== branchIds.length) {
+      return res.status(400).json({ message: 'Invalid branch' });
+    }
+    
+    const previous = user.branches.map(String);
+    user.branches = branchIds;
+    // Only the branches change, so skip validating the rest of the profile
+    await user.save({ validateModifiedOnly: true });
+    
+    await recordAudit(req, {
+      action: 'member.branches_change',
+      targetType: 'member',
+      targetId: user._id,
+      before: { branches: previous },
+      after: { branches: branchIds }
+    });
+    
+    res.json(user);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${err.path}` });
+    }
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+
+// File: routes/index.js
+const authRoutes = require('./auth');
+const memberRoutes = require('./members');
+const paymentRoutes = require('./payments');
+const webhookRoutes = require('./webhooks');
+const planRoutes = require('./plans');
+const reportRoutes = require('./reports');
+const attendanceRoutes = require('./attendance');
+const notificationRoutes = require('./notifications');
+const freezeRoutes = require('./freezes');
+const roleRoutes = require('./roles');
+const auditRoutes = require('./audit');
+const trainerRoutes = require('./trainers');
+const trainingRoutes = require('./training');
+const classRoutes = require('./classes');
+const workoutRoutes = require('./workouts');
+const assessmentRoutes = require('./assessments');
+const branchRoutes = require('./branches');
+
+module.exports = {
+  authRoutes,
+  memberRoutes,
+  paymentRoutes,
+  webhookRoutes,
+  planRoutes,
+  reportRoutes,
+  attendanceRoutes,
+  notificationRoutes,
+  freezeRoutes,
+  roleRoutes,
+  auditRoutes,
+  trainerRoutes,
+  trainingRoutes,
+  classRoutes,
+  workoutRoutes,
+  assessmentRoutes,
+  branchRoutes
+};
+
+// File: middleware/auth.js
+const jwt = require('jsonwebtoken');
+const { loadPermissions } = require('../utils/permissions');
+
+const authenticate = ({ allowPasswordChange = false } = {}) => (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ message: 'Access denied. No token provided' });
+  }
+  
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+  
+  // Single-purpose tokens (like check-in QR codes) aren't logins
+  if (decoded.purpose || decoded.aud) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+  
+  // Users on a temporary password can only change it
+  if (decoded.mustChangePassword && !allowPasswordChange) {
+    return res.status(403).json({ message: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED' });
+  }
+  
+  req.user = decoded;
+  next();
+};
+
+const authenticateToken = authenticate();
+const authenticateForPasswordChange = authenticate({ allowPasswordChange: true });
+
+// Allow the request only if the user's role has every listed permission
+const requirePermission = (...required) => async (req, res, next) => {
+  try {
+    const permissions = req.user ? await loadPermissions(req) : [];
+    const missing = required.filter(p => !permissions.includes(p));
+    
+    if (missing.length) {
+      return res.status(403).json({ message: 'Unauthorized. Missing permission', missing });
+    }
+    
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { authenticateToken, authenticateForPasswordChange, requirePermission };
+
+// File: middleware/upload.js
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Spreadsheets are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter: (req, file, cb) => cb(null, /\.(csv|xlsx)$/i.test(file.originalname))
+});
+
+// Accept one CSV or XLSX file in the "file" field
+const uploadSpreadsheet = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 5 MB' : err.message;
+      return res.status(400).json({ message });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a .csv or .xlsx file in the "file" field' });
+    }
+    
+    next();
+  });
+};
+
+module.exports = { uploadSpreadsheet };
+
+// File: utils/membership.js
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const MembershipTerm = require('../models/MembershipTerm');
+const { changeMemberStatus } = require('./status');
+const { sendPaymentReceipt } = require('../notifications/payments');
+const { refundPayment } = require('./refunds');
+// Shared with the React forms so both sides agree on plan end dates
+const { calculateEndDate } = require('../src/shared/validation');
+
+// Mark a payment completed, start a new membership term and update the user.
+// totalAmount is the term's price when the payment only covers part of it.
+const completeMembershipPayment = async (payment, { totalAmount } = {}) => {
+  const plan = await Plan.findById(payment.membership);
+  
+  if (!plan) {
+    throw new Error(`Plan ${payment.membership} not found for payment ${payment._id}`);
+  }
+  
+  // Renewing early adds the new term after the current one instead of restarting today
+  const user = await User.findById(payment.userId).select('endDate status membershipType');
+  const now = new Date();
+  const renewsEarly = Boolean(user && user.endDate && user.endDate > now);
+  const startDate = renewsEarly ? new Date(user.endDate) : now;
+  const endDate = calculateEndDate(plan, startDate);
+  
+  const term = await MembershipTerm.create({
+    userId: payment.userId,
+    plan: plan._id,
+    startDate,
+    endDate,
+    totalAmount: totalAmount || payment.amount,
+    amountPaid: payment.amount,
+    pendingPlanChange: renewsEarly && String(user.membershipType) !== String(plan._id)
+  });
+  
+  payment.status = 'completed';
+  payment.term = term._id;
+  payment.startDate = startDate;
+  payment.endDate = endDate;
+  await payment.save();
+  
+  // The current membership (and plan) carries on, so only the end date moves;
+  // the membership expiry job switches the plan when the new term starts
+  await User.findByIdAndUpdate(payment.userId, renewsEarly
+    ? { endDate }
+    : { membershipType: payment.membership, startDate, endDate }
+  );
+  
+  // A frozen member stays frozen until the freeze ends
+  if (!user || user.status !== 'frozen') {
+    await changeMemberStatus(payment.userId, 'active', { reason: 'Membership payment completed' });
+  }
+  
+  await sendPaymentReceipt(payment);
+  
+  return payment;
+};
+
+// Mark an instalment completed against its existing membership term. The balance is
+// only checked when the order is created, so if another instalment paid it off in the
+// meantime this one is refunded instead of overpaying the term.
+const completeInstalmentPayment = async (payment) => {
+  const term = await MembershipTerm.findOneAndUpdate(
+    { _id: payment.term, $expr: { $lte: [{ $round: [{ $add: ['$amountPaid', payment.amount] }, 2] }, '$totalAmount'] } },
+    { $inc: { amountPaid: payment.amount } }
+  );
+  
+  payment.status = 'completed';
+  
+  if (!term) {
+    // Never counted towards the term, so its refund mustn't come off the term either
+    payment.term = undefined;
+    await payment.save();
+    
+    try {
+      await refundPayment(payment, payment.amount, { reason: 'Membership balance was already paid' });
+    } catch (err) {
+      console.error(`Could not refund overpaid instalment ${payment._id}:`, err);
+    }
+    
+    return payment;
+  }
+  
+  await payment.save();
+  
+  await sendPaymentReceipt(payment);
+  
+  return payment;
+};
+
+module.exports = { calculateEndDate, completeMembershipPayment, completeInstalmentPayment };
+
+// File: utils/attendance.js
+const jwt = require('jsonwebtoken');
+const { GRACE_DAYS } = require('../config/membership');
+const { canEnterBranch } = require('./branches');
+
+// QR codes are re-issued often so a screenshot can't be shared around
+const QR_TOKEN_TTL_SECONDS = 5 * 60;
+
+// The code is shown on screen, so it's scoped to check-in and is never accepted as a login
+const CHECK_IN_AUDIENCE = 'check-in';
+
+const issueCheckInToken = userId => jwt.sign(
+  { id: userId, purpose: 'check-in' },
+  process.env.JWT_SECRET,
+  { expiresIn: QR_TOKEN_TTL_SECONDS, audience: CHECK_IN_AUDIENCE }
+);
+
+// Returns the member id for a valid token, or null
+const verifyCheckInToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHECK_IN_AUDIENCE });
+    return decoded.purpose === 'check-in' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Reason a member can't be let in at a branch, or null if they can.
+// Expects membershipType populated.
+const getCheckInBlocker = async (member, branchId) => {
+  if (member.archivedAt) {
+    return 'Member is archived';
+  }
+  
+  if (member.status === 'frozen') {
+    return 'Membership is frozen';
+  }
+  
+  if (member.status !== 'active') {
+    return 'Membership is not active';
+  }
+  
+  const graceEnd = member.endDate && new Date(member.endDate.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+  
+  if (!graceEnd || graceEnd < new Date()) {
+    return 'Membership has expired';
+  }
+  
+  if (!canEnterBranch(member, branchId)) {
+    return 'Membership is not valid at this branch';
+  }
+  
+  return null;
+};
+
+module.exports = { issueCheckInToken, verifyCheckInToken, getCheckInBlocker, QR_TOKEN_TTL_SECONDS };
+
+// File: utils/status.js
+const User = require('../models/User');
+const StatusHistory = require('../models/StatusHistory');
+
+// Set a member's status and record the change; a no-op if it is unchanged
+const changeMemberStatus = async (userId, status, { reason, changedBy } = {}) => {
+  const user = await User.findById(userId).select('status');
+  
+  if (!user || user.status === status) return false;
+  
+  await User.updateOne({ _id: userId }, { $set: { status } });
+  
+  await StatusHistory.create({
+    userId,
+    from: user.status,
+    to: status,
+    reason,
+    changedBy
+  });
+  
+  return true;
+};
+
+module.exports = { changeMemberStatus };
+
+// File: utils/freeze.js
+const User = require('../models/User');
+const Freeze = require('../models/Freeze');
+const Payment = require('../models/Payment');
+const { changeMemberStatus } = require('./status');
+const { refundPayment } = require('./refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Freezes that are still going to happen or are happening
+const OPEN_FREEZE_STATUSES = ['requested', 'approved', 'active'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Both start and end days count as frozen
+const countFreezeDays = (startDate, endDate) =>
+  Math.round((startOfDay(endDate) - startOfDay(startDate)) / DAY_MS) + 1;
+
+// Conditional, so a freeze cancelled while the daily job runs isn't started anyway
+const startFreeze = async (freeze) => {
+  const claimed = await Freeze.findOneAndUpdate(
+    { _id: freeze._id, status: 'approved' },
+    { $set: { status: 'active' } }
+  );
+  
+  if (!claimed) return false;
+  
+  freeze.status = 'active';
+  
+  await changeMemberStatus(freeze.userId, 'frozen', { reason: 'Membership frozen' });
+  
+  return true;
+};
+
+// Finish a freeze on the given day and push the membership end date out by the days frozen.
+// Returns false if the freeze had already ended, e.g. the member cancelled as the daily job ran.
+const endFreeze = async (freeze, endedOn, { changedBy } = {}) => {
+  const lastDay = endedOn < freeze.endDate ? endedOn : freeze.endDate;
+  const days = Math.max(countFreezeDays(freeze.startDate, lastDay), 0);
+  
+  const claimed = await Freeze.findOneAndUpdate(
+    { _id: freeze._id, status: 'active' },
+    { $set: { status: 'completed', appliedDays: days } }
+  );
+  
+  if (!claimed) return false;
+  
+  freeze.status = 'completed';
+  freeze.appliedDays = days;
+  
+  // Added to the stored date rather than a copy read earlier, so nothing else's change is lost
+  await User.updateOne(
+    { _id: freeze.userId, endDate: { $ne: null } },
+    [{ $set: { endDate: { $add: ['$endDate', days * DAY_MS] } } }]
+  );
+  
+  await changeMemberStatus(freeze.userId, 'active', {
+    reason: `Freeze ended, membership extended by ${days} days`,
+    changedBy
+  });
+  
+  return true;
+};
+
+// Give back the fee for a freeze that was cancelled before it started. A freeze that has
+// started was used, so its fee stays paid.
+const refundFreezeFee = async (freeze, { createdBy } = {}) => {
+  const payment = await Payment.findOne({ freeze: freeze._id, paymentType: 'freeze_fee', status: 'completed' });
+  
+  if (!payment) return null;
+  
+  return refundPayment(payment, payment.amount, { reason: 'Freeze cancelled before it started', createdBy });
+};
+
+module.exports = { DAY_MS, OPEN_FREEZE_STATUSES, startOfDay, countFreezeDays, startFreeze, endFreeze, refundFreezeFee };
+
+// File: utils/payments.js
+const Payment = require('../models/Payment');
+const Freeze = require('../models/Freeze');
+const { completeMembershipPayment, completeInstalmentPayment } = require('./membership');
+const { completePTPackagePayment } = require('./training');
+const { completeClassPayment } = require('./classes');
+const { issueInvoice } = require('./invoice');
+const { sendPaymentReceipt, sendPaymentFailed } = require('../notifications/payments');
+
+// Orders still waiting on the gateway
+const OPEN_STATUSES = ['pending', 'expired'];
+
+// /verify and the webhook arrive together, so an order is claimed before it's settled
+// and only the first caller settles it. Offline payments are new and need no claim.
+// Returns the status the order had, or null if it was claimed elsewhere.
+const claimPayment = async (payment) => {
+  if (payment.isNew) return payment.status;
+  
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: OPEN_STATUSES } },
+    { $set: { status: 'processing' } }
+  );
+  
+  if (!claimed) return null;
+  
+  payment.status = 'processing';
+  return claimed.status;
+};
+
+// Run a claimed order's settlement. If it throws, the order goes back to the status it
+// had, so the gateway's next webhook (or the member's next /verify) can settle it.
+const settleClaimed = async (payment, previousStatus, settle) => {
+  const wasNew = payment.isNew;
+  
+  try {
+    await settle();
+  } catch (err) {
+    if (!wasNew) {
+      await Payment.updateOne({ _id: payment._id, status: 'processing' }, { $set: { status: previousStatus } });
+    }
+    throw err;
+  }
+};
+
+const completeFreezeFeePayment = async (payment) => {
+  payment.status = 'completed';
+  await payment.save();
+  
+  await Freeze.updateOne({ _id: payment.freeze }, { $set: { feePaid: true } });
+  
+  await sendPaymentReceipt(payment);
+  
+  return payment;
+};
+
+// Settle a captured payment according to what it paid for, then invoice it.
+// Returns null if the payment was already being settled elsewhere.
+const completePayment = async (payment, options) => {
+  const previousStatus = await claimPayment(payment);
+  
+  if (!previousStatus) {
+    return null;
+  }
+  
+  payment.paidAt = new Date();
+  
+  await settleClaimed(payment, previousStatus, async () => {
+    if (payment.paymentType === 'freeze_fee') {
+      await completeFreezeFeePayment(payment);
+    } else if (payment.ptPackage) {
+      await completePTPackagePayment(payment);
+    } else if (payment.classSession) {
+      await completeClassPayment(payment);
+    } else if (payment.term) {
+      await completeInstalmentPayment(payment);
+    } else {
+      await completeMembershipPayment(payment, options);
+    }
+  });
+  
+  // The payment is settled by now; a missing invoice is issued on first download instead
+  try {
+    await issueInvoice(payment);
+  } catch (err) {
+    console.error(`Could not invoice payment ${payment._id}:`, err);
+  }
+  
+  return payment;
+};
+
+// Mark a payment failed and let the member know.
+// Returns null if the payment was already being settled elsewhere.
+const failPayment = async (payment) => {
+  const previousStatus = await claimPayment(payment);
+  
+  if (!previousStatus) {
+    return null;
+  }
+  
+  await settleClaimed(payment, previousStatus, async () => {
+    payment.status = 'failed';
+    await payment.save();
+  });
+  
+  await sendPaymentFailed(payment);
+  
+  return payment;
+};
+
+module.exports = { OPEN_STATUSES, completePayment, failPayment };
+
+// File: utils/invoice.js
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const PTPackage = require('../models/PTPackage');
+const ClassSession = require('../models/ClassSession');
+const Payment = require('../models/Payment');
+const { BUSINESS, SAC_CODE, DEFAULT_GST_RATE, INVOICE_PREFIX, CREDIT_NOTE_PREFIX } = require('../config/invoice');
+
+// Invoice dates and financial years follow the gym's local time, like the reports
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const round = value => Math.round(value * 100) / 100;
+
+const formatDate = date => date.toLocaleDateString('en-IN', { timeZone: TIMEZONE });
+
+// Indian financial year, April to March, e.g. "2025-26"
+const getFinancialYear = (date) => {
+  const [calendarYear, month] = date.toLocaleDateString('en-CA', { timeZone: TIMEZONE }).split('-').map(Number);
+  const year = month >= 4 ? calendarYear : calendarYear - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+// Gap-free numbering per document type and financial year
+async function nextNumber(prefix, financialYear) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${prefix}:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${prefix}/${financialYear}/${String(counter.seq).padStart(6, '0')}`;
+}
+
+// Held by a document until its real number is allocated
+const DRAFT_PREFIX = 'DRAFT/';
+
+const DRAFT_WAIT_MS = 100;
+const DRAFT_WAIT_ATTEMPTS = 50;
+// Numbering takes milliseconds; a draft this old was left by a request that died
+const DRAFT_STALE_MS = 3000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const draftNumber = () => `${DRAFT_PREFIX}${new mongoose.Types.ObjectId()}`;
+
+// A draft number is a fresh ObjectId, so it tells when numbering started
+const draftStartedAt = number => new mongoose.Types.ObjectId(number.slice(DRAFT_PREFIX.length)).getTimestamp();
+
+// Give a draft the caller holds its real number
+async function numberDraft(prefix, document) {
+  const number = await nextNumber(prefix, document.financialYear);
+  const result = await Invoice.updateOne({ _id: document._id, number: document.number }, { $set: { number } });
+  
+  if (result.matchedCount === 0) {
+    throw new Error(`Draft ${document.number} was taken over before it was numbered`);
+  }
+  
+  document.number = number;
+  return document;
+}
+
+// A concurrent request inserted the document first; wait for it to be numbered.
+// If that request died before numbering it, take the draft over and number it here.
+async function waitForNumber(prefix, filter) {
+  for (let attempt = 0; attempt < DRAFT_WAIT_ATTEMPTS; attempt++) {
+    const document = await Invoice.findOne(filter);
+    if (document && !document.number.startsWith(DRAFT_PREFIX)) return document;
+    
+    if (document && Date.now() - draftStartedAt(document.number) > DRAFT_STALE_MS) {
+      const claimed = await Invoice.findOneAndUpdate(
+        { _id: document._id, number: document.number },
+        { $set: { number: draftNumber() } },
+        { new: true }
+      );
+      if (claimed) return numberDraft(prefix, claimed);
+    }
+    
+    await wait(DRAFT_WAIT_MS);
+  }
+  
+  throw new Error(`Timed out waiting for ${JSON.stringify(filter)} to be numbered`);
+}
+
+// Insert the document under a draft number, then number it. The unique indexes on
+// paymentId (invoices) and refundId (credit notes) let only one racing request
+// insert, so only that one takes a number from the counter.
+async function createNumbered(prefix, filter, fields) {
+  let document;
+  try {
+    document = await Invoice.create({ ...fields, number: draftNumber() });
+  } catch (err) {
+    if (err.code === 11000) {
+      return waitForNumber(prefix, filter);
+    }
+    throw err;
+  }
+  
+  return numberDraft(prefix, document);
+}
+
+// Split a GST-inclusive amount into taxable value and CGST+SGST (same state) or IGST
+const calculateTax = (total, gstRate, customerStateCode) => {
+  const taxableAmount = round(total / (1 + gstRate / 100));
+  const tax = round(total - taxableAmount);
+  const interState = Boolean(customerStateCode) && customerStateCode !== BUSINESS.stateCode;
+  
+  if (interState) {
+    return { taxableAmount, cgst: 0, sgst: 0, igst: tax };
+  }
+  
+  const cgst = round(tax / 2);
+  return { taxableAmount, cgst, sgst: round(tax - cgst), igst: 0 };
+};
+
+async function describePayment(payment) {
+  if (payment.paymentType === 'freeze_fee') {
+    return { description: 'Membership freeze fee', gstRate: DEFAULT_GST_RATE };
+  }
+  
+  if (payment.ptPackage) {
+    const ptPackage = await PTPackage.findById(payment.ptPackage);
+    return ptPackage
+      ? { description: `Personal training: ${ptPackage.name} (${ptPackage.sessions} sessions)`, gstRate: ptPackage.gstRate }
+      : { description: 'Personal training', gstRate: DEFAULT_GST_RATE };
+  }
+  
+  if (payment.classSession) {
+    const session = await ClassSession.findById(payment.classSession).populate('template', 'name gstRate');
+    return session && session.template
+      ? { description: `Drop-in class: ${session.template.name} (${formatDate(session.startTime)})`, gstRate: session.template.gstRate }
+      : { description: 'Drop-in class', gstRate: DEFAULT_GST_RATE };
+  }
+  
+  const plan = payment.membership ? await Plan.findById(payment.membership) : null;
+  
+  if (!plan) {
+    return { description: 'Gym membership', gstRate: DEFAULT_GST_RATE };
+  }
+  
+  const period = payment.startDate && payment.endDate
+    ? ` (${formatDate(payment.startDate)} to ${formatDate(payment.endDate)})`
+    : '';
+  return { description: `${plan.name} membership${period}`, gstRate: plan.gstRate };
+}
+
+// Issue the tax invoice for a completed payment (once), dated when it was paid.
+// Payments from before invoicing existed are invoiced late but keep their own date.
+const issueInvoice = async (payment) => {
+  const filter = { paymentId: payment._id, type: 'invoice' };
+  const existing = await Invoice.findOne(filter);
+  if (existing && !existing.number.startsWith(DRAFT_PREFIX)) {
+    return existing;
+  }
+  
+  // A draft may have been left by a request that died, before the payment got its number
+  if (existing) {
+    const invoice = await waitForNumber(INVOICE_PREFIX, filter);
+    await Payment.updateOne({ _id: payment._id }, { $set: { invoiceNumber: invoice.number } });
+    return invoice;
+  }
+  
+  const user = await User.findById(payment.userId).select('name email phone gstin billingStateCode');
+  const { description, gstRate } = await describePayment(payment);
+  const issuedAt = payment.paidAt || payment.createdAt || new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  
+  const invoice = await createNumbered(INVOICE_PREFIX, filter, {
+    type: 'invoice',
+    financialYear,
+    paymentId: payment._id,
+    userId: payment.userId,
+    customer: {
+      name: user ? user.name : '',
+      email: user ? user.email : '',
+      phone: user ? user.phone : '',
+      gstin: user ? user.gstin : undefined,
+      stateCode: user ? user.billingStateCode : undefined
+    },
+    description,
+    sac: SAC_CODE,
+    gstRate,
+    total: payment.amount,
+    ...calculateTax(payment.amount, gstRate, user && user.billingStateCode),
+    issuedAt
+  });
+  
+  await Payment.updateOne({ _id: payment._id }, { $set: { invoiceNumber: invoice.number } });
+  
+  return invoice;
+};
+
+// Issue a credit note against a payment's invoice for a refund (once per refund)
+const issueCreditNote = async (payment, amount, refundId) => {
+  const filter = { refundId };
+  const existing = await Invoice.findOne(filter);
+  if (existing) {
+    return existing.number.startsWith(DRAFT_PREFIX) ? waitForNumber(CREDIT_NOTE_PREFIX, filter) : existing;
+  }
+  
+  const original = await issueInvoice(payment);
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  
+  return createNumbered(CREDIT_NOTE_PREFIX, filter, {
+    type: 'credit_note',
+    financialYear,
+    paymentId: payment._id,
+    userId: payment.userId,
+    originalInvoice: original._id,
+    refundId,
+    customer: original.customer,
+    description: `Refund against invoice ${original.number}`,
+    sac: original.sac,
+    gstRate: original.gstRate,
+    total: amount,
+    ...calculateTax(amount, original.gstRate, original.customer.stateCode),
+    issuedAt
+  });
+};
+
+const money = value => `Rs. ${value.toFixed(2)}`;
+
+// Write an invoice or credit note as a PDF to a writable stream
+const renderInvoicePdf = async (invoice, stream) => {
+  const original = invoice.originalInvoice ? await Invoice.findById(invoice.originalInvoice) : null;
+  
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+  
+  doc.fontSize(18).text(invoice.type === 'credit_note' ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'right' });
+  doc.fontSize(14).text(BUSINESS.name, 50, 50);
+  doc.fontSize(9)
+    .text(BUSINESS.address)
+    .text(`GSTIN: ${BUSINESS.gstin}`)
+    .text(`State code: ${BUSINESS.stateCode}`);
+  
+  doc.moveDown(2).fontSize(10);
+  doc.text(`Number: ${invoice.number}`);
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`);
+  if (original) {
+    doc.text(`Against invoice: ${original.number} dated ${formatDate(original.issuedAt)}`);
+  }
+  
+  doc.moveDown();
+  doc.text('Bill to:', { underline: true });
+  doc.text(invoice.customer.name || '');
+  if (invoice.customer.email) doc.text(invoice.customer.email);
+  if (invoice.customer.phone) doc.text(invoice.customer.phone);
+  if (invoice.customer.gstin) doc.text(`GSTIN: ${invoice.customer.gstin}`);
+  
+  doc.moveDown(2);
+  const top = doc.y;
+  doc.font('Helvetica-Bold')
+    .text('Description', 50, top)
+    .text('SAC', 330, top)
+    .text('Amount', 430, top, { width: 110, align: 'right' });
+  doc.font('Helvetica')
+    .text(invoice.description, 50, top + 20, { width: 270 })
+    .text(invoice.sac || '', 330, top + 20)
+    .text(money(invoice.taxableAmount), 430, top + 20, { width: 110, align: 'right' });
+  
+  const rows = [['Taxable value', invoice.taxableAmount]];
+  if (invoice.igst) {
+    rows.push([`IGST @ ${invoice.gstRate}%`, invoice.igst]);
+  } else {
+    rows.push([`CGST @ ${invoice.gstRate / 2}%`, invoice.cgst]);
+    rows.push([`SGST @ ${invoice.gstRate / 2}%`, invoice.sgst]);
+  }
+  rows.push(['Total', invoice.total]);
+  
+  let y = Math.max(doc.y, top + 40) + 20;
+  rows.forEach(([label, value], index) => {
+    doc.font(index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 300, y)
+      .text(money(value), 430, y, { width: 110, align: 'right' });
+    y += 18;
+  });
+  
+  doc.font('Helvetica').fontSize(8).text('This is a computer generated document and does not need a signature.', 50, 760, { align: 'center' });
+  
+  doc.end();
+};
+
+module.exports = { getFinancialYear, calculateTax, issueInvoice, issueCreditNote, renderInvoicePdf };
+
+// File: utils/refunds.js
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const MembershipTerm = require('../models/MembershipTerm');
+const { getGateway } = require('../gateways');
+const { issueCreditNote } = require('./invoice');
+
+// Book a refund against its payment and issue the credit note (once).
+// A refund that no longer fits in what's left of the payment is marked failed.
+const applyRefund = async (refund) => {
+  if (refund.status === 'processed') return refund;
+  
+  // The webhook and the request that raised a refund can both get here, so a saved refund is claimed first
+  if (!refund.isNew) {
+    const claimed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: { $ne: 'processed' } },
+      { $set: { status: 'processed' } }
+    );
+    
+    if (!claimed) return Refund.findById(refund._id);
+  }
+  
+  // Add to the refunded amount in one conditional update, so racing refunds
+  // can't lose an update or refund more than was paid
+  const refundedAmount = { $round: [{ $add: ['$refundedAmount', refund.amount] }, 2] };
+  const payment = await Payment.findOneAndUpdate(
+    { _id: refund.paymentId, $expr: { $lte: [refundedAmount, '$amount'] } },
+    [{ $set: {
+      refundedAmount,
+      status: { $cond: [{ $gte: [refundedAmount, '$amount'] }, 'refunded', 'partially_refunded'] }
+    } }],
+    { new: true }
+  );
+  
+  if (!payment) {
+    refund.status = 'failed';
+    await refund.save();
+    return refund;
+  }
+  
+  refund.status = 'processed';
+  refund.processedAt = new Date();
+  await refund.save();
+  
+  // What was refunded on a membership is owed again
+  if (payment.term) {
+    await MembershipTerm.updateOne({ _id: payment.term }, { $inc: { amountPaid: -refund.amount } });
+  }
+  
+  await issueCreditNote(payment, refund.amount, refund.gatewayRefundId || refund._id.toString());
+  
+  return refund;
+};
+
+// Refund a payment: online payments go back through their gateway (and stay pending until
+// it confirms), offline ones are paid out at the desk. Throws if the gateway rejects it.
+const refundPayment = async (payment, amount, { reason, createdBy } = {}) => {
+  const refund = new Refund({
+    paymentId: payment._id,
+    userId: payment.userId,
+    amount,
+    method: payment.channel === 'offline' ? 'offline' : 'gateway',
+    reason,
+    createdBy
+  });
+  
+  if (refund.method === 'gateway') {
+    let gatewayRefund;
+    try {
+      gatewayRefund = await getGateway(payment.gateway).refund(payment.razorpayPaymentId, amount, { reason });
+    } catch (err) {
+      refund.status = 'failed';
+      await refund.save();
+      throw err;
+    }
+    
+    refund.gatewayRefundId = gatewayRefund.id;
+    
+    if (gatewayRefund.status !== 'processed') {
+      // The refund.processed webhook finishes it
+      await refund.save();
+      return refund;
+    }
+  }
+  
+  return applyRefund(refund);
+};
+
+module.exports = { applyRefund, refundPayment };
+// File: utils/permissions.js
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+const PERMISSIONS = {
+  'members.read': 'View all members at your branches',
+  'members.read_assigned': 'View members assigned to you as their trainer',
+  'members.create': 'Add members',
+  'members.update': 'Edit members and change their status',
+  'members.override_dates': 'Set membership dates that differ from the plan\'s duration',
+  'members.delete': 'Archive and restore members',
+  'members.erase': 'Permanently anonymise a member\'s personal data',
+  'payments.read': 'View payments, invoices and member ledgers',
+  'payments.collect': 'Record cash and other offline payments',
+  'payments.refund': 'Refund payments',
+  'plans.manage': 'Create, edit and retire plans',
+  'reports.read': 'View revenue and membership reports',
+  'attendance.check_in': 'Check members in and out',
+  'freezes.manage': 'Request, approve and reject membership freezes for members',
+  'trainers.manage': 'Manage trainer profiles and PT packages, and book or cancel PT sessions for members',
+  'training.sessions': 'See your own PT sessions and mark them completed or missed',
+  'classes.manage': 'Manage the class timetable, cancel classes and book members into them',
+  'classes.teach': 'See rosters and mark attendance for classes you teach',
+  'workouts.manage': 'Build workout programs and the exercise library, and assign programs to members you can see',
+  'workouts.manage_all': 'Edit workout programs written by other staff',
+  'assessments.manage': 'Record and correct fitness assessments for members you can see',
+  'notifications.manage': 'Edit notification templates and view notification logs',
+  'roles.manage': 'Manage roles and assign them to users',
+  'audit.read': 'View the audit log of staff changes',
+  'branches.manage': 'Add and edit branches and choose which branches staff work at',
+  'branches.all': 'Work across every branch and see consolidated reports'
+};
+
+// Only super admins can grant these; everyone else is kept to their own branches
+const ALL_BRANCH_PERMISSIONS = ['branches.manage', 'branches.all'];
+
+// These always have their default permissions so nobody can lock themselves out
+const FIXED_ROLES = ['super_admin', 'admin'];
+
+// Used until an admin saves their own version of a role
+const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    description: 'Full access to every branch',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  {
+    name: 'admin',
+    description: 'Full access to the branches they work at',
+    permissions: Object.keys(PERMISSIONS).filter(p => !ALL_BRANCH_PERMISSIONS.includes(p))
+  },
+  {
+    name: 'front_desk',
+    description: 'Checks members in and takes payments at the desk',
+    permissions: ['members.read', 'members.create', 'payments.collect', 'attendance.check_in']
+  },
+  {
+    name: 'trainer',
+    description: 'Sees their assigned clients, runs their PT sessions, teaches classes, writes workout programs and runs assessments',
+    permissions: ['members.read_assigned', 'training.sessions', 'classes.teach', 'workouts.manage', 'assessments.manage']
+  },
+  {
+    name: 'member',
+    description: 'Gym member; can only see their own records',
+    permissions: []
+  }
+];
+
+const getRolePermissions = async (name) => {
+  const custom = !FIXED_ROLES.includes(name) && await Role.findOne({ name });
+  
+  if (custom) {
+    return custom.permissions;
+  }
+  
+  const role = DEFAULT_ROLES.find(r => r.name === name);
+  return role ? role.permissions : [];
+};
+
+// Looked up once per request
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getRolePermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+const hasPermission = async (req, permission) => (await loadPermissions(req)).includes(permission);
+
+// Branch ids (as strings) a staff user works at, or null if they can see every branch.
+// Looked up once per request.
+const loadBranchScope = async (req) => {
+  if (req.branchScope === undefined) {
+    if (await hasPermission(req, 'branches.all')) {
+      req.branchScope = null;
+    } else {
+      const user = await User.findById(req.user.id).select('branches');
+      req.branchScope = user ? user.branches.map(String) : [];
+    }
+  }
+  return req.branchScope;
+};
+
+const inBranchScope = async (req, branchId) => {
+  const scope = await loadBranchScope(req);
+  return !scope || (Boolean(branchId) && scope.includes(String(branchId)));
+};
+
+// Query filter for records at the user's branches, narrowed to ?branch when given.
+// A branch outside the user's scope matches nothing. Values are ObjectIds so the
+// filter also works in aggregation pipelines.
+const branchFilter = async (req, field = 'branch') => {
+  const scope = await loadBranchScope(req);
+  const requested = req.query.branch;
+  
+  if (requested) {
+    const allowed = mongoose.isValidObjectId(requested) && (!scope || scope.includes(String(requested)));
+    return { [field]: allowed ? new mongoose.Types.ObjectId(requested) : { $in: [] } };
+  }
+  
+  return scope ? { [field]: { $in: scope.map(id => new mongoose.Types.ObjectId(id)) } } : {};
+};
+
+// Whether a member's home branch is one the staff user works at
+const memberInScope = async (req, memberId) => {
+  const scope = await loadBranchScope(req);
+  return !scope || Boolean(await User.exists({ _id: memberId, branch: { $in: scope } }));
+};
+
+// The user themselves, or staff with the given permission at the user's branch
+const canActFor = async (req, userId, permission) =>
+  req.user.id === String(userId) || (await hasPermission(req, permission) && await memberInScope(req, userId));
+
+// The member themselves, staff who can see members at the member's branch, or the member's trainer
+const canViewMember = async (req, memberId) => {
+  if (req.user.id === String(memberId)) return true;
+  
+  const permissions = await loadPermissions(req);
+  
+  if (permissions.includes('members.read') && await memberInScope(req, memberId)) return true;
+  
+  if (permissions.includes('members.read_assigned')) {
+    return Boolean(await User.exists({ _id: memberId, assignedTrainer: req.user.id }));
+  }
+  
+  return false;
+};
+
+// Built-in roles with any saved overrides, then custom roles
+const listRoles = async () => {
+  const saved = await Role.find().sort({ name: 1 });
+  
+  const builtIn = DEFAULT_ROLES.map(role => {
+    const custom = !FIXED_ROLES.includes(role.name) && saved.find(r => r.name === role.name);
+    return {
+      name: role.name,
+      description: custom ? custom.description : role.description,
+      permissions: custom ? custom.permissions : role.permissions,
+      builtIn: true
+    };
+  });
+  
+  const custom = saved
+    .filter(r => !DEFAULT_ROLES.some(d => d.name === r.name))
+    .map(r => ({ name: r.name, description: r.description, permissions: r.permissions, builtIn: false }));
+  
+  return [...builtIn, ...custom];
+};
+
+const roleExists = async name =>
+  DEFAULT_ROLES.some(r => r.name === name) || Boolean(await Role.exists({ name }));
+
+module.exports = {
+  PERMISSIONS,
+  ALL_BRANCH_PERMISSIONS,
+  FIXED_ROLES,
+  DEFAULT_ROLES,
+  getRolePermissions,
+  loadPermissions,
+  hasPermission,
+  loadBranchScope,
+  inBranchScope,
+  branchFilter,
+  memberInScope,
+  canActFor,
+  canViewMember,
+  listRoles,
+  roleExists
+};
+
+// File: utils/audit.js
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'resetPasswordExpires', '__v'];
+
+const toPlain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc) || {};
+
+// Fields that differ between two versions of a record
+const diff = (before, after) => {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  
+  return [...fields]
+    .filter(field => !REDACTED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map(field => ({ field, before: a[field], after: b[field] }));
+};
+
+// Record who changed what. Pass `before` as null for creates and `after` as null for deletes.
+// The change itself has already happened, so a logging failure is reported but not thrown.
+const recordAudit = async (req, { action, targetType, targetId, before, after, note }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user.id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: String(targetId),
+      changes: diff(before, after),
+      note,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (err) {
+    console.error('Failed to write audit log:', err);
+  }
+};
+
+module.exports = { recordAudit, diff };
+
+// File: utils/archive.js
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const NotificationLog = require('../models/NotificationLog');
+const AuditLog = require('../models/AuditLog');
+const Assessment = require('../models/Assessment');
+const WorkoutAssignment = require('../models/WorkoutAssignment');
+const WorkoutLog = require('../models/WorkoutLog');
+
+// Cleared by an erase; audit entries for these fields are redacted too
+const PERSONAL_FIELDS = ['name', 'email', 'phone', 'gstin', 'billingStateCode'];
+
+// Hide a member from day-to-day lists and stop them logging in. Payments stay linked to them.
+const archiveMember = async (member, archivedBy) => {
+  member.archivedAt = new Date();
+  member.archivedBy = archivedBy;
+  await member.save({ validateModifiedOnly: true });
+  
+  await RefreshToken.updateMany({ userId: member._id, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const restoreMember = async (member) => {
+  member.archivedAt = undefined;
+  member.archivedBy = undefined;
+  await member.save({ validateModifiedOnly: true });
+};
+
+// Anonymise a member's personal data (and archive them) and delete their body measurements,
+// workout programs and workout logs.
+// Payments, invoices and credit notes are kept as issued, since tax records have to be retained.
+const eraseMember = async (member, erasedBy) => {
+  if (!member.archivedAt) {
+    member.archivedAt = new Date();
+    member.archivedBy = erasedBy;
+  }
+  
+  member.name = 'Erased member';
+  member.email = `erased-${member._id}@erased.invalid`;
+  member.phone = 'erased';
+  member.gstin = undefined;
+  member.billingStateCode = undefined;
+  member.password = crypto.randomBytes(32).toString('hex');
+  member.resetPasswordToken = undefined;
+  member.resetPasswordExpires = undefined;
+  member.erasedAt = new Date();
+  await member.save({ validateModifiedOnly: true });
+  
+  await Promise.all([
+    RefreshToken.deleteMany({ userId: member._id }),
+    Assessment.deleteMany({ userId: member._id }),
+    WorkoutAssignment.deleteMany({ userId: member._id }),
+    WorkoutLog.deleteMany({ userId: member._id }),
+    NotificationLog.updateMany({ userId: member._id }, { $unset: { to: '' } }),
+    AuditLog.updateMany(
+      { targetType: 'member', targetId: String(member._id) },
+      { $set: { 'changes.$[personal].before': null, 'changes.$[personal].after': null } },
+      { arrayFilters: [{ 'personal.field': { $in: PERSONAL_FIELDS } }] }
+    )
+  ]);
+};
+
+module.exports = { archiveMember, restoreMember, eraseMember, PERSONAL_FIELDS };
+
+// File: utils/listQuery.js
+// Helpers for list endpoints that take ?page, ?limit, ?sort and free-text search
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// "endDate" sorts ascending, "-endDate" descending. Unknown fields fall back to the default.
+// _id breaks ties so rows don't repeat or go missing between pages.
+const parseSort = (sort, allowed, fallback) => {
+  const value = typeof sort === 'string' && allowed.includes(sort.replace(/^-/, '')) ? sort : fallback;
+  const direction = value.startsWith('-') ? -1 : 1;
+  
+  return { [value.replace(/^-/, '')]: direction, _id: direction };
+};
+
+// Dates without a time are whole days in the gym's local time, like the reports
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// The named query values that are plain, non-blank strings, trimmed. Anything else
+// (?q=a&q=b arrives as an array, ?status[$ne]=x as an object) is left out, so it
+// can't reach a Mongo filter.
+const stringParams = (query, names) => names.reduce((params, name) => {
+  const value = query[name];
+  if (typeof value === 'string' && value.trim()) params[name] = value.trim();
+  return params;
+}, {});
+
+// Case-insensitive "contains" match for text typed by a user
+const searchPattern = text => new RegExp(String(text).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+// The YYYY-MM-DD day a moment falls on in the gym's time zone
+const localDate = date => new Date(date).toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+// Midnight at the start of a YYYY-MM-DD day in the gym's time zone
+const startOfLocalDay = (day) => {
+  const utcMidnight = new Date(`${day}T00:00:00Z`);
+  const offset = new Date(utcMidnight.toLocaleString('en-US', { timeZone: TIMEZONE })) -
+    new Date(utcMidnight.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return new Date(utcMidnight.getTime() - offset);
+};
+
+// A YYYY-MM-DD date is the start of that day in the gym's time zone (or its last
+// moment, with endOfDay); anything else is read as a full timestamp
+const parseDate = (value, { endOfDay = false } = {}) => {
+  if (!DATE_ONLY.test(value)) return new Date(value);
+  
+  const start = startOfLocalDay(value);
+  return endOfDay ? new Date(start.getTime() + DAY_MS - 1) : start;
+};
+
+// A bare date as `to` takes in the whole of that day
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = parseDate(from);
+  if (to) range.$lte = parseDate(to, { endOfDay: true });
+  return range;
+};
+
+const pageResult = (key, items, total, { page, limit }) => ({
+  [key]: items,
+  total,
+  page,
+  pages: Math.ceil(total / limit)
+});
+
+module.exports = {
+  parsePagination,
+  parseSort,
+  stringParams,
+  searchPattern,
+  localDate,
+  startOfLocalDay,
+  parseDate,
+  dateRange,
+  pageResult
+};
+
+// File: utils/spreadsheet.js
+const XLSX = require('xlsx');
+
+// Same zone as the reports, so exported dates match what staff see
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const parseFormat = format => (format === 'xlsx' ? 'xlsx' : 'csv');
+
+// Exports are built in memory, so larger ones have to be narrowed with filters
+const MAX_EXPORT_ROWS = parseInt(process.env.MAX_EXPORT_ROWS, 10) || 20000;
+
+// Rows of the first sheet as objects keyed by header. CSV values are kept as text
+// so phone numbers don't lose leading zeros; XLSX date cells come back as Dates.
+const readRows = (file) => {
+  const isCsv = /\.csv$/i.test(file.originalname);
+  const workbook = XLSX.read(file.buffer, { type: 'buffer', cellDates: true, raw: isCsv });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '' }) : [];
+};
+
+const formatDate = date => (date ? new Date(date).toLocaleDateString('en-CA', { timeZone: TIMEZONE }) : '');
+
+// Spreadsheet apps run cells starting with these as formulas, even after leading
+// spaces, and tab or carriage return can start one too (OWASP CSV injection)
+const escapeFormula = value =>
+  (typeof value === 'string' && /^(\s*[=+\-@]|[\t\r])/.test(value) ? `'${value}` : value);
+
+// Send rows (objects keyed by column title) as a CSV or XLSX download.
+// Both formats are escaped, since an XLSX is often re-saved as CSV.
+const sendSpreadsheet = (res, rows, { name, format }) => {
+  const safeRows = rows.map(row =>
+    Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeFormula(value)])));
+  
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(safeRows), name);
+  
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${formatDate(new Date())}.${format}"`);
+  res.send(XLSX.write(workbook, { type: 'buffer', bookType: format }));
+};
+
+module.exports = { MAX_EXPORT_ROWS, parseFormat, readRows, formatDate, sendSpreadsheet };
+
+// File: utils/memberImport.js
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Payment = require('../models/Payment');
+const MembershipTerm = require('../models/MembershipTerm');
+const { generateTemporaryPassword } = require('./tokens');
+const { calculateEndDate, normalizePhone, validateMember } = require('../src/shared/validation');
+const { OFFLINE_METHODS } = require('../config/payments');
+const { plansSoldAt } = require('./branches');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Spreadsheet headers, lower-cased with spaces and punctuation removed
+const COLUMNS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  plan: 'plan',
+  membership: 'plan',
+  startdate: 'startDate',
+  enddate: 'endDate',
+  status: 'status',
+  amountpaid: 'amountPaid',
+  paymentdate: 'paymentDate',
+  paymentmethod: 'paymentMethod',
+  reference: 'reference'
+};
+
+const toRecord = (row) => {
+  const record = {};
+  
+  Object.entries(row).forEach(([header, value]) => {
+    const field = COLUMNS[String(header).toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (field && value !== '') {
+      record[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  
+  return record;
+};
+
+// undefined when blank, null when it can't be read
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+const validationMessages = err =>
+  (err.errors ? Object.values(err.errors).map(e => e.message) : [err.message]);
+
+// Check every row and, unless it's a dry run, create the members whose rows are valid.
+// Rows are numbered as in the spreadsheet, with the header on row 1. Members join the given
+// branch and plans are looked up among those sold there, the branch's own plans first.
+const importMembers = async (rows, { dryRun = true, createPayments = false, importedBy, branch }) => {
+  const plans = await Plan.find(plansSoldAt(branch)).sort({ branch: -1 });
+  const findPlan = value => plans.find(plan =>
+    plan._id.toString() === String(value) || plan.name.toLowerCase() === String(value).toLowerCase()
+  );
+  
+  const records = rows.map(toRecord);
+  records.forEach(record => {
+    if (record.email) record.email = String(record.email).toLowerCase();
+    if (record.phone) record.phone = normalizePhone(String(record.phone));
+  });
+  
+  const existing = await User.find({
+    $or: [
+      { email: { $in: records.map(r => r.email).filter(Boolean) } },
+      { phone: { $in: records.map(r => r.phone).filter(Boolean) } }
+    ]
+  }).select('email phone');
+  
+  const existingEmails = new Set(existing.map(user => user.email.toLowerCase()));
+  const existingPhones = new Set(existing.map(user => user.phone));
+  const seenEmails = new Set();
+  const seenPhones = new Set();
+  
+  const results = [];
+  
+  for (const [index, record] of records.entries()) {
+    const errors = [];
+    
+    if (record.email) {
+      if (existingEmails.has(record.email)) errors.push('A member with this email already exists');
+      else if (seenEmails.has(record.email)) errors.push('Email appears earlier in the file');
+      seenEmails.add(record.email);
+    }
+    
+    if (record.phone) {
+      if (existingPhones.has(record.phone)) errors.push('A member with this phone already exists');
+      else if (seenPhones.has(record.phone)) errors.push('Phone appears earlier in the file');
+      seenPhones.add(record.phone);
+    }
+    
+    const plan = record.plan !== undefined ? findPlan(record.plan) : undefined;
+    if (record.plan !== undefined && !plan) errors.push(`Unknown plan "${record.plan}"`);
+    
+    const startDate = parseDate(record.startDate);
+    let endDate = parseDate(record.endDate);
+    if (endDate === undefined && plan && startDate) endDate = calculateEndDate(plan, startDate);
+    
+    const status = record.status ? String(record.status).toLowerCase() : (endDate && endDate < new Date() ? 'inactive' : 'active');
+    
+    // Spreadsheet dates are kept as given; freezes and deals mean they often differ from the plan
+    const fieldErrors = validateMember(
+      { ...record, status, membershipType: plan ? plan._id : record.plan, startDate, endDate },
+      { allowDateOverride: true, requireMembership: status !== 'pending' }
+    );
+    errors.push(...Object.values(fieldErrors));
+    
+    // Nobody knows this password; imported members set their own with "forgot password"
+    const member = new User({
+      name: record.name,
+      email: record.email,
+      phone: record.phone,
+      password: generateTemporaryPassword(),
+      mustChangePassword: true,
+      role: 'member',
+      branch,
+      membershipType: plan && plan._id,
+      startDate: startDate || undefined,
+      endDate: endDate || undefined,
+      status
+    });
+    
+    // Anything the shared rules didn't already report
+    if (!Object.keys(fieldErrors).length) {
+      try {
+        await member.validate();
+      } catch (err) {
+        errors.push(...validationMessages(err));
+      }
+    }
+    
+    let payment;
+    
+    if (createPayments && record.amountPaid !== undefined) {
+      const method = String(record.paymentMethod || 'cash').toLowerCase();
+      const paidAt = parseDate(record.paymentDate);
+      
+      if (!OFFLINE_METHODS.includes(method)) errors.push(`Payment method must be one of ${OFFLINE_METHODS.join(', ')}`);
+      if (paidAt === null) errors.push('Payment date is not a valid date (use YYYY-MM-DD)');
+      
+      payment = new Payment({
+        userId: member._id,
+        amount: Number(record.amountPaid),
+        paymentType: 'membership',
+        paymentMethod: method,
+        channel: 'offline',
+        status: 'completed',
+        branch,
+        membership: plan && plan._id,
+        startDate: member.startDate,
+        endDate: member.endDate,
+        reference: record.reference,
+        note: 'Imported',
+        collectedBy: importedBy,
+        createdAt: paidAt || member.startDate
+      });
+      
+      if (!(payment.amount > 0)) errors.push('Amount paid must be a positive number');
+      if (!plan) errors.push('A plan is needed to record a payment');
+      
+      try {
+        await payment.validate();
+      } catch (err) {
+        errors.push(...validationMessages(err));
+      }
+    }
+    
+    const result = { row: index + 2, email: record.email, name: record.name, errors };
+    
+    if (errors.length) {
+      result.status = 'invalid';
+    } else if (dryRun) {
+      result.status = 'valid';
+    } else {
+      let term;
+      
+      try {
+        await member.save();
+        
+        // Historical payments get a fully paid term so the ledger balances; no invoice is issued
+        if (payment) {
+          term = await MembershipTerm.create({
+            userId: member._id,
+            plan: plan._id,
+            startDate: member.startDate,
+            endDate: member.endDate,
+            totalAmount: payment.amount,
+            amountPaid: payment.amount
+          });
+          payment.term = term._id;
+          await payment.save();
+        }
+        
+        result.status = 'created';
+      } catch (err) {
+        // e.g. someone added a member with this email meanwhile. Undo the row's writes
+        // so it can be fixed and imported again, and carry on with the rest.
+        await Promise.all([
+          User.deleteOne({ _id: member._id }),
+          term && MembershipTerm.deleteOne({ _id: term._id })
+        ]);
+        
+        if (err.code === 11000) {
+          errors.push('A member with this email already exists');
+        } else {
+          if (err.name !== 'ValidationError') console.error(err);
+          errors.push(...validationMessages(err));
+        }
+        result.status = 'invalid';
+      }
+    }
+    
+    results.push(result);
+  }
+  
+  const count = status => results.filter(r => r.status === status).length;
+  
+  return {
+    dryRun,
+    total: results.length,
+    valid: count('valid') + count('created'),
+    invalid: count('invalid'),
+    created: count('created'),
+    rows: results
+  };
+};
+
+module.exports = { importMembers, MAX_IMPORT_ROWS };
+
+// File: utils/training.js
+const Trainer = require('../models/Trainer');
+const PTPackage = require('../models/PTPackage');
+const PTPurchase = require('../models/PTPurchase');
+const PTSession = require('../models/PTSession');
+const { sendPaymentReceipt } = require('../notifications/payments');
+const { DAY_MS } = require('./freeze');
+const { localDate, startOfLocalDay } = require('./listQuery');
+const { PT_CANCEL_NOTICE_HOURS } = require('../config/training');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Midnight at the start of the gym-local day a moment falls on
+const startOfGymDay = date => startOfLocalDay(localDate(date));
+
+// 0 (Sunday) to 6 for the gym-local day a moment falls on
+const gymDayOfWeek = date => new Date(`${localDate(date)}T00:00:00Z`).getUTCDay();
+
+// "07:30" on the given day, in gym-local time
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(startOfGymDay(day).getTime() + (hours * 60 + minutes) * MINUTE_MS);
+};
+
+// Open slots in a trainer's weekly hours between two dates, minus booked sessions
+const findFreeSlots = async (trainer, from, to) => {
+  const booked = await PTSession.find({
+    trainer: trainer.user,
+    status: 'booked',
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  }).select('startTime endTime');
+  
+  const now = new Date();
+  const length = trainer.sessionMinutes * MINUTE_MS;
+  const slots = [];
+  
+  for (let day = startOfGymDay(from); day < to; day = new Date(day.getTime() + DAY_MS)) {
+    const hours = trainer.availability.filter(window => window.dayOfWeek === gymDayOfWeek(day));
+    
+    hours.forEach(window => {
+      const windowEnd = atTime(day, window.endTime);
+      
+      let start = atTime(day, window.startTime);
+      
+      while (start.getTime() + length <= windowEnd.getTime()) {
+        const end = new Date(start.getTime() + length);
+        const taken = booked.some(session => session.startTime < end && session.endTime > start);
+        
+        if (start >= from && start > now && end <= to && !taken) {
+          slots.push({ startTime: start, endTime: end });
+        }
+        start = end;
+      }
+    });
+  }
+  
+  return slots.sort((a, b) => a.startTime - b.startTime);
+};
+
+// Give the member the sessions a completed PT package payment bought (once)
+const completePTPackagePayment = async (payment) => {
+  const ptPackage = await PTPackage.findById(payment.ptPackage);
+  
+  if (!ptPackage) {
+    throw new Error(`PT package ${payment.ptPackage} not found for payment ${payment._id}`);
+  }
+  
+  payment.status = 'completed';
+  await payment.save();
+  
+  await PTPurchase.updateOne(
+    { payment: payment._id },
+    { $setOnInsert: {
+      userId: payment.userId,
+      package: ptPackage._id,
+      trainer: ptPackage.trainer,
+      sessionsTotal: ptPackage.sessions,
+      expiresAt: new Date(Date.now() + ptPackage.validityDays * DAY_MS)
+    } },
+    { upsert: true }
+  );
+  
+  await sendPaymentReceipt(payment);
+  
+  return payment;
+};
+
+// Take one session from the purchase that expires first and covers this trainer and time
+const useSessionCredit = async (userId, trainerId, startTime) => {
+  const purchases = await PTPurchase.find({
+    userId,
+    expiresAt: { $gt: startTime },
+    $or: [{ trainer: null }, { trainer: trainerId }]
+  }).sort({ expiresAt: 1 });
+  
+  for (const purchase of purchases) {
+    // Conditional update so two bookings can't spend the same last session
+    const used = await PTPurchase.findOneAndUpdate(
+      { _id: purchase._id, $expr: { $lt: ['$sessionsUsed', '$sessionsTotal'] } },
+      { $inc: { sessionsUsed: 1 } },
+      { new: true }
+    );
+    
+    if (used) return used;
+  }
+  
+  return null;
+};
+
+const returnSessionCredit = purchaseId =>
+  PTPurchase.updateOne({ _id: purchaseId, sessionsUsed: { $gt: 0 } }, { $inc: { sessionsUsed: -1 } });
+
+// Members who cancel late lose the session; cancellations by staff always give it back
+// Returns null if the session was no longer booked, e.g. the member and trainer cancelled at once.
+const cancelSession = async (session, { cancelledBy, byStaff, reason }) => {
+  const late = !byStaff && session.startTime.getTime() - Date.now() < PT_CANCEL_NOTICE_HOURS * HOUR_MS;
+  const changes = {
+    status: late ? 'late_cancelled' : 'cancelled',
+    cancelledBy,
+    cancelledAt: new Date(),
+    cancelReason: reason
+  };
+  
+  // Claimed while still booked, so only one cancel returns the credit
+  const claimed = await PTSession.findOneAndUpdate({ _id: session._id, status: 'booked' }, { $set: changes });
+  
+  if (!claimed) return null;
+  
+  session.set(changes);
+  
+  if (!late) {
+    await returnSessionCredit(session.purchase);
+  }
+  
+  return session;
+};
+
+const findActiveTrainer = userId => Trainer.findOne({ user: userId, isActive: true });
+
+module.exports = {
+  atTime,
+  startOfGymDay,
+  gymDayOfWeek,
+  findFreeSlots,
+  completePTPackagePayment,
+  useSessionCredit,
+  returnSessionCredit,
+  cancelSession,
+  findActiveTrainer
+};
+
+// File: utils/classes.js
+const ClassTemplate = require('../models/ClassTemplate');
+const ClassSession = require('../models/ClassSession');
+const ClassBooking = require('../models/ClassBooking');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { notifyInBackground } = require('../notifications');
+const { sendPaymentReceipt } = require('../notifications/payments');
+const { refundPayment } = require('./refunds');
+const { atTime, startOfGymDay, gymDayOfWeek } = require('./training');
+const { DAY_MS } = require('./freeze');
+const { localDate } = require('./listQuery');
+const { CLASS_SCHEDULE_DAYS, CLASS_CANCEL_NOTICE_HOURS } = require('../config/classes');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Bookings that hold a spot or a place in the queue
+const ACTIVE_BOOKING_STATUSES = ['booked', 'waitlisted'];
+
+const formatClassTime = date => new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+// Whether a session is still one the template would generate
+const matchesTemplate = (session, template) => {
+  const day = localDate(session.startTime);
+  
+  return template.isActive &&
+    template.daysOfWeek.includes(gymDayOfWeek(session.startTime)) &&
+    atTime(session.startTime, template.startTime).getTime() === session.startTime.getTime() &&
+    day >= localDate(template.startsOn) &&
+    !(template.endsOn && day > localDate(template.endsOn));
+};
+
+// Create the template's sessions for the coming CLASS_SCHEDULE_DAYS; existing ones are left alone
+const scheduleTemplate = async (template) => {
+  if (!template.isActive) return 0;
+  
+  const now = new Date();
+  const today = startOfGymDay(now);
+  const until = new Date(today.getTime() + CLASS_SCHEDULE_DAYS * DAY_MS);
+  let created = 0;
+  
+  for (let day = today; day < until; day = new Date(day.getTime() + DAY_MS)) {
+    const startTime = atTime(day, template.startTime);
+    
+    if (startTime > now && matchesTemplate({ startTime }, template)) {
+      const result = await ClassSession.updateOne(
+        { template: template._id, startTime },
+        { $setOnInsert: {
+          endTime: new Date(startTime.getTime() + template.durationMinutes * MINUTE_MS),
+          instructor: template.instructor,
+          room: template.room,
+          capacity: template.capacity
+        } },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      created += result.upsertedCount || 0;
+    }
+  }
+  
+  return created;
+};
+
+// How a member can book a template's classes: included in their plan, paying per class, or not at all
+const classAccess = (template, member) => {
+  const planId = String(member.membershipType?._id || member.membershipType);
+  
+  if (template.includedInPlans.some(plan => String(plan._id || plan) === planId)) {
+    return 'included';
+  }
+  
+  return template.dropInPrice > 0 ? 'drop_in' : 'none';
+};
+
+// Why a member can't book a session right now, or null if they can
+const bookingProblem = (session, member) => {
+  if (!member || member.role !== 'member' || member.archivedAt) {
+    return 'Member not found';
+  }
+  
+  if (member.status !== 'active') {
+    return 'Classes can only be booked during an active membership';
+  }
+  
+  if (session.status !== 'scheduled' || session.startTime <= new Date()) {
+    return 'This class can no longer be booked';
+  }
+  
+  return null;
+};
+
+// Conditional increment so two bookings can't take the last spot
+const takeSpot = sessionId => ClassSession.findOneAndUpdate(
+  { _id: sessionId, status: 'scheduled', startTime: { $gt: new Date() }, $expr: { $lt: ['$bookedCount', '$capacity'] } },
+  { $inc: { bookedCount: 1 } },
+  { new: true }
+);
+
+const releaseSpot = sessionId =>
+  ClassSession.updateOne({ _id: sessionId, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+
+async function notifyMember(userId, type, session, dedupeKey) {
+  const [user, template] = await Promise.all([
+    User.findById(userId).select('name email phone'),
+    ClassTemplate.findById(session.template).select('name')
+  ]);
+  
+  if (user && template) {
+    notifyInBackground(user, type, { className: template.name, classTime: formatClassTime(session.startTime) }, { dedupeKey });
+  }
+}
+
+// Book a member into a session, or onto its waitlist when it's full
+const bookClass = async (session, userId, { payment } = {}) => {
+  const existing = await ClassBooking.findOne({ session: session._id, userId });
+  
+  if (existing && ACTIVE_BOOKING_STATUSES.includes(existing.status)) {
+    return { error: 'You already have a place in this class' };
+  }
+  
+  const spot = await takeSpot(session._id);
+  
+  const set = { status: spot ? 'booked' : 'waitlisted' };
+  const unset = { promotedAt: 1, cancelledAt: 1, cancelReason: 1, attendanceMarkedBy: 1 };
+  if (spot) unset.waitlistedAt = 1; else set.waitlistedAt = new Date();
+  if (payment) set.payment = payment; else unset.payment = 1;
+  
+  try {
+    // A cancelled booking is reused; an active one makes the upsert clash with the unique index
+    const booking = await ClassBooking.findOneAndUpdate(
+      { session: session._id, userId, status: { $nin: ACTIVE_BOOKING_STATUSES } },
+      { $set: set, $unset: unset },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return { booking };
+  } catch (err) {
+    if (spot) await releaseSpot(session._id);
+    
+    if (err.code === 11000) {
+      return { error: 'You already have a place in this class' };
+    }
+    throw err;
+  }
+};
+
+// Fill free spots from the waitlist, first come first served
+const promoteFromWaitlist = async (sessionId) => {
+  const waitlist = await ClassBooking.find({ session: sessionId, status: 'waitlisted' }).sort({ waitlistedAt: 1 });
+  const promoted = [];
+  
+  for (const next of waitlist) {
+    const session = await takeSpot(sessionId);
+    if (!session) break;
+    
+    const booking = await ClassBooking.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted' },
+      { $set: { status: 'booked', promotedAt: new Date() } },
+      { new: true }
+    );
+    
+    // They left the waitlist in the meantime
+    if (!booking) {
+      await releaseSpot(sessionId);
+      continue;
+    }
+    
+    promoted.push(booking);
+    await notifyMember(booking.userId, 'class_waitlist_promoted', session, `class_promoted:${booking._id}:${booking.promotedAt.getTime()}`);
+  }
+  
+  return promoted;
+};
+
+// Give a drop-in member their money back. Failures are logged for staff to refund by hand.
+const refundDropIn = async (booking, reason) => {
+  if (!booking.payment) return null;
+  
+  const payment = await Payment.findById(booking.payment);
+  
+  if (!payment || payment.status !== 'completed') return null;
+  
+  try {
+    return await refundPayment(payment, payment.amount, { reason });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+    console.error(`Drop-in refund for payment ${payment._id} failed:`, err);
+    return null;
+  }
+};
+
+// Members who cancel late keep a late_cancelled booking and drop-in members lose the fee.
+// Leaving a waitlist, or staff cancelling, is always free. Returns null if the booking
+// changed since it was read.
+const cancelBooking = async (booking, session, { byStaff, reason } = {}) => {
+  const wasBooked = booking.status === 'booked';
+  const late = wasBooked && !byStaff &&
+    session.startTime.getTime() - Date.now() < CLASS_CANCEL_NOTICE_HOURS * HOUR_MS;
+  const changes = {
+    status: late ? 'late_cancelled' : 'cancelled',
+    cancelledAt: new Date(),
+    cancelReason: reason
+  };
+  
+  // Claimed in the status it was read in, so two cancels (or a cancel and a waitlist
+  // promotion) can't both release the spot and refund the drop-in
+  const claimed = await ClassBooking.findOneAndUpdate({ _id: booking._id, status: booking.status }, { $set: changes });
+  
+  if (!claimed) return null;
+  
+  booking.set(changes);
+  
+  if (!late) {
+    await refundDropIn(booking, reason || 'Class booking cancelled');
+  }
+  
+  if (wasBooked) {
+    await releaseSpot(session._id);
+    await promoteFromWaitlist(session._id);
+  }
+  
+  return booking;
+};
+
+// Cancel a whole session: everyone booked or waiting is told and drop-ins are refunded
+const cancelClassSession = async (session, reason) => {
+  session.status = 'cancelled';
+  session.cancelReason = reason;
+  session.bookedCount = 0;
+  await session.save();
+  
+  const bookings = await ClassBooking.find({ session: session._id, status: { $in: ACTIVE_BOOKING_STATUSES } });
+  
+  for (const booking of bookings) {
+    const changes = { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason };
+    
+    // Skip bookings the member cancelled (and was refunded for) in the meantime
+    const claimed = await ClassBooking.findOneAndUpdate(
+      { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+      { $set: changes }
+    );
+    
+    if (!claimed) continue;
+    
+    booking.set(changes);
+    
+    await refundDropIn(booking, reason);
+    await notifyMember(booking.userId, 'class_cancelled', session, `class_cancelled:${session._id}`);
+  }
+  
+  return bookings.length;
+};
+
+// Bring a template's upcoming sessions in line after it was edited: sessions it no longer
+// generates are cancelled, the rest take its instructor, room, length and capacity
+const applyTemplateChanges = async (template) => {
+  const upcoming = await ClassSession.find({ template: template._id, status: 'scheduled', startTime: { $gt: new Date() } });
+  
+  for (const session of upcoming) {
+    if (!matchesTemplate(session, template)) {
+      await cancelClassSession(session, 'Class timetable changed');
+      continue;
+    }
+    
+    session.instructor = template.instructor;
+    session.room = template.room;
+    session.capacity = template.capacity;
+    session.endTime = new Date(session.startTime.getTime() + template.durationMinutes * MINUTE_MS);
+    await session.save();
+    
+    // A bigger room lets people in from the waitlist
+    await promoteFromWaitlist(session._id);
+  }
+  
+  await scheduleTemplate(template);
+};
+
+// Settle a drop-in class payment by booking the class. If the member can't be booked
+// (e.g. the class was cancelled while they paid) the money goes back.
+const completeClassPayment = async (payment) => {
+  payment.status = 'completed';
+  await payment.save();
+  
+  await sendPaymentReceipt(payment);
+  
+  const session = await ClassSession.findById(payment.classSession);
+  const { error } = session && session.status === 'scheduled'
+    ? await bookClass(session, payment.userId, { payment: payment._id })
+    : { error: 'Class is no longer running' };
+  
+  if (error) {
+    try {
+      await refundPayment(payment, payment.amount, { reason: `Drop-in not booked: ${error}` });
+    } catch (err) {
+      console.error(`Drop-in refund for payment ${payment._id} failed:`, err);
+    }
+  }
+  
+  return payment;
+};
+
+// Waitlists close when the class starts; anyone still waiting is let go (and refunded)
+const closeWaitlists = async () => {
+  const started = await ClassSession.find({
+    status: 'scheduled',
+    startTime: { $lte: new Date(), $gt: new Date(Date.now() - DAY_MS) }
+  }).select('_id');
+  
+  const waiting = await ClassBooking.find({ session: { $in: started.map(session => session._id) }, status: 'waitlisted' });
+  let closed = 0;
+  
+  for (const booking of waiting) {
+    const changes = { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'No spot opened before the class started' };
+    
+    // Skip bookings another run, or the member, cancelled in the meantime
+    const claimed = await ClassBooking.findOneAndUpdate(
+      { _id: booking._id, status: 'waitlisted' },
+      { $set: changes }
+    );
+    
+    if (!claimed) continue;
+    
+    booking.set(changes);
+    closed += 1;
+    
+    await refundDropIn(booking, booking.cancelReason);
+  }
+  
+  return closed;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  scheduleTemplate,
+  classAccess,
+  bookingProblem,
+  bookClass,
+  promoteFromWaitlist,
+  cancelBooking,
+  cancelClassSession,
+  applyTemplateChanges,
+  completeClassPayment,
+  closeWaitlists
+};
+
+// File: utils/workouts.js
+const WorkoutLog = require('../models/WorkoutLog');
+const { DAY_MS } = require('./freeze');
+
+// Monday 00:00 (server time) of the week a date falls in
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+// Heavier set wins; reps break ties (and rank bodyweight sets)
+const isBetterSet = (set, best) =>
+  !best || set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps);
+
+const bestSet = sets => sets.reduce((best, set) => (isBetterSet(set, best) ? set : best), null);
+
+// Total volume and workout count for each of the last `weeks` weeks, oldest first.
+// Weeks without workouts are included as zero so charts show the gaps.
+const weeklyVolume = (logs, weeks, now = new Date()) => {
+  const firstWeek = startOfWeek(new Date(now.getTime() - (weeks - 1) * 7 * DAY_MS));
+  const series = Array.from({ length: weeks }, (_, i) => {
+    const weekStart = new Date(firstWeek);
+    weekStart.setDate(weekStart.getDate() + i * 7);
+    return { weekStart, volume: 0, workouts: 0 };
+  });
+  
+  logs.forEach(log => {
+    const week = series.find(entry => entry.weekStart.getTime() === startOfWeek(log.performedAt).getTime());
+    if (week) {
+      week.volume += log.volume;
+      week.workouts += 1;
+    }
+  });
+  
+  return series;
+};
+
+// Best set per exercise overall and per workout, for PR lists and strength charts.
+// Expects logs oldest first with exercises populated.
+const exerciseProgress = (logs) => {
+  const byExercise = new Map();
+  
+  logs.forEach(log => {
+    log.exercises.forEach(entry => {
+      if (!entry.exercise) return;
+      
+      const id = String(entry.exercise._id);
+      if (!byExercise.has(id)) {
+        byExercise.set(id, { exercise: { _id: entry.exercise._id, name: entry.exercise.name }, best: null, history: [] });
+      }
+      
+      const progress = byExercise.get(id);
+      const top = bestSet(entry.sets);
+      progress.history.push({ date: log.performedAt, weight: top.weight, reps: top.reps });
+      
+      if (isBetterSet(top, progress.best)) {
+        progress.best = { weight: top.weight, reps: top.reps, date: log.performedAt };
+      }
+    });
+  });
+  
+  return [...byExercise.values()].sort((a, b) => a.exercise.name.localeCompare(b.exercise.name));
+};
+
+// Exercises in a new log where the member lifted more than ever before.
+// A first attempt at an exercise isn't counted as a record.
+const findNewRecords = async (log) => {
+  const exerciseIds = log.exercises.map(entry => entry.exercise);
+  
+  const previousBests = await WorkoutLog.aggregate([
+    { $match: { userId: log.userId, _id: { $ne: log._id }, 'exercises.exercise': { $in: exerciseIds } } },
+    { $unwind: '$exercises' },
+    { $match: { 'exercises.exercise': { $in: exerciseIds } } },
+    { $unwind: '$exercises.sets' },
+    { $group: { _id: '$exercises.exercise', weight: { $max: '$exercises.sets.weight' } } }
+  ]);
+  
+  return log.exercises
+    .filter(entry => {
+      const previous = previousBests.find(best => String(best._id) === String(entry.exercise));
+      const top = bestSet(entry.sets);
+      return previous && top.weight > previous.weight;
+    })
+    .map(entry => entry.exercise);
+};
+
+module.exports = { startOfWeek, weeklyVolume, exerciseProgress, findNewRecords };
+
+// File: utils/assessments.js
+const PDFDocument = require('pdfkit');
+const { BUSINESS } = require('../config/invoice');
+const { ASSESSMENT_INTERVAL_WEEKS } = require('../config/assessments');
+const { DAY_MS } = require('./freeze');
+const { measureValue, bmiCategory, compareAssessments } = require('../src/shared/assessments');
+
+// Columns in the report's history table (the full set is in the comparison)
+const HISTORY_COLUMNS = [
+  { key: 'weightKg', label: 'Weight (kg)' },
+  { key: 'bodyFatPercent', label: 'Body fat (%)' },
+  { key: 'bmi', label: 'BMI' },
+  { key: 'girths.waist', label: 'Waist (cm)' },
+  { key: 'restingHeartRate', label: 'RHR (bpm)' }
+];
+
+const PAGE_BOTTOM = 740;
+
+const formatDate = date => date.toLocaleDateString('en-IN');
+
+const show = value => (value == null ? '-' : String(value));
+
+const showChange = change => (change == null ? '-' : `${change > 0 ? '+' : ''}${change}`);
+
+// When the member is next due for an assessment, counted from their latest one
+const nextAssessmentDue = latest =>
+  (latest ? new Date(latest.recordedAt.getTime() + ASSESSMENT_INTERVAL_WEEKS * 7 * DAY_MS) : null);
+
+// Write a member's progress report as a PDF: the two chosen assessments side by side,
+// then every assessment in date order. Assessments must be sorted oldest first.
+const renderAssessmentReport = (member, assessments, { earlier, later }, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+  
+  doc.fontSize(18).text('PROGRESS REPORT', { align: 'right' });
+  doc.fontSize(14).text(BUSINESS.name, 50, 50);
+  doc.fontSize(9).text(BUSINESS.address);
+  
+  doc.moveDown(2).fontSize(10);
+  doc.text(`Member: ${member.name}`);
+  doc.text(`Report date: ${formatDate(new Date())}`);
+  doc.text(`Assessments on record: ${assessments.length}`);
+  
+  const latestBmi = measureValue(later, 'bmi');
+  if (latestBmi != null) {
+    doc.text(`Latest BMI: ${latestBmi} (${bmiCategory(latestBmi)})`);
+  }
+  
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').fontSize(12).text(`${formatDate(earlier.recordedAt)} compared with ${formatDate(later.recordedAt)}`, 50);
+  doc.fontSize(10);
+  
+  let y = doc.y + 10;
+  doc.text('Measure', 50, y)
+    .text(formatDate(earlier.recordedAt), 250, y, { width: 90, align: 'right' })
+    .text(formatDate(later.recordedAt), 350, y, { width: 90, align: 'right' })
+    .text('Change', 450, y, { width: 90, align: 'right' });
+  doc.font('Helvetica');
+  
+  compareAssessments(earlier, later).forEach(row => {
+    y += 18;
+    doc.text(`${row.label}${row.unit ? ` (${row.unit})` : ''}`, 50, y)
+      .text(show(row.before), 250, y, { width: 90, align: 'right' })
+      .text(show(row.after), 350, y, { width: 90, align: 'right' })
+      .text(showChange(row.change), 450, y, { width: 90, align: 'right' });
+  });
+  
+  y += 40;
+  doc.font('Helvetica-Bold').fontSize(12).text('All assessments', 50, y);
+  doc.fontSize(10);
+  
+  const columnX = index => 150 + index * 80;
+  const historyHeader = () => {
+    y += 24;
+    doc.font('Helvetica-Bold').text('Date', 50, y);
+    HISTORY_COLUMNS.forEach((column, index) => doc.text(column.label, columnX(index), y, { width: 75, align: 'right' }));
+    doc.font('Helvetica');
+  };
+  
+  historyHeader();
+  assessments.forEach(assessment => {
+    y += 18;
+    if (y > PAGE_BOTTOM) {
+      doc.addPage();
+      y = 26;
+      historyHeader();
+      y += 18;
+    }
+    doc.text(formatDate(assessment.recordedAt), 50, y);
+    HISTORY_COLUMNS.forEach((column, index) =>
+      doc.text(show(measureValue(assessment, column.key)), columnX(index), y, { width: 75, align: 'right' }));
+  });
+  
+  doc.end();
+};
+
+module.exports = { nextAssessmentDue, renderAssessmentReport };
+
+// File: utils/branches.js
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const { loadBranchScope } = require('./permissions');
+
+// The branch a staff action applies to: the one asked for if the user works there,
+// otherwise their only branch (or the gym's only branch for all-branch users)
+const resolveBranch = async (req, requested) => {
+  const scope = await loadBranchScope(req);
+  
+  if (requested) {
+    const branch = mongoose.isValidObjectId(requested) && await Branch.findOne({ _id: requested, isActive: true });
+    
+    if (!branch || (scope && !scope.includes(String(branch._id)))) {
+      return { error: 'Invalid branch' };
+    }
+    return { branch: branch._id };
+  }
+  
+  const candidates = await Branch.find(scope ? { _id: { $in: scope }, isActive: true } : { isActive: true }).select('_id');
+  
+  if (candidates.length !== 1) {
+    return { error: 'Choose a branch' };
+  }
+  return { branch: candidates[0]._id };
+};
+
+// Plans sold at a branch: its own plans and those sold everywhere
+const plansSoldAt = branchId => ({ branch: { $in: [null, branchId || null] } });
+
+const isPlanSoldAt = (plan, branchId) => !plan.branch || String(plan.branch) === String(branchId);
+
+// Members get in at their home branch, or anywhere on an all-branch plan.
+// Expects membershipType populated.
+const canEnterBranch = (member, branchId) =>
+  String(member.branch) === String(branchId) || Boolean(member.membershipType && member.membershipType.allBranches);
+
+module.exports = { resolveBranch, plansSoldAt, isPlanSoldAt, canEnterBranch };
+
+// File: utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const RESET_TOKEN_MINUTES = 60;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueAccessToken = user => jwt.sign(
+  { id: user._id.toString(), role: user.role, mustChangePassword: user.mustChangePassword },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens are random strings; only their hash is stored
+const issueRefreshToken = async (user, req) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip
+  });
+  
+  return refreshToken;
+};
+
+// Revoke the presented token and issue its replacement.
+// Presenting an already revoked token means it leaked, so every session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+  
+  const tokenHash = hashToken(refreshToken);
+  
+  // Revoked in the same update that finds it, so two refreshes sent together with
+  // one token can't both be rotated; the second one counts as reuse
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  
+  if (!stored) {
+    const revoked = await RefreshToken.findOne({ tokenHash });
+    
+    if (revoked && revoked.expiresAt >= new Date()) {
+      await RefreshToken.updateMany({ userId: revoked.userId, revokedAt: null }, { revokedAt: new Date() });
+    }
+    return null;
+  }
+  
+  if (stored.expiresAt < new Date()) return null;
+  
+  const user = await User.findById(stored.userId);
+  if (!user || user.archivedAt) return null;
+  
+  const newToken = await issueRefreshToken(user, req);
+  
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedByHash: hashToken(newToken) } });
+  
+  return { user, refreshToken: newToken };
+};
+
+const revokeRefreshToken = async (refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) return;
+  
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Set a reset token on the user (caller saves) and return the plain token
+const createResetToken = (user) => {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  
+  user.resetPasswordToken = hashToken(resetToken);
+  user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+  
+  return resetToken;
+};
+
+const generateTemporaryPassword = () => crypto.randomBytes(6).toString('base64url');
+
+module.exports = {
+  hashToken,
+  issueAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  createResetToken,
+  generateTemporaryPassword
+};
+
+// File: utils/outbox.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Outgoing mail is written to disk instead of being sent
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+const writeToOutbox = async (message) => {
+  await fs.mkdir(OUTBOX_DIR, { recursive: true });
+  
+  // The channel keeps an SMS and a WhatsApp message to the same number apart
+  const fileName = `${Date.now()}-${message.channel || 'email'}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+  const filePath = path.join(OUTBOX_DIR, fileName);
+  
+  await fs.writeFile(filePath, JSON.stringify({ ...message, createdAt: new Date() }, null, 2));
+  
+  return filePath;
+};
+
+module.exports = { writeToOutbox };
+
+// File: config/invoice.js
+// Supplier details printed on invoices
+const BUSINESS = {
+  name: process.env.BUSINESS_NAME || 'Gym',
+  address: process.env.BUSINESS_ADDRESS || '',
+  gstin: process.env.BUSINESS_GSTIN || '',
+  // GST state code, e.g. 27 for Maharashtra
+  stateCode: process.env.BUSINESS_STATE_CODE || '27'
+};
+
+// SAC for health club and fitness centre services
+const SAC_CODE = '999723';
+
+const DEFAULT_GST_RATE = 18;
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+const CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_PREFIX || 'CN';
+
+module.exports = { BUSINESS, SAC_CODE, DEFAULT_GST_RATE, INVOICE_PREFIX, CREDIT_NOTE_PREFIX };
+
+// File: config/membership.js
+// Days after endDate before a member is marked inactive
+const GRACE_DAYS = parseInt(process.env.MEMBERSHIP_GRACE_DAYS, 10) || 0;
+
+module.exports = { GRACE_DAYS };
+
+// File: config/notifications.js
+const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Channels every notification is sent on
+const CHANNELS = list(process.env.NOTIFICATION_CHANNELS || 'email');
+
+// Which adapter delivers each channel; "file" writes to the local outbox
+const ADAPTERS = {
+  email: process.env.EMAIL_ADAPTER || 'file',
+  sms: process.env.SMS_ADAPTER || 'file',
+  whatsapp: process.env.WHATSAPP_ADAPTER || 'file'
+};
+
+// Days before endDate to send renewal reminders
+const REMINDER_OFFSETS = list(process.env.REMINDER_OFFSETS || '7,3,0').map(Number);
+
+module.exports = { CHANNELS, ADAPTERS, REMINDER_OFFSETS };
+
+// File: config/payments.js
+// How long a created order can wait for payment
+const ORDER_EXPIRY_MINUTES = parseInt(process.env.ORDER_EXPIRY_MINUTES, 10) || 30;
+
+// Ways money can be taken at the desk
+const OFFLINE_METHODS = ['cash', 'upi', 'card', 'netbanking'];
+
+// Payment gateway adapter (see gateways/index.js). Must be set; there is no default.
+const GATEWAY = process.env.PAYMENT_GATEWAY;
+
+// The mock gateway takes fake payments, so it only works when explicitly allowed
+const ALLOW_MOCK_PAYMENTS = process.env.ALLOW_MOCK_PAYMENTS === 'true';
+
+module.exports = { ORDER_EXPIRY_MINUTES, OFFLINE_METHODS, GATEWAY, ALLOW_MOCK_PAYMENTS };
+
+// File: config/training.js
+// Members who cancel with less notice than this lose the session
+const PT_CANCEL_NOTICE_HOURS = parseInt(process.env.PT_CANCEL_NOTICE_HOURS, 10) || 24;
+
+// How far ahead sessions can be booked
+const PT_BOOKING_WINDOW_DAYS = parseInt(process.env.PT_BOOKING_WINDOW_DAYS, 10) || 30;
+
+module.exports = { PT_CANCEL_NOTICE_HOURS, PT_BOOKING_WINDOW_DAYS };
+
+// File: config/classes.js
+// Days ahead class sessions are generated and can be booked
+const CLASS_SCHEDULE_DAYS = parseInt(process.env.CLASS_SCHEDULE_DAYS, 10) || 14;
+
+// Members who cancel with less notice than this keep a late cancellation on record,
+// and drop-in members don't get their money back
+const CLASS_CANCEL_NOTICE_HOURS = parseInt(process.env.CLASS_CANCEL_NOTICE_HOURS, 10) || 2;
+
+module.exports = { CLASS_SCHEDULE_DAYS, CLASS_CANCEL_NOTICE_HOURS };
+
+// File: config/assessments.js
+// Members are reassessed this often after joining
+const ASSESSMENT_INTERVAL_WEEKS = parseInt(process.env.ASSESSMENT_INTERVAL_WEEKS, 10) || 8;
+
+module.exports = { ASSESSMENT_INTERVAL_WEEKS };
+
+// File: gateways/index.js
+// Every payment gateway adapter implements the same interface. Amounts are in rupees.
+//
+//   name, publicKey
+//   createOrder({ amount, receipt, notes })          -> { id, amount, currency }
+//   fetchPayment(paymentId)                          -> { id, orderId, amount, method, status }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhook(rawBody, headers)                  -> boolean
+//   parseWebhookEvent(body, headers)                 -> { id, type, payment?, refund? }
+//   refund(paymentId, amount, notes)                 -> { id, status }
+//
+// Payment status is one of 'captured', 'failed' or 'pending'. Webhook event types are
+// 'payment.captured', 'payment.failed', 'refund.processed' and 'refund.failed'.
+const { GATEWAY, ALLOW_MOCK_PAYMENTS } = require('../config/payments');
+
+// Loaded lazily so an unused gateway's SDK and keys are never needed
+const gateways = {
+  razorpay: () => require('./razorpay'),
+  mock: () => require('./mock')
+};
+
+const getGateway = (name = GATEWAY) => {
+  if (!name) {
+    throw new Error('PAYMENT_GATEWAY is not set');
+  }
+  
+  const load = gateways[name];
+  
+  if (!load) {
+    throw new Error(`Unknown payment gateway "${name}"`);
+  }
+  
+  if (name === 'mock' && !ALLOW_MOCK_PAYMENTS) {
+    throw new Error('The mock payment gateway needs ALLOW_MOCK_PAYMENTS=true');
+  }
+  
+  return load();
+};
+
+module.exports = { getGateway };
+
+// File: gateways/signatures.js
+const crypto = require('crypto');
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+// Constant-time comparison of hex signatures
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string') return false;
+  
+  const expectedBuf = Buffer.from(expected);
+  const receivedBuf = Buffer.from(received);
+  
+  return expectedBuf.length === receivedBuf.length &&
+    crypto.timingSafeEqual(expectedBuf, receivedBuf);
+};
+
+module.exports = { hmac, signaturesMatch };
+
+// File: gateways/razorpay.js
+const Razorpay = require('razorpay');
+const { hmac, signaturesMatch } = require('./signatures');
+
+// Payment methods Razorpay reports that we store as-is
+const KNOWN_METHODS = ['card', 'upi', 'netbanking', 'wallet', 'emi'];
+
+const STATUSES = {
+  captured: 'captured',
+  failed: 'failed'
+};
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
   }
+  return client;
+}
+
+// Razorpay works in paise
+const toPaise = amount => Math.round(amount * 100);
+const toRupees = paise => paise / 100;
+
+const toPayment = entity => ({
+  id: entity.id,
+  orderId: entity.order_id,
+  amount: toRupees(entity.amount),
+  method: KNOWN_METHODS.includes(entity.method) ? entity.method : 'card',
+  // Anything else (created, authorized) is still in progress
+  status: STATUSES[entity.status] || 'pending'
 });
 
-// Create razorpay order
-router.post('/create-order', async (req, res) => {
-  try {
-    const { amount, membership } = req.body;
-    
-    const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
-      currency: 'INR',
-      receipt: 'receipt_' + new Date().getTime()
-    };
-    
-    razorpay.orders.create(options, (err, order) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).json({ message: 'Error creating order' });
-      }
-      
-      res.json({
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency
-      });
+const toRefund = entity => ({
+  id: entity.id,
+  paymentId: entity.payment_id,
+  amount: toRupees(entity.amount),
+  status: entity.status === 'processed' ? 'processed' : 'pending'
+});
+
+module.exports = {
+  name: 'razorpay',
+  publicKey: process.env.RAZORPAY_KEY_ID,
+  
+  createOrder: async ({ amount, receipt, notes }) => {
+    const order = await getClient().orders.create({ amount: toPaise(amount), currency: 'INR', receipt, notes });
+    return { id: order.id, amount: toRupees(order.amount), currency: order.currency };
+  },
+  
+  fetchPayment: async paymentId => toPayment(await getClient().payments.fetch(paymentId)),
+  
+  // Checkout signature is HMAC-SHA256 of "order_id|payment_id" with the key secret
+  verifyPaymentSignature: ({ orderId, paymentId, signature }) => {
+    if (!process.env.RAZORPAY_KEY_SECRET || !orderId || !paymentId) return false;
+    return signaturesMatch(hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`), signature);
+  },
+  
+  // Webhook signature is HMAC-SHA256 of the raw body with the webhook secret
+  verifyWebhook: (rawBody, headers) => {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) return false;
+    return signaturesMatch(hmac(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody), headers['x-razorpay-signature']);
+  },
+  
+  parseWebhookEvent: (body, headers) => ({
+    id: headers['x-razorpay-event-id'],
+    type: body.event,
+    payment: body.payload.payment ? toPayment(body.payload.payment.entity) : undefined,
+    refund: body.payload.refund ? toRefund(body.payload.refund.entity) : undefined
+  }),
+  
+  refund: async (paymentId, amount, notes) =>
+    toRefund(await getClient().payments.refund(paymentId, { amount: toPaise(amount), notes }))
+};
+
+// File: gateways/mock.js
+// Deterministic offline gateway for development and tests. Nothing is stored:
+// order ids carry the amount and payment ids carry the order and the outcome.
+const crypto = require('crypto');
+const { hmac, signaturesMatch } = require('./signatures');
+
+const SECRET = process.env.MOCK_PAYMENT_SECRET || 'mock_key_secret';
+const WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+
+const shortHash = value => crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 10);
+
+// "order_mock_<paise>_<hash>" -> "<paise>_<hash>"
+const orderSuffix = orderId => orderId.replace(/^order_mock_/, '');
+
+const parsePaymentId = (paymentId) => {
+  const match = /^pay_mock_(\d+)_([0-9a-f]+)_(captured|failed|pending)$/.exec(paymentId || '');
+  
+  if (!match) {
+    throw new Error(`Unknown mock payment ${paymentId}`);
+  }
+  
+  return { paise: Number(match[1]), orderId: `order_mock_${match[1]}_${match[2]}`, status: match[3] };
+};
+
+const mock = {
+  name: 'mock',
+  publicKey: 'mock_key',
+  
+  createOrder: async ({ amount, receipt }) => {
+    const paise = Math.round(amount * 100);
+    return { id: `order_mock_${paise}_${shortHash(receipt)}`, amount, currency: 'INR' };
+  },
+  
+  fetchPayment: async (paymentId) => {
+    const { paise, orderId, status } = parsePaymentId(paymentId);
+    return { id: paymentId, orderId, amount: paise / 100, method: 'card', status };
+  },
+  
+  verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+    Boolean(orderId && paymentId) && signaturesMatch(hmac(SECRET, `${orderId}|${paymentId}`), signature),
+  
+  verifyWebhook: (rawBody, headers) =>
+    signaturesMatch(hmac(WEBHOOK_SECRET, rawBody), headers['x-mock-signature']),
+  
+  // Same body shape as Razorpay, with amounts in rupees
+  parseWebhookEvent: (body) => ({
+    id: body.id,
+    type: body.event,
+    payment: body.payment,
+    refund: body.refund
+  }),
+  
+  refund: async (paymentId, amount) => ({
+    id: `rfnd_mock_${shortHash(`${paymentId}:${amount}:${Date.now()}`)}`,
+    paymentId,
+    amount,
+    status: 'processed'
+  }),
+  
+  // What the checkout would hand back to the browser after paying an order
+  simulateCheckout: (orderId, outcome = 'captured') => {
+    const paymentId = `pay_mock_${orderSuffix(orderId)}_${outcome}`;
+    return { orderId, paymentId, signature: hmac(SECRET, `${orderId}|${paymentId}`) };
+  },
+  
+  // Signature header for a test webhook body
+  signWebhook: rawBody => hmac(WEBHOOK_SECRET, rawBody)
+};
+
+module.exports = mock;
+
+// File: notifications/templates.js
+const NotificationTemplate = require('../models/NotificationTemplate');
+
+// Used until an admin saves their own version
+const DEFAULT_TEMPLATES = [
+  {
+    type: 'renewal_reminder',
+    channel: 'email',
+    subject: 'Your membership ends {{when}}',
+    body: 'Hi {{name}},\n\nYour {{planName}} membership ends {{when}} ({{endDate}}). Renew from the app to keep training without a break.\n'
+  },
+  {
+    type: 'renewal_reminder',
+    channel: 'sms',
+    body: 'Hi {{name}}, your gym membership ends {{when}} ({{endDate}}). Renew from the app to avoid a break.'
+  },
+  {
+    type: 'renewal_reminder',
+    channel: 'whatsapp',
+    body: 'Hi {{name}} 👋 your {{planName}} membership ends {{when}} ({{endDate}}). Renew from the app to keep your access.'
+  },
+  {
+    type: 'payment_receipt',
+    channel: 'email',
+    subject: 'Payment received: ₹{{amount}}',
+    body: 'Hi {{name}},\n\nWe received your payment of ₹{{amount}} for {{planName}}. Your membership is valid until {{endDate}}.\n\nPayment ID: {{paymentId}}\n'
+  },
+  {
+    type: 'payment_receipt',
+    channel: 'sms',
+    body: 'Payment of Rs {{amount}} received. Membership valid until {{endDate}}. Ref {{paymentId}}'
+  },
+  {
+    type: 'payment_receipt',
+    channel: 'whatsapp',
+    body: 'Thanks {{name}}! We received ₹{{amount}} for {{planName}}. Valid until {{endDate}}. Ref {{paymentId}}'
+  },
+  {
+    type: 'payment_failed',
+    channel: 'email',
+    subject: 'Your payment did not go through',
+    body: 'Hi {{name}},\n\nYour payment of ₹{{amount}} for {{planName}} failed. No membership change was made. Please try again from the app.\n'
+  },
+  {
+    type: 'payment_failed',
+    channel: 'sms',
+    body: 'Your payment of Rs {{amount}} failed. Please try again from the app.'
+  },
+  {
+    type: 'payment_failed',
+    channel: 'whatsapp',
+    body: 'Hi {{name}}, your payment of ₹{{amount}} for {{planName}} failed. Please try again from the app.'
+  },
+  {
+    type: 'class_waitlist_promoted',
+    channel: 'email',
+    subject: 'You\'re in: {{className}} on {{classTime}}',
+    body: 'Hi {{name}},\n\nA spot opened up in {{className}} on {{classTime}} and you\'ve been moved off the waitlist. See you there! If you can\'t make it, please cancel from the app so someone else can go.\n'
+  },
+  {
+    type: 'class_waitlist_promoted',
+    channel: 'sms',
+    body: 'A spot opened in {{className}} on {{classTime}} and you are now booked. Cancel from the app if you cannot make it.'
+  },
+  {
+    type: 'class_waitlist_promoted',
+    channel: 'whatsapp',
+    body: 'Good news {{name}}! You\'re off the waitlist for {{className}} on {{classTime}}. Can\'t make it? Please cancel from the app.'
+  },
+  {
+    type: 'class_cancelled',
+    channel: 'email',
+    subject: '{{className}} on {{classTime}} is cancelled',
+    body: 'Hi {{name}},\n\nSorry, {{className}} on {{classTime}} has been cancelled. Your booking is cancelled too, and any drop-in fee will be refunded.\n'
+  },
+  {
+    type: 'class_cancelled',
+    channel: 'sms',
+    body: '{{className}} on {{classTime}} is cancelled. Any drop-in fee will be refunded.'
+  },
+  {
+    type: 'class_cancelled',
+    channel: 'whatsapp',
+    body: 'Hi {{name}}, sorry, {{className}} on {{classTime}} has been cancelled. Any drop-in fee will be refunded.'
+  }
+];
+
+const getTemplate = async (type, channel) => {
+  const custom = await NotificationTemplate.findOne({ type, channel });
+  
+  if (custom) {
+    return custom.isActive ? custom : null;
+  }
+  
+  return DEFAULT_TEMPLATES.find(t => t.type === type && t.channel === channel) || null;
+};
+
+// Replace {{placeholders}}; unknown ones are left blank
+const render = (text, data) => (text || '').replace(/{{\s*(\w+)\s*}}/g, (_, key) =>
+  data[key] !== undefined && data[key] !== null ? String(data[key]) : ''
+);
+
+module.exports = { DEFAULT_TEMPLATES, getTemplate, render };
+
+// File: notifications/channels/file.js
+const { writeToOutbox } = require('../../utils/outbox');
+
+// Local development adapter: logs the message and writes it to the outbox
+const send = async ({ channel, to, subject, body }) => {
+  console.log(`[${channel}] to ${to}: ${subject || body.split('\n')[0]}`);
+  await writeToOutbox({ channel, to, subject, text: body });
+};
+
+module.exports = { send };
+
+// File: notifications/channels/smtp.js
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
   }
+  return transporter;
+}
+
+const send = async ({ to, subject, body }) => {
+  await getTransporter().sendMail({
+    from: process.env.SMTP_FROM,
+    to,
+    subject,
+    text: body
+  });
+};
+
+module.exports = { send };
+
+// File: notifications/channels/twilio.js
+// Twilio's Messages API, shared by the SMS and WhatsApp adapters
+const toE164 = (phone) => {
+  const digits = String(phone).replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  // Bare 10 digit numbers are Indian mobiles
+  return digits.length === 10 ? `+91${digits}` : `+${digits}`;
+};
+
+const sendTwilioMessage = async ({ from, to, body }) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const auth = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  
+  const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${auth}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ From: from, To: to, Body: body })
+  });
+  
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(`Twilio error ${res.status}: ${data.message || res.statusText}`);
+  }
+};
+
+module.exports = { toE164, sendTwilioMessage };
+
+// File: notifications/channels/sms.js
+const { toE164, sendTwilioMessage } = require('./twilio');
+
+const send = ({ to, body }) => sendTwilioMessage({
+  from: process.env.TWILIO_SMS_FROM,
+  to: toE164(to),
+  body
 });
 
-// Verify payment and update membership
-router.post('/verify', async (req, res) => {
+module.exports = { send };
+
+// File: notifications/channels/whatsapp.js
+const { toE164, sendTwilioMessage } = require('./twilio');
+
+const send = ({ to, body }) => sendTwilioMessage({
+  from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
+  to: `whatsapp:${toE164(to)}`,
+  body
+});
+
+module.exports = { send };
+
+// File: notifications/index.js
+const NotificationLog = require('../models/NotificationLog');
+const { CHANNELS, ADAPTERS } = require('../config/notifications');
+const { getTemplate, render } = require('./templates');
+
+const adapters = {
+  file: require('./channels/file'),
+  smtp: require('./channels/smtp'),
+  sms: require('./channels/sms'),
+  whatsapp: require('./channels/whatsapp')
+};
+
+// Where each channel delivers to
+const RECIPIENT_FIELDS = {
+  email: 'email',
+  sms: 'phone',
+  whatsapp: 'phone'
+};
+
+// Claim a message before sending it, so overlapping job runs can't both send it.
+// A new message is claimed by inserting its log (the key is unique), a failed one
+// by moving it back to sending.
+async function claimMessage(key, type, to) {
   try {
-    const { 
-      razorpayPaymentId, 
-      razorpayOrderId, 
-      razorpaySignature,
-      membership,
-      amount 
-    } = req.body;
-    
-    // Here you should verify the payment with Razorpay signature
-    // This is a simplified example
-    
-    // Calculate membership dates
-    const startDate = new Date();
-    let endDate = new Date();
-    
-    if (membership === 'monthly') {
-      endDate.setMonth(endDate.getMonth() + 1);
-    } else if (membership === 'quarterly') {
-      endDate.setMonth(endDate.getMonth() + 3);
-    } else if (membership === 'yearly') {
-      endDate.setFullYear(endDate.getFullYear() + 1);
-    }
-    
-    // Create payment record
-    const payment = new Payment({
-      userId: req.user.id,
-      amount: amount / 100, // Convert from paise to INR
-      paymentType: 'membership',
-      paymentMethod: 'card', // Or get from request
-      razorpayPaymentId,
-      razorpayOrderId,
-      membership,
-      status: 'completed',
-      startDate,
-      endDate
+    await NotificationLog.create({ ...key, type, to, status: 'sending', attempts: 1 });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  
+  const retry = await NotificationLog.findOneAndUpdate(
+    { ...key, status: 'failed' },
+    { $set: { status: 'sending', type, to }, $inc: { attempts: 1 } }
+  );
+  
+  return Boolean(retry);
+}
+
+async function sendOnChannel(user, type, channel, data, dedupeKey) {
+  const to = user[RECIPIENT_FIELDS[channel]];
+  if (!to) return;
+  
+  const template = await getTemplate(type, channel);
+  if (!template) return;
+  
+  const key = { userId: user._id, channel, dedupeKey };
+  if (!(await claimMessage(key, type, to))) return;
+  
+  const adapter = adapters[ADAPTERS[channel]];
+  const log = {};
+  
+  try {
+    await adapter.send({
+      channel,
+      to,
+      subject: render(template.subject, data),
+      body: render(template.body, data)
     });
+    Object.assign(log, { status: 'sent', sentAt: new Date(), error: undefined });
+  } catch (err) {
+    console.error(`Failed to send ${type} to ${to} by ${channel}:`, err.message);
+    Object.assign(log, { status: 'failed', error: err.message });
+  }
+  
+  await NotificationLog.updateOne(key, { $set: log });
+}
+
+// Send a notification on every configured channel.
+// A dedupeKey that was already sent to this member on a channel is skipped.
+const notify = async (user, type, data, { dedupeKey }) => {
+  const templateData = { name: user.name, ...data };
+  
+  for (const channel of CHANNELS) {
+    await sendOnChannel(user, type, channel, templateData, dedupeKey);
+  }
+};
+
+// Fire-and-forget wrapper so a notification problem never fails the caller
+const notifyInBackground = (user, type, data, options) => {
+  notify(user, type, data, options).catch(err => console.error(`Notification ${type} failed:`, err));
+};
+
+module.exports = { notify, notifyInBackground };
+
+// File: notifications/payments.js
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const PTPackage = require('../models/PTPackage');
+const ClassSession = require('../models/ClassSession');
+const { notifyInBackground } = require('./index');
+
+const formatDate = date => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+
+// Name of what was paid for: the plan, PT package or class
+async function purchaseName(payment) {
+  if (payment.membership) {
+    const plan = await Plan.findById(payment.membership).select('name');
+    return plan ? plan.name : '';
+  }
+  
+  if (payment.ptPackage) {
+    const ptPackage = await PTPackage.findById(payment.ptPackage).select('name');
+    return ptPackage ? ptPackage.name : '';
+  }
+  
+  if (payment.classSession) {
+    const session = await ClassSession.findById(payment.classSession).populate('template', 'name');
+    return session && session.template ? session.template.name : '';
+  }
+  
+  return '';
+}
+
+async function paymentData(payment) {
+  const [user, planName] = await Promise.all([
+    User.findById(payment.userId).select('name email phone'),
+    purchaseName(payment)
+  ]);
+  
+  return {
+    user,
+    data: {
+      amount: payment.amount,
+      planName,
+      endDate: formatDate(payment.endDate),
+      paymentId: payment.razorpayPaymentId || payment._id
+    }
+  };
+}
+
+const sendPaymentReceipt = async (payment) => {
+  const { user, data } = await paymentData(payment);
+  if (user) notifyInBackground(user, 'payment_receipt', data, { dedupeKey: `receipt:${payment._id}` });
+};
+
+const sendPaymentFailed = async (payment) => {
+  const { user, data } = await paymentData(payment);
+  if (user) notifyInBackground(user, 'payment_failed', data, { dedupeKey: `failed:${payment._id}` });
+};
+
+module.exports = { sendPaymentReceipt, sendPaymentFailed, formatDate };
+
+// File: jobs/expirePendingOrders.js
+const Payment = require('../models/Payment');
+
+// Mark orders nobody paid for as expired
+const expirePendingOrders = async () => {
+  const result = await Payment.updateMany(
+    { status: 'pending', razorpayPaymentId: { $exists: false }, expiresAt: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  
+  return result.modifiedCount;
+};
+
+module.exports = { expirePendingOrders };
+
+// File: jobs/membershipExpiry.js
+const User = require('../models/User');
+const MembershipTerm = require('../models/MembershipTerm');
+const { changeMemberStatus } = require('../utils/status');
+const { GRACE_DAYS } = require('../config/membership');
+
+// Move members whose membership (plus grace period) has ended to inactive
+const expireMemberships = async () => {
+  const cutoff = new Date(Date.now() - GRACE_DAYS * 24 * 60 * 60 * 1000);
+  
+  const expired = await User.find({
+    role: 'member',
+    status: 'active',
+    endDate: { $lt: cutoff }
+  }).select('_id');
+  
+  for (const member of expired) {
+    await changeMemberStatus(member._id, 'inactive', { reason: 'Membership expired' });
+  }
+  
+  return expired.length;
+};
+
+// Switch members who renewed early onto another plan once their new term starts
+const startRenewedTerms = async () => {
+  const due = await MembershipTerm.find({ pendingPlanChange: true, startDate: { $lte: new Date() } }).select('_id');
+  let started = 0;
+  
+  for (const { _id } of due) {
+    // Claimed first so overlapping runs switch each member once
+    const term = await MembershipTerm.findOneAndUpdate(
+      { _id, pendingPlanChange: true },
+      { $set: { pendingPlanChange: false } }
+    );
     
-    await payment.save();
+    if (term) {
+      await User.updateOne({ _id: term.userId }, { $set: { membershipType: term.plan } });
+      started += 1;
+    }
+  }
+  
+  return started;
+};
+
+// Expire lapsed memberships and start renewed ones
+const processMemberships = async () => {
+  await startRenewedTerms();
+  return expireMemberships();
+};
+
+module.exports = { expireMemberships, startRenewedTerms, processMemberships };
+
+// File: jobs/renewalReminders.js
+const User = require('../models/User');
+const { notify } = require('../notifications');
+const { formatDate } = require('../notifications/payments');
+const { REMINDER_OFFSETS } = require('../config/notifications');
+
+function describeOffset(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+// Remind members whose membership ends a configured number of days from today
+const sendRenewalReminders = async () => {
+  let sent = 0;
+  
+  for (const days of REMINDER_OFFSETS) {
+    const dayStart = new Date();
+    dayStart.setHours(0, 0, 0, 0);
+    dayStart.setDate(dayStart.getDate() + days);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
     
-    // Update user's membership
-    await User.findByIdAndUpdate(req.user.id, {
-      membershipType: membership,
-      startDate,
-      endDate,
-      status: 'active'
-    });
+    const members = await User.find({
+      role: 'member',
+      status: 'active',
+      archivedAt: null,
+      endDate: { $gte: dayStart, $lt: dayEnd }
+    }).populate('membershipType', 'name');
     
-    res.json({ success: true, message: 'Payment verified and membership updated' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+    for (const member of members) {
+      // Keyed on the end date, so a renewed membership gets fresh reminders
+      await notify(member, 'renewal_reminder', {
+        planName: member.membershipType ? member.membershipType.name : '',
+        endDate: formatDate(member.endDate),
+        when: describeOffset(days),
+        daysLeft: days
+      }, { dedupeKey: `renewal:${member.endDate.toISOString().slice(0, 10)}:${days}` });
+      sent += 1;
+    }
   }
-});
+  
+  return sent;
+};
 
-module.exports = router;
+module.exports = { sendRenewalReminders };
 
-// File: middleware/auth.js
-const jwt = require('jsonwebtoken');
+// File: jobs/freezes.js
+const Freeze = require('../models/Freeze');
+const { startFreeze, endFreeze, startOfDay } = require('../utils/freeze');
 
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.header('Authorization');
-  const token = authHeader && authHeader.split(' ')[1];
+// Start freezes whose start date has come and finish those that are over
+const processFreezes = async () => {
+  const today = startOfDay(new Date());
   
-  if (!token) {
-    return res.status(401).json({ message: 'Access denied. No token provided' });
+  const ending = await Freeze.find({ status: 'active', endDate: { $lt: today } });
+  for (const freeze of ending) {
+    await endFreeze(freeze, freeze.endDate);
   }
   
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
+  const starting = await Freeze.find({ status: 'approved', startDate: { $lte: today } });
+  for (const freeze of starting) {
+    if (freeze.endDate < today) {
+      // Never started, e.g. the fee was not paid in time
+      freeze.status = 'cancelled';
+      await freeze.save();
+    } else if (freeze.fee === 0 || freeze.feePaid) {
+      await startFreeze(freeze);
+    }
   }
+  
+  return ending.length + starting.length;
 };
 
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Unauthorized. Admin access required' });
+module.exports = { processFreezes };
+
+// File: jobs/classes.js
+const ClassTemplate = require('../models/ClassTemplate');
+const { scheduleTemplate, closeWaitlists } = require('../utils/classes');
+
+// Keep the class timetable generated ahead and close waitlists of classes that have started
+const processClasses = async () => {
+  const templates = await ClassTemplate.find({ isActive: true });
+  let changed = 0;
+  
+  for (const template of templates) {
+    changed += await scheduleTemplate(template);
   }
+  
+  return changed + await closeWaitlists();
+};
+
+module.exports = { processClasses };
+
+// File: jobs/index.js
+const { expirePendingOrders } = require('./expirePendingOrders');
+const { processMemberships } = require('./membershipExpiry');
+const { sendRenewalReminders } = require('./renewalReminders');
+const { processFreezes } = require('./freezes');
+const { processClasses } = require('./classes');
+
+const MINUTE = 60 * 1000;
+
+const JOBS = [
+  { name: 'expire pending orders', interval: 5 * MINUTE, run: expirePendingOrders },
+  { name: 'membership expiry', interval: (parseInt(process.env.EXPIRY_JOB_MINUTES, 10) || 60) * MINUTE, run: processMemberships },
+  { name: 'renewal reminders', interval: 60 * MINUTE, run: sendRenewalReminders },
+  { name: 'freezes', interval: 60 * MINUTE, run: processFreezes },
+  { name: 'classes', interval: 15 * MINUTE, run: processClasses }
+];
+
+// Run every job once now and then on its interval
+const startJobs = () => {
+  JOBS.forEach(job => {
+    const tick = () => job.run().catch(err => console.error(`Job "${job.name}" failed:`, err));
+    
+    tick();
+    setInterval(tick, job.interval);
+  });
+};
+
+module.exports = { startJobs };
+
+// File: scripts/migratePlans.js
+// One-off migration from the old monthly/quarterly/yearly enums to Plan ids.
+// Run with: node scripts/migratePlans.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Plan = require('../models/Plan');
+const { DEFAULT_GST_RATE } = require('../config/invoice');
+
+dotenv.config();
+
+// What members paid on the old plans, which already included GST
+const LEGACY_PLANS = {
+  monthly: { name: 'Monthly', durationValue: 1, durationUnit: 'months', total: 1000 },
+  quarterly: { name: 'Quarterly', durationValue: 3, durationUnit: 'months', total: 2700 },
+  yearly: { name: 'Yearly', durationValue: 12, durationUnit: 'months', total: 9600 }
 };
 
-module.exports = { authenticateToken, isAdmin };
+// Plan prices are before GST, so GST is taken back out to keep what members pay the same
+const netPrice = total => Math.round(total * 10000 / (100 + DEFAULT_GST_RATE)) / 100;
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+  
+  for (const [legacyValue, { total, ...planData }] of Object.entries(LEGACY_PLANS)) {
+    const plan = await Plan.findOneAndUpdate(
+      { name: planData.name },
+      { $setOnInsert: { ...planData, price: netPrice(total), gstRate: DEFAULT_GST_RATE } },
+      { upsert: true, new: true }
+    );
+    
+    // Raw collection updates, since the schemas no longer accept the old strings
+    const users = await db.collection('users').updateMany(
+      { membershipType: legacyValue },
+      { $set: { membershipType: plan._id } }
+    );
+    const payments = await db.collection('payments').updateMany(
+      { membership: legacyValue },
+      { $set: { membership: plan._id } }
+    );
+    
+    console.log(`${legacyValue}: ${users.modifiedCount} users, ${payments.modifiedCount} payments; ` +
+      `plan "${plan.name}" charges ₹${plan.getTotalPrice()} (₹${plan.price} + ${plan.gstRate}% GST)`);
+  }
+  
+  await mongoose.disconnect();
+}
+
+migrate().catch(err => {
+  console.error('Plan migration failed:', err);
+  process.exit(1);
+});
+
+// File: scripts/migrateBranches.js
+// One-off migration to branches: creates the first branch and puts every existing member,
+// staff user, payment and check-in there. Pass an email to make that user the super admin.
+// Run with: node scripts/migrateBranches.js [owner@example.com]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Branch = require('../models/Branch');
+
+dotenv.config();
+
+const DEFAULT_BRANCH_NAME = process.env.DEFAULT_BRANCH_NAME || 'Main';
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+  
+  const branch = await Branch.findOneAndUpdate(
+    { name: DEFAULT_BRANCH_NAME },
+    { $setOnInsert: { name: DEFAULT_BRANCH_NAME } },
+    { upsert: true, new: true }
+  );
+  
+  const members = await db.collection('users').updateMany(
+    { role: 'member', branch: { $in: [null] } },
+    { $set: { branch: branch._id } }
+  );
+  const staff = await db.collection('users').updateMany(
+    { role: { $ne: 'member' }, $or: [{ branches: { $exists: false } }, { branches: { $size: 0 } }] },
+    { $set: { branches: [branch._id] } }
+  );
+  const payments = await db.collection('payments').updateMany(
+    { branch: { $in: [null] } },
+    { $set: { branch: branch._id } }
+  );
+  const attendance = await db.collection('attendances').updateMany(
+    { branch: { $in: [null] } },
+    { $set: { branch: branch._id } }
+  );
+  
+  console.log(`${branch.name}: ${members.modifiedCount} members, ${staff.modifiedCount} staff, ` +
+    `${payments.modifiedCount} payments, ${attendance.modifiedCount} check-ins`);
+  
+  // Plan names are now unique per branch; the new index is built when the server starts
+  if (await db.collection('plans').indexExists('name_1')) {
+    await db.collection('plans').dropIndex('name_1');
+    console.log('Dropped the old unique index on plan names');
+  }
+  
+  const ownerEmail = process.argv[2];
+  
+  if (ownerEmail) {
+    const owner = await db.collection('users').updateOne({ email: ownerEmail }, { $set: { role: 'super_admin' } });
+    console.log(owner.matchedCount ? `${ownerEmail} is now super_admin` : `No user with email ${ownerEmail}`);
+  }
+  
+  await mongoose.disconnect();
+}
+
+migrate().catch(err => {
+  console.error('Branch migration failed:', err);
+  process.exit(1);
+});
\ No newline at end of file